@@ -1,19 +1,66 @@
+const fs = require("fs");
 const { getPage } = require("../utils/browser");
+const {
+  AuthFailedError,
+  AddressNotFoundError,
+  AmbiguousAddressError,
+  NotConfiguredError,
+  SelectorMissingError,
+  UpstreamChangedError,
+  toScraperError,
+  failure,
+} = require("../utils/errors");
+const { isReplaying, fixtureKey } = require("../utils/replay");
+const { parseAddress, toCoreLogicSearch, scoreAddressMatch } = require("../utils/address");
+const { parseNumber, parseDate } = require("../utils/response-v2");
 
 // ══════════════════════════════════════════════
 // CoreLogic (RP Data) — Property page scraping
 //
 // Login: OAuth2 via auth.corelogic.asia
-// Search: MUI Autocomplete input
-// Data: property attributes, AVM tabs, sold section
+// Session: storage state cached + reused across requests
+// Search: MUI Autocomplete input, suggestion scored against the request
+// Data: property attributes, AVM tabs, sold section, property history
 // ══════════════════════════════════════════════
 
+const CORELOGIC_BASE = "https://rpp.corelogic.com.au/";
+const SEARCH_INPUT = "input#crux-multi-locality-search";
+const SUGGESTION = ".MuiAutocomplete-option, .MuiAutocomplete-listbox li";
+
+// A suggestion is only followed when it scores at least MATCH_THRESHOLD
+// (utils/address.js scoreAddressMatch) and no other suggestion comes
+// within MATCH_MARGIN of it. Anything less is AMBIGUOUS_ADDRESS.
+const MATCH_THRESHOLD = 0.95;
+const MATCH_MARGIN = 0.05;
+const MAX_CANDIDATES = 10;
+
+// Property history timeline: sales plus for-sale / for-rent campaigns
+const HISTORY_SECTION = '[data-testid="property-history"], [data-testid="property-timeline"], #property-history, .property-timeline';
+const HISTORY_ENTRY = '[data-testid="timeline-item"], [data-testid="property-history-item"], .timeline-item';
+const HISTORY_MORE = 'button:has-text("Show more"), button:has-text("View more"), button:has-text("Load more"), button:has-text("View all")';
+const MONTH = "(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*";
+const HISTORY_DATE = new RegExp(`\\b(?:\\d{1,2}\\s+)?${MONTH}\\s+\\d{4}\\b|\\b\\d{1,2}\\/\\d{1,2}\\/\\d{4}\\b`, "gi");
+const SALE_METHODS = /auction|private treaty|normal sale|private sale|tender|expressions? of interest|off the plan|mortgagee|deceased estate/i;
+
+// "Comparable sales" / "Recent sales nearby" panel on the property page
+const COMPARABLES_PANEL = '[data-testid="comparables"], [data-testid="comparable-properties"], #comparables, .comparables-panel, .comparable-properties';
+const COMPARABLE_CARD = '[data-testid="comparable-card"], [data-testid="property-card"], .comparable-card, .property-card';
+
+// Cache the logged-in storage state (cookies + localStorage) so each
+// request skips the ~10s OAuth flow and CoreLogic doesn't flag
+// concurrent logins. Optionally persisted to disk to survive restarts.
+let cachedSession = null;
+let sessionExpiry = 0;
+let loginInFlight = null;
+const SESSION_TTL = 30 * 60 * 1000; // 30 minutes
+const SESSION_FILE = process.env.CORELOGIC_SESSION_FILE || "";
+
 
 /**
  * Login to CoreLogic via OAuth2 redirect.
  */
 async function loginToCoreLogic(page) {
-  await page.goto("https://rpp.corelogic.com.au/", { waitUntil: "domcontentloaded" });
+  await page.goto(CORELOGIC_BASE, { waitUntil: "domcontentloaded" });
 
   // Wait for OAuth redirect to auth.corelogic.asia
   await page.waitForURL("**/auth.corelogic.asia/**", { timeout: 15000 }).catch(() => {});
@@ -33,8 +80,11 @@ async function loginToCoreLogic(page) {
 
   await page.click('a#signOnButton, a[data-testid="sign-in-button"]');
 
-  // Wait for redirect back to rpp.corelogic.com.au
-  await page.waitForURL("**/rpp.corelogic.com.au/**", { timeout: 30000 });
+  // Wait for redirect back to rpp.corelogic.com.au — staying on the
+  // OAuth page means the credentials were rejected
+  await page.waitForURL("**/rpp.corelogic.com.au/**", { timeout: 30000 }).catch((err) => {
+    throw new AuthFailedError("CoreLogic login was not accepted (no redirect after sign-in)", { source: "corelogic", cause: err });
+  });
   await page.waitForTimeout(3000);
 
   // ── Handle interstitials (T&C, linked-accounts, etc.) ──
@@ -56,12 +106,21 @@ async function loginToCoreLogic(page) {
     // If still not on dashboard, navigate directly
     if (!page.url().endsWith("corelogic.com.au/")) {
       console.log("   🔄 Navigating directly to dashboard...");
-      await page.goto("https://rpp.corelogic.com.au/", { waitUntil: "domcontentloaded" });
+      await page.goto(CORELOGIC_BASE, { waitUntil: "domcontentloaded" });
       await page.waitForTimeout(5000);
     }
   }
 
-  // Dismiss any popups, modals, cookie banners
+  await dismissPopups(page);
+
+  console.log("CoreLogic post-login URL:", page.url());
+  return page;
+}
+
+/**
+ * Dismiss any popups, modals, cookie banners.
+ */
+async function dismissPopups(page) {
   try {
     const dismissSelectors = [
       'button[aria-label="Close"]',
@@ -81,39 +140,346 @@ async function loginToCoreLogic(page) {
       }
     }
   } catch (e) {}
+}
 
-  console.log("CoreLogic post-login URL:", page.url());
-  return page;
+
+/**
+ * Get a logged-in storage state, logging in only when needed.
+ *
+ * Single-flight: concurrent callers share one login instead of
+ * each starting their own (which CoreLogic treats as concurrent logins).
+ */
+async function getSession() {
+  // Replayed traffic already carries the logged-in pages
+  if (isReplaying()) return { cookies: [], origins: [] };
+
+  if (cachedSession && Date.now() < sessionExpiry) {
+    return cachedSession;
+  }
+
+  if (!cachedSession) {
+    const saved = loadSessionFile();
+    if (saved) {
+      cachedSession = saved.storageState;
+      sessionExpiry = saved.expiry;
+      if (Date.now() < sessionExpiry) return cachedSession;
+    }
+  }
+
+  if (!loginInFlight) {
+    loginInFlight = createSession().finally(() => {
+      loginInFlight = null;
+    });
+  }
+  return loginInFlight;
+}
+
+
+/**
+ * Run the full OAuth login in a throwaway context and capture its storage state.
+ */
+async function createSession() {
+  if (!process.env.CORELOGIC_EMAIL || !process.env.CORELOGIC_PASSWORD) {
+    throw new NotConfiguredError("CORELOGIC_EMAIL / CORELOGIC_PASSWORD not configured", { source: "corelogic" });
+  }
+
+  const { page, context } = await getPage();
+
+  try {
+    await loginToCoreLogic(page);
+    await page.waitForSelector(SEARCH_INPUT, { timeout: 30000 });
+
+    cachedSession = await context.storageState();
+    sessionExpiry = Date.now() + SESSION_TTL;
+    saveSessionFile();
+
+    console.log("✅ CoreLogic session captured");
+    return cachedSession;
+  } catch (err) {
+    console.error("CoreLogic login error:", err.message);
+    if (err instanceof AuthFailedError || err instanceof NotConfiguredError) throw err;
+    // Timeouts etc. during login: still an auth failure, retryable if the cause was
+    const cause = toScraperError(err, "corelogic");
+    throw new AuthFailedError(`CoreLogic login failed: ${cause.message}`, {
+      source: "corelogic",
+      retryable: cause.retryable,
+      cause: err,
+    });
+  } finally {
+    await context.close();
+  }
+}
+
+
+/**
+ * Open a page on the CoreLogic dashboard using the cached session.
+ *
+ * If the session has expired server-side (we get bounced to the OAuth
+ * page or the search box never appears), clear it and log in once more.
+ *
+ * @param {object} [fixture] - { source, key } to record/replay this page's traffic
+ */
+async function openAuthenticatedPage(fixture) {
+  const attempts = isReplaying() ? 1 : 2;
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    const storageState = await getSession();
+    const { page, context } = await getPage({ storageState, fixture });
+
+    try {
+      await page.goto(CORELOGIC_BASE, { waitUntil: "domcontentloaded" });
+
+      if (await isLoggedIn(page)) {
+        await dismissPopups(page);
+        return { page, context };
+      }
+    } catch (err) {
+      await context.close();
+      throw err;
+    }
+
+    await context.close();
+    if (attempt < attempts) {
+      console.log("⚠️ CoreLogic session expired, re-authenticating...");
+      // A concurrent request may already have logged in again — only
+      // drop the session this attempt actually used
+      if (cachedSession === storageState) clearSession();
+    }
+  }
+
+  if (isReplaying()) {
+    throw new UpstreamChangedError("Replayed CoreLogic dashboard never showed the search box", { source: "corelogic" });
+  }
+  throw new AuthFailedError("CoreLogic session invalid immediately after login", { source: "corelogic", retryable: true });
+}
+
+
+/**
+ * True once the dashboard search box renders; false if we were
+ * redirected to the OAuth login page instead.
+ */
+async function isLoggedIn(page) {
+  const outcome = await Promise.race([
+    page.waitForSelector(SEARCH_INPUT, { timeout: 30000 }).then(() => "ok", () => "timeout"),
+    page.waitForURL("**/auth.corelogic.asia/**", { timeout: 30000 }).then(() => "login", () => "timeout"),
+  ]);
+
+  return outcome === "ok";
+}
+
+
+function loadSessionFile() {
+  if (!SESSION_FILE) return null;
+  try {
+    return JSON.parse(fs.readFileSync(SESSION_FILE, "utf8"));
+  } catch (e) {
+    return null;
+  }
+}
+
+
+function saveSessionFile() {
+  if (!SESSION_FILE) return;
+  try {
+    fs.writeFileSync(SESSION_FILE, JSON.stringify({ storageState: cachedSession, expiry: sessionExpiry }));
+  } catch (err) {
+    console.log("   ⚠️ Could not persist CoreLogic session:", err.message);
+  }
+}
+
+
+function clearSession() {
+  cachedSession = null;
+  sessionExpiry = 0;
+  if (SESSION_FILE) {
+    try { fs.unlinkSync(SESSION_FILE); } catch (e) {}
+  }
 }
 
 /**
  * Search for an address and navigate to the property page.
+ * The text is normalised to the way CoreLogic lists addresses
+ * ("2/15 Smith St Kellyville NSW 2155"), then every suggestion is
+ * scored against the request. Only a confident, unique match is
+ * clicked — otherwise AMBIGUOUS_ADDRESS lists the suggestions, and the
+ * caller resends with the one they mean (it then scores 1.0).
+ *
+ * @returns {Promise<string>} the suggestion that was followed
  */
 async function searchAddress(page, address) {
-  await page.waitForSelector("input#crux-multi-locality-search", { timeout: 30000 });
+  const searchText = toCoreLogicSearch(address);
+  const requested = parseAddress(address);
+
+  await page.waitForSelector(SEARCH_INPUT, { timeout: 30000 });
   
   // Click on the page body first to dismiss any overlays
   await page.click("body");
   await page.waitForTimeout(500);
   
-  await page.click("input#crux-multi-locality-search");
-  await page.fill("input#crux-multi-locality-search", address);
+  await page.click(SEARCH_INPUT);
+  await page.fill(SEARCH_INPUT, searchText);
   await page.waitForTimeout(2000);
 
-  // Click first autocomplete suggestion
   try {
-    await page.waitForSelector(".MuiAutocomplete-option, .MuiAutocomplete-listbox li", { timeout: 5000 });
-    await page.click(".MuiAutocomplete-option:first-child, .MuiAutocomplete-listbox li:first-child");
-  } catch (e) {
-    await page.keyboard.press("ArrowDown");
-    await page.waitForTimeout(500);
-    await page.keyboard.press("Enter");
+    await page.waitForSelector(SUGGESTION, { timeout: 5000 });
+  } catch (err) {
+    throw new AddressNotFoundError(`CoreLogic has no match for "${address}"`, { source: "corelogic", cause: err });
   }
 
+  const suggestions = page.locator(SUGGESTION);
+  const labels = (await suggestions.allInnerTexts())
+    .map((text) => text.split("\n").map((line) => line.trim()).filter(Boolean).join(", "));
+
+  const ranked = labels
+    .map((label, index) => ({ index, address: label, ...scoreAddressMatch(requested, label) }))
+    .sort((a, b) => b.score - a.score);
+  const [best, runnerUp] = ranked;
+
+  const confident = best && best.score >= MATCH_THRESHOLD &&
+    (!runnerUp || best.score - runnerUp.score >= MATCH_MARGIN);
+
+  if (!confident) {
+    // Close the dropdown so the page can be reused for the next address
+    await page.keyboard.press("Escape").catch(() => {});
+    throw new AmbiguousAddressError(
+      `"${address}" has no confident CoreLogic match — resend with one of details.candidates`,
+      {
+        source: "corelogic",
+        details: {
+          requested: requested ? requested.formatted : address,
+          candidates: ranked.slice(0, MAX_CANDIDATES).map(({ index, ...candidate }) => candidate),
+        },
+      }
+    );
+  }
+
+  console.log(`   🎯 CoreLogic match: "${best.address}" (${best.score})`);
+  await suggestions.nth(best.index).click();
+
   // Wait for property page to render
   await page.waitForTimeout(5000);
-  // Verify we're on a property page
-  await page.waitForSelector("#property-detail, .property-grid", { timeout: 20000, state: "attached" });
+  try {
+    await page.waitForSelector("#property-detail, .property-grid", { timeout: 20000, state: "attached" });
+  } catch (err) {
+    throw new SelectorMissingError(`CoreLogic property page did not render #property-detail for "${address}"`, {
+      source: "corelogic",
+      cause: err,
+    });
+  }
+
+  return best.address;
+}
+
+
+/**
+ * Read the property history timeline, expanding it first.
+ *
+ * @returns {Promise<{ sale_history: object[], listing_history: object[] }>}
+ *   newest first; sale entries match the Domain scraper's sale_history
+ *   ({ price, date, method, agency }) plus days_on_market
+ */
+async function readPropertyHistory(page) {
+  const empty = { sale_history: [], listing_history: [] };
+
+  try {
+    const section = await page.$(HISTORY_SECTION);
+    if (!section) return empty;
+
+    // The "All" tab lists sales and both kinds of campaign together
+    const allTab = await section.$('[role="tab"]:has-text("All"), button:has-text("All")');
+    if (allTab) {
+      await allTab.click();
+      await page.waitForTimeout(1000);
+    }
+
+    for (let i = 0; i < 10; i++) {
+      const more = await section.$(HISTORY_MORE);
+      if (!more) break;
+      await more.click();
+      await page.waitForTimeout(800);
+    }
+
+    const texts = await section.$$eval(HISTORY_ENTRY, (els) => els.map((el) => el.innerText.trim()));
+    const entries = [...new Set(texts)].map(parseHistoryEntry).filter(Boolean);
+
+    const byDateDesc = (a, b) => historyTime(b.date) - historyTime(a.date);
+    return {
+      sale_history: entries.filter((e) => e.kind === "sold").map(({ kind, ...sale }) => sale).sort(byDateDesc),
+      listing_history: entries.filter((e) => e.kind === "listing").map(({ kind, ...listing }) => listing).sort(byDateDesc),
+    };
+  } catch (e) {
+    console.log("Property history extraction error:", e.message);
+    return empty;
+  }
+}
+
+
+/**
+ * One timeline entry's text → sale or listing campaign, e.g.
+ *   "Sold\n$1,250,000\n12 Mar 2019\nNormal Sale\n34 days on market\nAgency: Ray White"
+ *   "Listed for Rent\n$650 per week\n01 Feb 2021 - 20 Feb 2021\nAgency: LJ Hooker"
+ */
+function parseHistoryEntry(text) {
+  const lines = text.split("\n").map((l) => l.trim()).filter(Boolean);
+  const flat = lines.join(" ");
+
+  // Classify on the headline ("Sold", "Listed for Rent"); agency lines
+  // like "Listed by ..." can appear under a sale too
+  const kindOf = (s) => {
+    if (/for rent|for lease|rental (?:listing|campaign)|\bleased\b/i.test(s)) return "rent";
+    if (/listed|for sale|sale campaign|listing|withdrawn/i.test(s)) return "sale";
+    if (/\bsold\b|\bsale\b|transfer/i.test(s)) return "sold";
+    return null;
+  };
+  const kind = kindOf(lines[0] || "") || kindOf(flat);
+  if (!kind) return null;
+  const isRent = kind === "rent";
+
+  const dates = flat.match(HISTORY_DATE) || [];
+  // k / m only when glued to the digits — the lines are joined, so
+  // "$850,000 Mar 2019" must not read as $850,000 million
+  const priceText = (flat.match(/\$[\d,.]+(?:[km]\b)?(?:\s*-\s*\$[\d,.]+(?:[km]\b)?)?(?:\s*(?:per week|pw|\/\s*w(?:ee)?k))?/i) || [])[0] || null;
+  const dom = flat.match(/days on market[:\s]*(\d+)/i) || flat.match(/(\d+)\s*days? on market/i);
+  const labelled = (label) => {
+    const line = lines.find((l) => new RegExp(`^${label}\\b`, "i").test(l));
+    return line ? line.replace(new RegExp(`^${label}[:\\s]*`, "i"), "").trim() || null : null;
+  };
+
+  const common = {
+    date: dates[0] || null,
+    days_on_market: dom ? parseInt(dom[1], 10) : null,
+    agency: labelled("agency") || labelled("sold by") || labelled("listed by"),
+  };
+
+  if (kind === "sold") {
+    return {
+      kind: "sold",
+      price: priceText ? parseNumber(priceText) : null,
+      date: common.date,
+      method: (flat.match(SALE_METHODS) || [""])[0],
+      days_on_market: common.days_on_market,
+      agency: common.agency,
+    };
+  }
+
+  return {
+    kind: "listing",
+    type: isRent ? "rent" : "sale",
+    advertised_price: priceText || lines.find((l) => /contact agent|price on application|poa|auction|offers/i.test(l)) || null,
+    price: priceText ? parseNumber(priceText) : null,
+    price_period: isRent ? "week" : null,
+    date: common.date,
+    end_date: dates[1] || null,
+    days_on_market: common.days_on_market,
+    agency: common.agency,
+    agent: labelled("agent"),
+  };
+}
+
+
+function historyTime(date) {
+  const parsed = parseDate(date);
+  return parsed ? new Date(parsed.iso).getTime() : 0;
 }
 
 
@@ -121,11 +487,11 @@ async function searchAddress(page, address) {
  * Scrape property-level data from CoreLogic.
  */
 async function scrapeProperty(address) {
-  const { page, context } = await getPage();
+  let page, context;
 
   try {
-    await loginToCoreLogic(page);
-    await searchAddress(page, address);
+    ({ page, context } = await openAuthenticatedPage({ source: "corelogic", key: fixtureKey(address) }));
+    const matchedAddress = await searchAddress(page, address);
 
     // Scroll down to trigger lazy-loaded content (schools, etc.)
     await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
@@ -133,8 +499,9 @@ async function scrapeProperty(address) {
     await page.evaluate(() => window.scrollTo(0, 0));
     await page.waitForTimeout(1000);
 
-    // ── Step 1: Extract basic property data via page.evaluate ──
-    const data = await page.evaluate(() => {
+    // ── Step 1: Read the property page via page.evaluate ──
+    // Only raw text comes back; assemblePropertyData() parses it
+    const raw = await page.evaluate(() => {
       const getText = (sel) => {
         const el = document.querySelector(sel);
         return el ? el.innerText.trim() : "";
@@ -148,33 +515,6 @@ async function scrapeProperty(address) {
         return el ? el.innerText.trim() : "";
       };
 
-      // Year built and property type from attr-container
-      const attrMain = document.querySelector(".attr-container.main");
-      let yearBuilt = "";
-      let propertyType = "";
-      if (attrMain) {
-        const text = attrMain.innerText;
-        const yearMatch = text.match(/Year Built[:\s]*(\d{4})/i);
-        const typeMatch = text.match(/Property Type\s*\n\s*([\w\s:]+)/i);
-        if (yearMatch) yearBuilt = yearMatch[1];
-        if (typeMatch) propertyType = typeMatch[1].trim().split("\n")[0].trim();
-      }
-
-      // Listing description
-      const listingDesc = getText('p[data-testid="listing-desc"]');
-
-      // Sold section
-      const soldSection = document.querySelector('[data-testid="last-sale-transaction-information"]');
-      let soldPrice = "";
-      let soldDate = "";
-      if (soldSection) {
-        const soldText = soldSection.innerText;
-        const priceMatch = soldText.match(/\$[\d,]+/);
-        const dateMatch = soldText.match(/\d{1,2}\s+\w+\s+\d{4}|\d{2}\/\d{2}\/\d{4}/);
-        if (priceMatch) soldPrice = priceMatch[0];
-        if (dateMatch) soldDate = dateMatch[0];
-      }
-
       // Schools — structured extraction from list items
       const schoolItems = document.querySelectorAll('.nearby-school-list-container li[data-testid="list-template"]');
       const schoolsList = [];
@@ -192,21 +532,16 @@ async function scrapeProperty(address) {
         car_spaces: getAttr("car"),
         land_size: getAttr("land-area"),
         floor_area: getAttr("floor-area"),
-        year_built: yearBuilt,
-        property_type: propertyType,
-        listing_description: listingDesc,
-        sold_price: soldPrice,
-        sold_date: soldDate,
+        attributes_text: getText(".attr-container.main"),
+        listing_description: getText('p[data-testid="listing-desc"]'),
+        sold_text: getText('[data-testid="last-sale-transaction-information"]'),
         schools: schoolsList,
       };
     });
 
     // ── Step 2: Handle AVM tabs (requires clicking) ──
-    data.valuation_estimate = "";
-    data.rental_low = "";
-    data.rental_mid = "";
-    data.rental_high = "";
-    data.rental_yield = "";
+    raw.valuation_text = "";
+    raw.rental = null;
 
     try {
       // Find all tabs in the AVM section
@@ -221,16 +556,12 @@ async function scrapeProperty(address) {
           await page.waitForTimeout(1500);
 
           // Get the center value from footer (main estimate)
-          const valuation = await page.evaluate(() => {
+          raw.valuation_text = await page.evaluate(() => {
             const footer = document.querySelector(".valuation-range-footer");
             if (!footer) return "";
             const center = footer.querySelector(".text-center span.author, .legend span.author");
             return center ? center.innerText.trim() : "";
           });
-
-          if (valuation && !valuation.includes("/W") && !valuation.includes("/w")) {
-            data.valuation_estimate = valuation;
-          }
         }
 
         // ── Rental tab ──
@@ -238,9 +569,9 @@ async function scrapeProperty(address) {
           await tab.click();
           await page.waitForTimeout(1500);
 
-          // Get rental values + yield
-          const rental = await page.evaluate(() => {
-            const result = { low: "", mid: "", high: "", yield: "" };
+          // Get rental values + the panel text the yield is read from
+          raw.rental = await page.evaluate(() => {
+            const result = { low: "", mid: "", high: "", panel_text: "" };
 
             const footer = document.querySelector(".valuation-range-footer");
             if (footer) {
@@ -256,53 +587,127 @@ async function scrapeProperty(address) {
               });
             }
 
-            // Rental yield
             const body = document.querySelector(".property-panel-body");
-            if (body) {
-              const yieldMatch = body.innerText.match(/([\d.]+)\s*%/);
-              if (yieldMatch) result.yield = yieldMatch[1] + "%";
-            }
+            if (body) result.panel_text = body.innerText;
 
             return result;
           });
-
-          data.rental_low = rental.low;
-          data.rental_mid = rental.mid;
-          data.rental_high = rental.high;
-          data.rental_yield = rental.yield;
         }
       }
     } catch (e) {
       console.log("AVM tab extraction error:", e.message);
     }
 
-    // ── Step 3: Derive market status ──
-    data.market_status = data.sold_price ? "OFF Market" : "ON Market";
+    // ── Step 3: Property history (all sales + listing campaigns) ──
+    raw.history = await readPropertyHistory(page);
 
-    return { success: true, data };
+    return {
+      success: true,
+      data: { ...assemblePropertyData(raw), matched_address: matchedAddress, address_components: parseAddress(address) },
+    };
   } catch (err) {
     console.error("CoreLogic property scrape error:", err.message);
-    return { success: false, error: err.message };
+    return failure(err, "corelogic");
   } finally {
-    await context.close();
+    if (context) await context.close();
+  }
+}
+
+
+/**
+ * Last-sale price and date from the sold section's text.
+ * "Sold $1,250,000 on 12 Mar 2024 by Private Treaty" → { sold_price: "$1,250,000", sold_date: "12 Mar 2024" }
+ */
+function parseSoldText(text) {
+  const priceMatch = (text || "").match(/\$[\d,]+/);
+  const dateMatch = (text || "").match(/\d{1,2}\s+\w+\s+\d{4}|\d{2}\/\d{2}\/\d{4}/);
+  return {
+    sold_price: priceMatch ? priceMatch[0] : "",
+    sold_date: dateMatch ? dateMatch[0] : "",
+  };
+}
+
+
+/**
+ * Build the /api/property fields from the raw text scrapeProperty()
+ * reads off the page, its AVM tabs and the property timeline.
+ *
+ * @param {object} raw - attributes, attributes_text, sold_text, schools,
+ *   valuation_text, rental ({ low, mid, high, panel_text } or null) and
+ *   history ({ sale_history, listing_history } from readPropertyHistory)
+ */
+function assemblePropertyData(raw) {
+  const attributesText = raw.attributes_text || "";
+  const yearMatch = attributesText.match(/Year Built[:\s]*(\d{4})/i);
+  const typeMatch = attributesText.match(/Property Type\s*\n\s*([\w\s:]+)/i);
+  let { sold_price, sold_date } = parseSoldText(raw.sold_text);
+  const rental = raw.rental || {};
+  const yieldMatch = (rental.panel_text || "").match(/([\d.]+)\s*%/);
+  // A "/W" figure under the valuation tab is the rental estimate still showing
+  const valuation = raw.valuation_text && !/\/w/i.test(raw.valuation_text) ? raw.valuation_text : "";
+
+  let saleHistory = raw.history ? raw.history.sale_history : [];
+  // Last-sale panel missing but the timeline has one
+  if (!sold_price && saleHistory.length > 0) {
+    const [last] = saleHistory;
+    sold_price = last.price ? "$" + last.price.toLocaleString("en-AU") : "";
+    sold_date = last.date || "";
   }
+  if (saleHistory.length === 0 && sold_price) {
+    saleHistory = [{
+      price: parseNumber(sold_price),
+      date: sold_date || null,
+      method: "",
+      days_on_market: null,
+      agency: null,
+    }];
+  }
+
+  return {
+    bedrooms: raw.bedrooms,
+    bathrooms: raw.bathrooms,
+    car_spaces: raw.car_spaces,
+    land_size: raw.land_size,
+    floor_area: raw.floor_area,
+    year_built: yearMatch ? yearMatch[1] : "",
+    property_type: typeMatch ? typeMatch[1].trim().split("\n")[0].trim() : "",
+    listing_description: raw.listing_description,
+    sold_price,
+    sold_date,
+    schools: raw.schools,
+    valuation_estimate: valuation,
+    rental_low: rental.low || "",
+    rental_mid: rental.mid || "",
+    rental_high: rental.high || "",
+    rental_yield: yieldMatch ? yieldMatch[1] + "%" : "",
+    sale_history: saleHistory,
+    listing_history: raw.history ? raw.history.listing_history : [],
+    market_status: sold_price ? "OFF Market" : "ON Market",
+  };
 }
 
 
 /**
  * Scrape comparable sold data from CoreLogic.
- * Reuses the same login session.
+ * Reuses the same page (and cached login session) for every address.
+ *
+ * @param {string[]} addresses
+ * @param {object} [options]
+ * @param {function} [options.onProgress] - (completed, total, address) after each address
  */
-async function scrapeComparables(addresses) {
-  const { page, context } = await getPage();
+async function scrapeComparables(addresses, options = {}) {
+  let page, context;
   const results = [];
 
   try {
-    await loginToCoreLogic(page);
+    ({ page, context } = await openAuthenticatedPage({
+      source: "corelogic",
+      key: fixtureKey("comparables", ...addresses),
+    }));
 
     for (const address of addresses) {
       try {
-        await searchAddress(page, address);
+        const matchedAddress = await searchAddress(page, address);
 
         const data = await page.evaluate(() => {
           const getAttr = (type) => {
@@ -313,43 +718,148 @@ async function scrapeComparables(addresses) {
           };
 
           const soldSection = document.querySelector('[data-testid="last-sale-transaction-information"]');
-          let soldPrice = "";
-          let soldDate = "";
-          if (soldSection) {
-            const soldText = soldSection.innerText;
-            const priceMatch = soldText.match(/\$[\d,]+/);
-            const dateMatch = soldText.match(/\d{1,2}\s+\w+\s+\d{4}|\d{2}\/\d{2}\/\d{4}/);
-            if (priceMatch) soldPrice = priceMatch[0];
-            if (dateMatch) soldDate = dateMatch[0];
-          }
 
           return {
             bedrooms: getAttr("bed"),
             bathrooms: getAttr("bath"),
             car_spaces: getAttr("car"),
             land_size: getAttr("land-area"),
-            sold_price: soldPrice,
-            sold_date: soldDate,
+            sold_text: soldSection ? soldSection.innerText : "",
           };
         });
 
-        results.push({ address, ...data, success: true });
+        const { sold_text: soldText, ...attributes } = data;
+        results.push({
+          address,
+          matched_address: matchedAddress,
+          ...attributes,
+          ...parseSoldText(soldText),
+          address_components: parseAddress(address),
+          success: true,
+        });
       } catch (err) {
         console.error(`Comparable scrape error for ${address}:`, err.message);
-        results.push({ address, success: false, error: err.message });
+        results.push({ address, address_components: parseAddress(address), ...failure(err, "corelogic") });
       }
 
+      if (options.onProgress) options.onProgress(results.length, addresses.length, address);
+
       await page.waitForTimeout(1500);
     }
 
     return { success: true, data: results };
   } catch (err) {
     console.error("CoreLogic comparables error:", err.message);
-    return { success: false, error: err.message };
+    return failure(err, "corelogic");
   } finally {
-    await context.close();
+    if (context) await context.close();
+  }
+}
+
+
+/**
+ * Subject attributes plus the recent sales CoreLogic lists in the
+ * property page's comparables panel (its own radius / recency defaults —
+ * callers filter further, see utils/comparable-discovery.js).
+ *
+ * @param {string} address - subject property
+ * @returns {Promise<object>} { success, data: { subject, comparables: [{ address,
+ *   sold_price, sold_date, bedrooms, bathrooms, car_spaces, land_size,
+ *   property_type, distance }] } }
+ */
+async function scrapeComparablesPanel(address) {
+  let page, context;
+
+  try {
+    ({ page, context } = await openAuthenticatedPage({ source: "corelogic", key: fixtureKey("discover", address) }));
+    const matchedAddress = await searchAddress(page, address);
+
+    const panel = await page.waitForSelector(COMPARABLES_PANEL, { timeout: 15000, state: "attached" }).catch(() => null);
+    if (panel) {
+      await panel.scrollIntoViewIfNeeded().catch(() => {});
+      await page.waitForTimeout(2000);
+      const more = await panel.$(HISTORY_MORE);
+      if (more) {
+        await more.click();
+        await page.waitForTimeout(1500);
+      }
+    }
+
+    const data = await page.evaluate(({ panelSelector, cardSelector }) => {
+      const attrIn = (root, type) => {
+        const el = root.querySelector(
+          `.property-attributes div.property-attribute[type="${type}"] .property-attribute-val span:last-child, div.property-attribute[type="${type}"] .property-attribute-val span:last-child`
+        );
+        return el ? el.innerText.trim() : "";
+      };
+
+      let propertyType = "";
+      const attrMain = document.querySelector(".attr-container.main");
+      if (attrMain) {
+        const typeMatch = attrMain.innerText.match(/Property Type\s*\n\s*([\w\s:]+)/i);
+        if (typeMatch) propertyType = typeMatch[1].trim().split("\n")[0].trim();
+      }
+
+      const subject = {
+        bedrooms: attrIn(document, "bed"),
+        bathrooms: attrIn(document, "bath"),
+        car_spaces: attrIn(document, "car"),
+        land_size: attrIn(document, "land-area"),
+        property_type: propertyType,
+      };
+
+      const panel = document.querySelector(panelSelector);
+      const cards = panel ? [...panel.querySelectorAll(cardSelector)] : [];
+
+      const comparables = cards.map((card) => {
+        const text = card.innerText;
+        const addressEl = card.querySelector('[data-testid="address"], .address, a[href*="/property/"]');
+        const date = text.match(/\d{1,2}\s+[A-Za-z]{3,9}\s+\d{4}|\d{2}\/\d{2}\/\d{4}/);
+        const type = text.match(/\b(House|Unit|Townhouse|Apartment|Villa|Duplex|Land)\b/i);
+        return {
+          address: addressEl ? addressEl.innerText.trim().replace(/\s*\n\s*/g, " ") : text.split("\n")[0].trim(),
+          sold_price: (text.match(/\$[\d,]+/) || [""])[0],
+          sold_date: date ? date[0] : "",
+          bedrooms: attrIn(card, "bed"),
+          bathrooms: attrIn(card, "bath"),
+          car_spaces: attrIn(card, "car"),
+          land_size: attrIn(card, "land-area"),
+          property_type: type ? type[1] : "",
+          distance: (text.match(/([\d.]+)\s*km\b/i) || [""])[0],
+        };
+      }).filter((c) => c.address);
+
+      return { subject, comparables, panel_found: !!panel };
+    }, { panelSelector: COMPARABLES_PANEL, cardSelector: COMPARABLE_CARD });
+
+    if (!data.panel_found) {
+      throw new SelectorMissingError(`CoreLogic comparables panel not found for "${address}"`, { source: "corelogic" });
+    }
+
+    return {
+      success: true,
+      data: {
+        subject: { address, matched_address: matchedAddress, ...data.subject, address_components: parseAddress(address) },
+        comparables: data.comparables,
+      },
+    };
+  } catch (err) {
+    console.error("CoreLogic comparables panel error:", err.message);
+    return failure(err, "corelogic");
+  } finally {
+    if (context) await context.close();
   }
 }
 
 
-module.exports = { scrapeProperty, scrapeComparables };
\ No newline at end of file
+module.exports = {
+  scrapeProperty,
+  scrapeComparables,
+  scrapeComparablesPanel,
+  openAuthenticatedPage,
+  searchAddress,
+  clearSession,
+  assemblePropertyData,
+  parseSoldText,
+  parseHistoryEntry,
+};
\ No newline at end of file
@@ -1,4 +1,24 @@
 const { getPage } = require("../utils/browser");
+const {
+  periodNumber,
+  shiftPeriod,
+  periodLabel,
+  recordSnapshot,
+  getSnapshots,
+  computeTrends,
+} = require("../utils/dsr-history");
+const { rateMetrics } = require("../utils/rating-profiles");
+const {
+  AuthFailedError,
+  AddressNotFoundError,
+  NotConfiguredError,
+  UpstreamChangedError,
+  toScraperError,
+  httpError,
+  failure,
+} = require("../utils/errors");
+const { isReplaying, fixtureKey, replayableFetch } = require("../utils/replay");
+const { toDsrLocality } = require("../utils/address");
 
 // ══════════════════════════════════════════════
 // DSR Data — Direct API approach
@@ -13,10 +33,11 @@ const { getPage } = require("../utils/browser");
 //     &state={STATE}
 //     &postCode={POSTCODE}
 //     &locality={SUBURB_UPPERCASE}
-//     &propTypeCode=H          (H = Houses)
+//     &propTypeCode=H          (H = Houses, U = Units)
 //     &requestType=DSR
 //     &captchaResponse=
 //     &status=noRecap
+//     &month=5&year=2024       (optional — past period, where DSR honours it)
 //
 // Returns:
 //   { response: { month, year, all_mkt_stats: {
@@ -27,6 +48,12 @@ const { getPage } = require("../utils/browser");
 
 const DSR_BASE = "https://dsrdata.com.au";
 
+// Our property type → DSR propTypeCode + report labels
+const PROPERTY_TYPES = {
+  house: { code: "H", median_label: "Median house price", yield_label: "Gross rental yield (houses)" },
+  unit: { code: "U", median_label: "Median unit price", yield_label: "Gross rental yield (units)" },
+};
+
 // ── LOGIN SELECTORS ──
 const SELECTORS = {
   emailInput: 'input#emailId',
@@ -37,21 +64,44 @@ const SELECTORS = {
 // Cache the session so we don't re-login for every request
 let cachedSession = null;
 let sessionExpiry = 0;
+let loginInFlight = null;
 const SESSION_TTL = 25 * 60 * 1000; // 25 minutes
 
 
 /**
- * Log in to DSR Data and capture the access_token + JSESSIONID.
- * 
- * The access_token appears in API calls made after login.
- * We intercept network requests to capture it.
+ * Return the cached DSR session, logging in if needed.
+ *
+ * Single-flight: parallel lookups (e.g. a batch) share one login.
  */
 async function getSession() {
+  // Replay serves recorded API responses — no login needed
+  if (isReplaying()) return { accessToken: "replay", cookies: "" };
+
   // Return cached session if still valid
   if (cachedSession && Date.now() < sessionExpiry) {
     return cachedSession;
   }
 
+  if (!loginInFlight) {
+    loginInFlight = createSession().finally(() => {
+      loginInFlight = null;
+    });
+  }
+  return loginInFlight;
+}
+
+
+/**
+ * Log in to DSR Data and capture the access_token + JSESSIONID.
+ * 
+ * The access_token appears in API calls made after login.
+ * We intercept network requests to capture it.
+ */
+async function createSession() {
+  if (!process.env.DSR_EMAIL || !process.env.DSR_PASSWORD) {
+    throw new NotConfiguredError("DSR_EMAIL / DSR_PASSWORD not configured", { source: "dsr" });
+  }
+
   const { page, context } = await getPage();
 
   try {
@@ -157,7 +207,7 @@ async function getSession() {
     const jsessionCookie = cookies.find((c) => c.name === "JSESSIONID");
 
     if (!jsessionCookie) {
-      throw new Error("Failed to capture JSESSIONID after login");
+      throw new AuthFailedError("Failed to capture JSESSIONID after login", { source: "dsr" });
     }
 
     // If still no access_token, try extracting from page content
@@ -174,9 +224,10 @@ async function getSession() {
 
     if (!accessToken) {
       console.log("DSR page URL at token capture:", page.url());
-      throw new Error(
+      throw new AuthFailedError(
         "Failed to capture access_token (no UUID found in network requests or page JS). " +
-        "The suburb search may not have triggered the API call."
+        "The suburb search may not have triggered the API call.",
+        { source: "dsr", retryable: true }
       );
     }
 
@@ -191,7 +242,9 @@ async function getSession() {
     return cachedSession;
   } catch (err) {
     console.error("DSR login error:", err.message);
-    throw err;
+    if (err instanceof AuthFailedError) throw err;
+    const cause = toScraperError(err, "dsr");
+    throw new AuthFailedError(`DSR login failed: ${cause.message}`, { source: "dsr", retryable: cause.retryable, cause: err });
   } finally {
     await context.close();
   }
@@ -201,51 +254,164 @@ async function getSession() {
 /**
  * Fetch suburb stats from DSR Data via direct API call.
  * No browser needed after initial login — just HTTP GET.
+ *
+ * @param {string} suburb
+ * @param {string} state
+ * @param {string} postcode
+ * @param {string} [propertyType="house"] - "house" or "unit"
  */
-async function scrapeStockOnMarket(suburb, state, postcode) {
+async function scrapeStockOnMarket(suburb, state, postcode, propertyType = "house") {
   try {
-    const session = await getSession();
+    if (!PROPERTY_TYPES[propertyType]) {
+      throw new Error(`Unknown property type: ${propertyType}`);
+    }
 
-    const url = buildApiUrl(session.accessToken, suburb, state, postcode);
+    const json = await fetchAllMktStats(suburb, state, postcode, propertyType);
+    const result = formatResponse(json, propertyType, { state, postcode });
 
-    console.log("DSR API call:", url.substring(0, 120) + "...");
-    console.log("DSR token:", session.accessToken);
+    // Keep a monthly snapshot for /api/suburb/history
+    if (result.success) {
+      const period = periodNumber(result.data.data_month, result.data.data_year);
+      recordSnapshot(suburb, state, postcode, propertyType, period, result.data.metrics);
+    }
 
-    let response = await fetch(url, {
+    return result;
+  } catch (err) {
+    console.error("DSR API error:", err.message);
+    return failure(err, "dsr");
+  }
+}
+
+
+/**
+ * Call getAllMktStats.json, re-authenticating once if the session has expired.
+ *
+ * @param {number} [period] - past month to request (e.g. 202405); omit for current
+ * @returns {object} raw DSR JSON
+ */
+async function fetchAllMktStats(suburb, state, postcode, propertyType, period) {
+  const session = await getSession();
+
+  const url = buildApiUrl(session.accessToken, suburb, state, postcode, propertyType, period);
+  const fixture = { source: "dsr", key: fixtureKey(suburb, state, postcode, propertyType, period) };
+
+  console.log("DSR API call:", url.substring(0, 120) + "...");
+  console.log("DSR token:", session.accessToken);
+
+  let response = await replayableFetch(fixture, url, {
+    headers: {
+      Accept: "*/*",
+      Cookie: session.cookies,
+      Referer: `${DSR_BASE}/products/suburb_analyser_show`,
+    },
+  });
+
+  // Session expired — clear cache and retry once
+  if (response.status === 401 || response.status === 403) {
+    console.log("⚠️ DSR session expired, re-authenticating...");
+    cachedSession = null;
+    sessionExpiry = 0;
+
+    const newSession = await getSession();
+    const retryUrl = buildApiUrl(newSession.accessToken, suburb, state, postcode, propertyType, period);
+
+    response = await replayableFetch(fixture, retryUrl, {
       headers: {
         Accept: "*/*",
-        Cookie: session.cookies,
+        Cookie: newSession.cookies,
         Referer: `${DSR_BASE}/products/suburb_analyser_show`,
       },
     });
+  }
 
-    // Session expired — clear cache and retry once
-    if (response.status === 401 || response.status === 403) {
-      console.log("⚠️ DSR session expired, re-authenticating...");
-      cachedSession = null;
-      sessionExpiry = 0;
-
-      const newSession = await getSession();
-      const retryUrl = buildApiUrl(newSession.accessToken, suburb, state, postcode);
-
-      response = await fetch(retryUrl, {
-        headers: {
-          Accept: "*/*",
-          Cookie: newSession.cookies,
-          Referer: `${DSR_BASE}/products/suburb_analyser_show`,
-        },
-      });
+  if (response.status === 401 || response.status === 403) {
+    throw new AuthFailedError(`DSR API rejected a fresh session (${response.status})`, { source: "dsr", retryable: true });
+  }
+  if (!response.ok) {
+    throw httpError(response, "dsr", "DSR API");
+  }
+
+  try {
+    return await response.json();
+  } catch (err) {
+    throw new UpstreamChangedError("DSR API did not return JSON", { source: "dsr", cause: err });
+  }
+}
+
+
+/**
+ * Monthly DSR metrics for a suburb over the past N months, with trends.
+ *
+ * For each past month we ask DSR for that period directly. DSR only
+ * honours month/year for some accounts — if it answers with a
+ * different month, that month is filled from our own stored
+ * snapshots instead (see utils/dsr-history.js).
+ *
+ * @param {number} [months=12] - how many months back from the latest
+ * @returns {object} { success, data: { months, sources, series, trends } }
+ */
+async function scrapeMarketHistory(suburb, state, postcode, propertyType = "house", months = 12) {
+  try {
+    if (!PROPERTY_TYPES[propertyType]) {
+      throw new Error(`Unknown property type: ${propertyType}`);
     }
 
-    if (!response.ok) {
-      throw new Error(`DSR API returned ${response.status}`);
+    const current = await scrapeStockOnMarket(suburb, state, postcode, propertyType);
+    if (!current.success) return current;
+
+    const latest = periodNumber(current.data.data_month, current.data.data_year);
+    if (!latest) throw new UpstreamChangedError("DSR response has no data month", { source: "dsr" });
+
+    const monthly = { [latest]: current.data.metrics };
+    const sources = { [periodLabel(latest)]: "dsr" };
+    const snapshots = getSnapshots(suburb, state, postcode, propertyType);
+    let dsrHistoryAvailable = true;
+
+    for (let n = 1; n <= months; n++) {
+      const period = shiftPeriod(latest, n);
+
+      if (dsrHistoryAvailable) {
+        try {
+          const json = await fetchAllMktStats(suburb, state, postcode, propertyType, period);
+          const formatted = formatResponse(json, propertyType, { state, postcode });
+          if (formatted.success && periodNumber(formatted.data.data_month, formatted.data.data_year) === period) {
+            monthly[period] = formatted.data.metrics;
+            sources[periodLabel(period)] = "dsr";
+            recordSnapshot(suburb, state, postcode, propertyType, period, formatted.data.metrics);
+            continue;
+          }
+          // DSR ignored the requested period — stop asking
+          dsrHistoryAvailable = false;
+        } catch (err) {
+          console.log(`   ⚠️ DSR history for ${periodLabel(period)} failed: ${err.message}`);
+          dsrHistoryAvailable = false;
+        }
+      }
+
+      if (snapshots[period]) {
+        monthly[period] = snapshots[period];
+        sources[periodLabel(period)] = "snapshot";
+      }
     }
 
-    const json = await response.json();
-    return formatResponse(json);
+    const { series, trends } = computeTrends(monthly);
+
+    return {
+      success: true,
+      data: {
+        property_type: propertyType,
+        data_month: current.data.data_month,
+        data_year: current.data.data_year,
+        months_requested: months,
+        months_available: Object.keys(monthly).length,
+        sources,
+        series,
+        trends,
+      },
+    };
   } catch (err) {
-    console.error("DSR API error:", err.message);
-    return { success: false, error: err.message };
+    console.error("DSR history error:", err.message);
+    return failure(err, "dsr");
   }
 }
 
@@ -253,18 +419,23 @@ async function scrapeStockOnMarket(suburb, state, postcode) {
 /**
  * Build the getAllMktStats.json URL with parameters.
  */
-function buildApiUrl(accessToken, suburb, state, postcode) {
+function buildApiUrl(accessToken, suburb, state, postcode, propertyType = "house", period) {
   const params = new URLSearchParams({
     access_token: accessToken,
     state: state.toUpperCase(),
     postCode: postcode,
-    locality: suburb.toUpperCase(),
-    propTypeCode: "H",
+    locality: toDsrLocality(suburb),
+    propTypeCode: PROPERTY_TYPES[propertyType].code,
     requestType: "DSR",
     captchaResponse: "",
     status: "noRecap",
   });
 
+  if (period) {
+    params.set("month", String(period % 100));
+    params.set("year", String(Math.floor(period / 100)));
+  }
+
   return `${DSR_BASE}/DSRWeb/secure/getAllMktStats.json?${params}`;
 }
 
@@ -280,34 +451,42 @@ function buildApiUrl(accessToken, suburb, state, postcode) {
  *       DISCOUNT: "-.56"
  *   }}}
  */
-function formatResponse(json) {
+function formatResponse(json, propertyType = "house", location = {}) {
   const stats = json?.response?.all_mkt_stats;
+  const labels = PROPERTY_TYPES[propertyType];
 
+  // A normal envelope without stats means DSR doesn't know the locality
   if (!stats) {
-    return { success: false, error: "No stats in DSR response" };
+    return json?.response
+      ? failure(new AddressNotFoundError("No DSR stats for this suburb / postcode", { source: "dsr" }))
+      : failure(new UpstreamChangedError("No stats in DSR response", { source: "dsr" }));
   }
 
-  const stockOnMarket = parseFloat(stats.SOM_PERC) || 0;
-  const vacancy = parseFloat(stats.VACANCY) || 0;
-  const dom = parseFloat(stats.DOM) || 0;
+  // Ratings come from the profile for this state / region / property type
+  const metrics = extractMetrics(stats);
+  const { profile, ratings, details } = rateMetrics(metrics, { ...location, propertyType });
 
   return {
     success: true,
     data: {
+      property_type: propertyType,
+      median_label: labels.median_label,
+      yield_label: labels.yield_label,
+
       // Primary fields for your suburb report
       stock_on_market: parseFloat(stats.SOM_PERC).toFixed(2) + "%",
-      stock_rating: stockOnMarket <= 1.5 ? "Low" : stockOnMarket <= 3.0 ? "Average" : "High",
+      stock_rating: ratings.stock_rating,
 
       days_on_market: String(stats.DOM),
-      dom_rating: dom <= 25 ? "Fast" : dom <= 45 ? "Average" : "Slow",
+      dom_rating: ratings.dom_rating,
 
       vendor_discounting: parseFloat(stats.DISCOUNT).toFixed(2) + "%",
 
       vacancy_rate: parseFloat(stats.VACANCY).toFixed(2) + "%",
-      vacancy_rating: vacancy <= 2.0 ? "Low" : vacancy <= 3.0 ? "Average" : "High",
+      vacancy_rating: ratings.vacancy_rating,
 
       gross_rental_yield: parseFloat(stats.YIELD).toFixed(2) + "%",
-      yield_rating: stats.YIELD >= 5 ? "Strong" : stats.YIELD >= 3 ? "Average" : "Low",
+      yield_rating: ratings.yield_rating,
 
       dsr_score: String(stats.DSR),
       median_12_months: "$" + Number(stats.MEDIAN_12).toLocaleString(),
@@ -320,15 +499,48 @@ function formatResponse(json) {
       // Data period
       data_month: json.response.month,
       data_year: json.response.year,
+
+      // Which thresholds produced the ratings above
+      rating_profile: profile,
+      rating_details: details,
+
+      // Raw numbers for history, trends and ranking
+      metrics,
     },
   };
 }
 
 
+/**
+ * Numeric view of all_mkt_stats (null where DSR sent nothing usable).
+ */
+function extractMetrics(stats) {
+  const num = (v) => {
+    const n = parseFloat(v);
+    return isNaN(n) ? null : n;
+  };
+
+  return {
+    dsr_score: num(stats.DSR),
+    days_on_market: num(stats.DOM),
+    stock_on_market: num(stats.SOM_PERC),
+    vacancy_rate: num(stats.VACANCY),
+    gross_rental_yield: num(stats.YIELD),
+    vendor_discount: num(stats.DISCOUNT),
+    median_12_months: num(stats.MEDIAN_12),
+    typical_value: num(stats.TV),
+    renters_percentage: num(stats.RENTERS),
+    auction_clearance_rate: num(stats.ACR),
+    online_search_interest: num(stats.OSI),
+    statistical_reliability: num(stats.SR),
+  };
+}
+
+
 function clearSession() {
   cachedSession = null;
   sessionExpiry = 0;
 }
 
 
-module.exports = { scrapeStockOnMarket, clearSession };
\ No newline at end of file
+module.exports = { scrapeStockOnMarket, scrapeMarketHistory, clearSession, formatResponse, buildApiUrl, PROPERTY_TYPES };
@@ -2,161 +2,797 @@ require("dotenv").config();
 const express = require("express");
 const { authMiddleware } = require("./utils/auth");
 const { scrapeProperty, scrapeComparables } = require("./scrapers/corelogic");
-const { scrapeStockOnMarket } = require("./scrapers/dsr");
+const { scrapeStockOnMarket, scrapeMarketHistory } = require("./scrapers/dsr");
 const { generateSuburbText } = require("./utils/ai-text");
-const {scrapeSqmVacancy} = require("./utils/sqm-vacancy");
+const { createJob, getJob } = require("./utils/jobs");
+const { getPoolStats } = require("./utils/browser");
+const { mapWithConcurrency } = require("./utils/concurrency");
+const { resolveWeights, rankSuburbs, listProfiles } = require("./utils/suburb-ranking");
+const { rateMetrics, selectProfile, listRatingProfiles } = require("./utils/rating-profiles");
+const { versionedResponse, toV2Response } = require("./utils/response-v2");
+const { withCache, purge: purgeSuburbCache, cacheStats } = require("./utils/suburb-cache");
+const { openApiDocument } = require("./utils/openapi");
+const { validateRequest } = require("./utils/validate");
+const { failure, statusFor, describeFailure } = require("./utils/errors");
+const { SCRAPER_MODE } = require("./utils/replay");
+const { getDeepHealth } = require("./utils/health");
+const { parseAddress, postcodeMatchesState, statesForPostcode } = require("./utils/address");
+const { discoverComparables } = require("./utils/comparable-discovery");
+const { resolveAdjustments, valueProperty, listAdjustments } = require("./utils/comparable-valuation");
+const { resolveMergeOptions, scrapeMergedComparables } = require("./utils/comparable-merge");
+const { scrapeDomainListing } = require("./utils/domain-listing");
+const { resolveFields, listProviders, providerLabel } = require("./utils/suburb-providers");
+const { findRentalComparables } = require("./utils/rental-comparables");
 
 const app = express();
 app.use(express.json({ limit: "5mb" }));
+
+// ─── Unreadable bodies ───
+// express.json() passes bad JSON and oversized bodies on as errors;
+// answer them like any other validation failure instead of with
+// Express's HTML error page.
+app.use((err, req, res, next) => {
+  if (err.type === "entity.parse.failed") {
+    return badRequest(res, "(body): must be valid JSON", [{ field: "(body)", message: "must be valid JSON" }]);
+  }
+  if (err.type === "entity.too.large") {
+    return badRequest(res, "(body): must be at most 5mb", [{ field: "(body)", message: "must be at most 5mb" }]);
+  }
+  next(err);
+});
+
 app.use(authMiddleware);
 
+// ─── API description (behind the API key, like every other route) ───
+// Every route and response is described in utils/openapi.js; the
+// validateRequest() middleware on each route is generated from it.
+app.get("/openapi.json", (req, res) => {
+  res.json(openApiDocument);
+});
+
 // ─── Health check ───
 app.get("/health", (req, res) => {
   res.json({ status: "ok", timestamp: new Date().toISOString() });
 });
 
+// ─── Deep health: logs in to / scrapes a canary on every source ───
+// Cached (see utils/health.js); 503 unless every source passes, so
+// uptime monitors alert on it. ?refresh=true re-runs the checks.
+app.get("/health/deep", validateRequest("/health/deep"), async (req, res) => {
+  try {
+    const report = await getDeepHealth({ refresh: req.query.refresh === "true" });
+    res.status(report.status === "ok" ? 200 : 503).json({ success: report.status === "ok", data: report });
+  } catch (err) {
+    console.error("❌ Deep health error:", err);
+    sendFailure(res, failure(err));
+  }
+});
+
+// ─── Browser pool usage ───
+app.get("/api/browser/stats", (req, res) => {
+  res.json({ success: true, data: getPoolStats() });
+});
+
+
+// ─── Response versions ───
+// /api/suburb, /api/suburbs/batch, /api/property and both comparables
+// endpoints return v1 (formatted strings) by default. Send
+// `Accept-Version: 2` or `?version=2` for typed fields
+// ({ value, unit, display }) — see utils/response-v2.js.
+
+
+// ─── Error responses ───
+// Every failure body carries { error, code, retryable, source } (see
+// utils/errors.js) and the HTTP status follows the code: 404 for
+// ADDRESS_NOT_FOUND, 429 for RATE_LIMITED, 502/503 for upstream trouble.
+//
+function sendFailure(res, result) {
+  res.status(statusFor(result)).json(result);
+}
+
+function badRequest(res, message, details) {
+  res.status(400).json({
+    success: false,
+    error: message,
+    code: "VALIDATION_ERROR",
+    retryable: false,
+    source: "request",
+    ...(details ? { details } : {}),
+  });
+}
+
+
+// ─── State / postcode consistency ───
+// The OpenAPI schema checks each field alone; this rejects pairs like
+// VIC 2155 (utils/address.js ranges) for the body or each suburbs[] entry.
+//
+function checkStatePostcode(req, res, next) {
+  const entries = Array.isArray(req.body.suburbs)
+    ? req.body.suburbs.map((entry, i) => [`suburbs[${i}].`, entry])
+    : [["", req.body]];
+
+  const details = [];
+  for (const [prefix, { state, postcode } = {}] of entries) {
+    if (state && postcode && !postcodeMatchesState(state, postcode)) {
+      const expected = statesForPostcode(postcode);
+      details.push({
+        field: `${prefix}postcode`,
+        message: `${postcode} is not a ${String(state).toUpperCase()} postcode${expected.length ? ` (${expected.join("/")})` : ""}`,
+      });
+    }
+  }
+
+  if (details.length > 0) {
+    return badRequest(res, details.slice(0, 5).map((d) => `${d.field}: ${d.message}`).join("; "), details);
+  }
+  next();
+}
+
+
+// ══════════════════════════════════════════════
+// JOB MODE
+// ══════════════════════════════════════════════
+// Any scrape endpoint accepts { async: true } or { callbackUrl }
+// in its body. Instead of holding the connection open it returns
+// 202 + jobId; the result is fetched from GET /api/jobs/:id.
+// The job result uses the response version of the submitting request.
+//
+function wantsJob(body) {
+  return body.async === true || !!body.callbackUrl;
+}
+
+function startJob(req, res, type, runner) {
+  const { callbackUrl } = req.body;
+
+  const versionedRunner = req.apiVersion === 2
+    ? async (job) => toV2Response(await runner(job))
+    : runner;
+
+  const job = createJob(type, req.body, versionedRunner, { callbackUrl });
+  console.log(`📥 Queued ${type} job ${job.id}`);
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/api/jobs/${job.id}`,
+  });
+}
+
+app.get("/api/jobs/:id", validateRequest("/api/jobs/{id}"), (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return sendFailure(res, { success: false, error: "Job not found", code: "NOT_FOUND", retryable: false, source: "request" });
+  }
+  res.json({ success: true, data: job });
+});
+
 // ══════════════════════════════════════════════
 // SUBURB ENDPOINT
 // ══════════════════════════════════════════════
 //
 // Speed-optimised flow:
-//   1. DSR API       (~100ms) → all numeric stats
-//   2. SQM Research  (~10s)   → vacancy rate (SOP requirement)
-//   3. Claude API    (~3-5s)  → suburb overview, highlights, future prospects
+//   1. Numbers via the provider registry (utils/suburb-providers.js):
+//        DSR API       (~100ms) → all numeric stats
+//        SQM Research  (~10s)   → vacancy rate (SOP requirement)
+//        Domain        (~8s)    → suburb profile, only for fields the
+//                                 providers before it left empty
+//      Per-field priority chains: config/suburb-providers.json
+//   2. Claude API    (~3-5s)  → suburb overview, highlights, future prospects
+//
+// field_sources in the response names the provider of every number
+// ("domain (4 bed)" when Domain only had a single bedroom row's);
+// GET /api/suburb/providers lists providers and the resolved chains.
 //
 // Claude receives the DSR stats so it can reference real data.
 // No CoreLogic Playwright needed for suburb data anymore.
 //
-app.post("/api/suburb", async (req, res) => {
-  const { suburb, state, postcode, skipAiText } = req.body;
+// Each source is cached on disk (see utils/suburb-cache.js), so a
+// repeat request for the same suburb is near-instant and reuses the
+// same AI text. Pass { refresh: true } to bypass the cache.
+// `skipAiText` is still honoured for older scenarios, but the cache
+// makes it unnecessary.
+//
+// propertyType: "house" (default), "unit" or "both". The top-level
+// stats come from the first type (house for "both"); every requested
+// type is also returned side by side under market_stats.
+//
+// includeTrends: true also pulls 12 months of DSR history (see
+// /api/suburb/history) into the response and the Claude prompt.
+//
+// ratingProfile: name from config/rating-profiles.json to override the
+// profile picked from state / metro-regional / property type.
+//
+app.post("/api/suburb", validateRequest("/api/suburb"), checkStatePostcode, versionedResponse, async (req, res) => {
+  const { suburb, state, postcode, skipAiText, refresh, propertyType = "house", includeTrends, ratingProfile } = req.body;
 
-  if (!suburb || !state || !postcode) {
-    return res.status(400).json({
-      success: false,
-      error: "Missing required fields: suburb, state, postcode",
-    });
+  if (ratingProfile) {
+    try {
+      selectProfile({ profile: ratingProfile });
+    } catch (err) {
+      return badRequest(res, err.message);
+    }
   }
 
-  console.log(`📍 Suburb data for: ${suburb} ${state} ${postcode}`);
+  const options = { skipAiText, refresh, propertyType, includeTrends, ratingProfile };
+
+  if (wantsJob(req.body)) {
+    return startJob(req, res, "suburb", (job) => {
+      job.setProgress(0, 1, "Compiling suburb data");
+      return compileSuburbData(suburb, state, postcode, options);
+    });
+  }
 
   try {
-    // Step 1: Get DSR stats
-    const dsrResult = await scrapeStockOnMarket(suburb, state, postcode).catch(err => ({ success: false, error: err.message }));
+    const result = await compileSuburbData(suburb, state, postcode, options);
+    res.json(result);
+  } catch (err) {
+    console.error("❌ Suburb endpoint error:", err);
+    sendFailure(res, failure(err));
+  }
+});
 
-    const dsr = dsrResult.success ? dsrResult.data : {};
 
-    // Step 2: ─ AI Text (skip if reusing cached suburb report) ──
-    let aiResult = { success: true, data: {} };  // <-- DEFAULT to empty
-    if (!skipAiText) {
-      console.log(`   🤖 Generating AI text for ${suburb}...`);
-      aiResult = await generateSuburbText(suburb, state, postcode, dsr);
-      if (!aiResult.success) {
-        console.log(`   ⚠️ AI text generation failed: ${aiResult.error}`);
-        aiResult = { success: true, data: {} }; // fallback to empty
+/**
+ * Resolve the suburb numbers through the provider registry, then
+ * Claude text. Shared by the synchronous endpoint and suburb jobs.
+ */
+async function compileSuburbData(suburb, state, postcode, { skipAiText, refresh, propertyType = "house", includeTrends, ratingProfile } = {}) {
+  console.log(`📍 Suburb data for: ${suburb} ${state} ${postcode} (${propertyType})`);
+
+  const location = { suburb, state, postcode };
+  const types = propertyType === "both" ? ["house", "unit"] : [propertyType];
+
+  // Step 1: Numbers — each field from the first provider in its chain
+  // (config/suburb-providers.json) that has it: DSR, SQM, Domain
+  // Medians for a type that wasn't requested would never come from DSR,
+  // so they mustn't trigger the Domain fallback — fill them only if it ran
+  const fields = SUBURB_FIELDS.filter((f) => !TYPE_FIELDS[f] || types.includes(TYPE_FIELDS[f]));
+  const resolved = await resolveFields(fields, location, {
+    types, refresh, ratingProfile,
+    opportunistic: [...SUBURB_FIELDS.filter((f) => !fields.includes(f)), ...OPPORTUNISTIC_FIELDS],
+  });
+  const { values, provenance } = resolved;
+  const cache = { ...resolved.cache };
+  const marketStats = resolved.raw.dsr?.market_stats || {};
+
+  let dsr = marketStats[types[0]] || {};
+
+  // Optional: 12-month DSR trends for each type (also fed to Claude)
+  let trends = null;
+  if (includeTrends) {
+    trends = {};
+    cache.dsr_history = {};
+    for (const type of Object.keys(marketStats)) {
+      const historyCached = await withCache("dsr_history", { ...location, propertyType: type, variant: "12" }, () =>
+        scrapeMarketHistory(suburb, state, postcode, type, 12),
+        { refresh }
+      );
+      const history = historyCached.result;
+      cache.dsr_history[type] = historyCached.cache;
+      if (history.success) {
+        trends[type] = history.data.trends;
+        marketStats[type] = { ...marketStats[type], trends: history.data.trends };
       }
-    } else {
-      console.log(`   ⏩ Skipping AI text generation (suburb report being reused)`);
     }
+    dsr = marketStats[types[0]] || {};
+  }
+
+  // Step 2: ─ AI Text (skip if reusing cached suburb report) ──
+  let aiResult = { success: true, data: {} };  // <-- DEFAULT to empty
+  if (!skipAiText) {
+    const aiStats = types.length > 1 ? types.map((t) => marketStats[t]).filter(Boolean) : dsr;
+    // Trends change the prompt, so they get their own cached text
+    const aiCached = await withCache("ai", { ...location, propertyType, variant: includeTrends ? "trends" : undefined }, () => {
+      console.log(`   🤖 Generating AI text for ${suburb}...`);
+      return generateSuburbText(suburb, state, postcode, aiStats);
+    }, { refresh });
+    aiResult = aiCached.result;
+    cache.ai = aiCached.cache;
+    if (!aiResult.success) {
+      console.log(`   ⚠️ AI text generation failed: ${aiResult.error}`);
+    }
+  } else {
+    console.log(`   ⏩ Skipping AI text generation (suburb report being reused)`);
+  }
 
-    const ai = aiResult.success ? aiResult.data : {};
+  const ai = aiResult.success ? aiResult.data : {};  // fallback to empty
 
-    // Log failures
-    const errors = [];
-    if (!dsrResult.success)
-      errors.push({ source: "dsr", error: dsrResult.error });
-    if (!aiResult.success)
-      errors.push({ source: "claude", error: aiResult.error });
+  // Sources that failed, with code / retryable so callers can re-request
+  const errors = [...resolved.failures];
+  if (!aiResult.success)
+    errors.push(describeFailure(aiResult));
 
-    if (errors.length > 0) console.warn("⚠️ Some sources failed:", errors);
+  if (errors.length > 0) console.warn("⚠️ Some sources failed:", errors);
 
-    // ── SQM Research vacancy rate (more accurate than DSR) ──
-    let sqmVacancy = null;
-    try {
-      const sqmResult = await scrapeSqmVacancy(postcode);
-      if (sqmResult.success && sqmResult.data?.vacancy_rate) {
-        sqmVacancy = sqmResult.data;
-        console.log(`   ✅ SQM vacancy: ${sqmVacancy.vacancy_rate} (${sqmVacancy.period || "latest"})`);
+  // Rate whichever vacancy figure we actually report (DSR rates its own)
+  const vacancyRating = { label: dsr.vacancy_rating || "", detail: dsr.rating_details?.vacancy_rating || null };
+  const vacancyRate = parseFloat(values.vacancy_rate);
+  if (provenance.vacancy_rate && provenance.vacancy_rate !== "dsr" && !isNaN(vacancyRate)) {
+    const rated = rateMetrics({ vacancy_rate: vacancyRate }, {
+      state, postcode, propertyType: types[0], profile: ratingProfile,
+    });
+    vacancyRating.label = rated.ratings.vacancy_rating;
+    vacancyRating.detail = rated.details.vacancy_rating;
+  }
+
+  // ── COMBINE ──
+  const combined = {
+    // Text — from Claude (grounded with DSR stats)
+    city_name: ai.city_name || "",
+    city_overview: ai.city_overview || "",
+    suburb_overview: ai.suburb_overview || "",
+    highlights: ai.highlights || [],
+    future_prospects: ai.future_prospects || "",
+    suburb_demographics: ai.suburb_demographics || "",
+
+    // Numbers — from the provider registry (field_sources says which)
+    stock_on_market: values.stock_on_market,
+    stock_rating: dsr.stock_rating || "",
+    days_on_market: values.days_on_market,
+    dom_rating: dsr.dom_rating || "",
+    vendor_discounting: values.vendor_discounting,
+    gross_rental_yield: values.gross_rental_yield,
+    yield_rating: dsr.yield_rating || "",
+    median_house_price: values.median_house_price,
+    median_unit_price: values.median_unit_price,
+    typical_value: values.typical_value,
+    renters_percentage: values.renters_percentage,
+    dsr_score: values.dsr_score,
+    auction_clearance_rate: values.auction_clearance_rate,
+    online_search_interest: values.online_search_interest,
+
+    // Domain only — filled when the suburb profile was fetched anyway
+    median_rent: values.median_rent,
+    number_sold: values.number_sold,
+    owner_percentage: values.owner_percentage,
+
+    // Vacancy — SQM over DSR by default
+    vacancy_rate: values.vacancy_rate,
+    vacancy_source: providerLabel(provenance.vacancy_rate),
+    vacancy_period: values.vacancy_period,
+    vacancy_rating: vacancyRating.label,
+    vacancy_trend: values.vacancy_trend || null,
+
+    // Data period
+    data_month: dsr.data_month || "",
+    data_year: dsr.data_year || "",
+
+    // Rating thresholds used (profile + band per rating)
+    rating_profile: dsr.rating_profile || "",
+    rating_details: {
+      ...(dsr.rating_details || {}),
+      ...(vacancyRating.detail ? { vacancy_rating: vacancyRating.detail } : {}),
+    },
+
+    // Per property type — DSR stats side by side
+    property_type: propertyType,
+    market_stats: marketStats,
+    ...(resolved.raw.domain ? { domain_stats: resolved.raw.domain.domain_stats } : {}),
+    ...(trends ? { trends } : {}),
+
+    field_sources: provenance,
+  };
+
+  console.log(`✅ Suburb data compiled for ${suburb} (${Object.keys(errors).length === 0 ? 'all sources OK' : errors.length + ' failures'})`);
+  return { success: true, data: combined, errors, cache };
+}
+
+// Numeric /api/suburb fields resolved through the provider registry
+const SUBURB_FIELDS = [
+  "stock_on_market", "days_on_market", "vendor_discounting", "gross_rental_yield",
+  "median_house_price", "median_unit_price", "typical_value", "renters_percentage",
+  "dsr_score", "auction_clearance_rate", "online_search_interest",
+  "vacancy_rate", "vacancy_period", "vacancy_trend",
+];
+
+// Only Domain has these; not worth a browser scrape on their own
+const OPPORTUNISTIC_FIELDS = ["median_rent", "number_sold", "owner_percentage"];
+
+// Fields DSR only has when that property type was fetched
+const TYPE_FIELDS = { median_house_price: "house", median_unit_price: "unit" };
+
+
+// ══════════════════════════════════════════════
+// BATCH SUBURB ENDPOINT
+// ══════════════════════════════════════════════
+// Shortlists of 20–40 suburbs in one call. Each entry runs the same
+// pipeline as /api/suburb; the DSR login is shared (single-flight
+// session) and SQM lookups share the pooled browser.
+//
+// Body: {
+//   suburbs: [{ suburb, state, postcode, skipAiText?, propertyType? }],
+//   concurrency?: 1–5 (default 3),
+//   skipAiText?, propertyType?   ← defaults for entries that don't set them
+// }
+// Limits (50 suburbs, concurrency ≤ 5) come from the OpenAPI schema.
+//
+app.post("/api/suburbs/batch", validateRequest("/api/suburbs/batch"), checkStatePostcode, versionedResponse, async (req, res) => {
+  const { suburbs, concurrency: limit = 3, skipAiText = false, propertyType = "house" } = req.body;
+
+  const runBatch = async (onProgress) => {
+    let done = 0;
+    const results = await mapWithConcurrency(suburbs, limit, async (entry) => {
+      const { suburb, state, postcode } = entry;
+      const type = entry.propertyType || propertyType;
+      let result;
+      try {
+        const compiled = await compileSuburbData(suburb, state, postcode, {
+          skipAiText: entry.skipAiText ?? skipAiText,
+          refresh: entry.refresh ?? req.body.refresh,
+          ratingProfile: entry.ratingProfile ?? req.body.ratingProfile,
+          propertyType: type,
+        });
+        result = { suburb, state, postcode, ...compiled };
+      } catch (err) {
+        console.error(`❌ Batch entry ${suburb} failed:`, err.message);
+        result = { suburb, state, postcode, ...failure(err) };
       }
-    } catch (err) {
-      console.log(`   ⚠️ SQM vacancy fetch failed: ${err.message}`);
-    }
+      onProgress(++done, suburbs.length, suburb);
+      return result;
+    });
 
-    // ── COMBINE ──
-    const combined = {
-      // Text — from Claude (grounded with DSR stats)
-      city_name: ai.city_name || "",
-      city_overview: ai.city_overview || "",
-      suburb_overview: ai.suburb_overview || "",
-      highlights: ai.highlights || [],
-      future_prospects: ai.future_prospects || "",
-      suburb_demographics: ai.suburb_demographics || "",
-
-      // Numbers — from DSR API
-      stock_on_market: dsr.stock_on_market || "",
-      stock_rating: dsr.stock_rating || "",
-      days_on_market: dsr.days_on_market || "",
-      dom_rating: dsr.dom_rating || "",
-      vendor_discounting: dsr.vendor_discounting || "",
-      gross_rental_yield: dsr.gross_rental_yield || "",
-      yield_rating: dsr.yield_rating || "",
-      median_house_price: dsr.median_12_months || "",
-      typical_value: dsr.typical_value || "",
-      renters_percentage: dsr.renters_percentage || "",
-      dsr_score: dsr.dsr_score || "",
-      auction_clearance_rate: dsr.auction_clearance_rate || "",
-      online_search_interest: dsr.online_search_interest || "",
-
-      // Vacancy — from DSR
-      vacancy_rate: sqmVacancy?.vacancy_rate || dsr.vacancy_rate || "",
-      vacancy_source: sqmVacancy ? "SQM Research" : "DSR Data",
-      vacancy_period: sqmVacancy?.period || "",
-      vacancy_rating: dsr.vacancy_rating || "",
-
-      // Data period
-      data_month: dsr.data_month || "",
-      data_year: dsr.data_year || "",
+    const failed = results.filter((r) => !r.success).length;
+    console.log(`✅ Batch complete: ${results.length - failed}/${results.length} suburbs OK`);
+    return {
+      success: true,
+      data: results,
+      summary: { total: results.length, succeeded: results.length - failed, failed },
     };
+  };
+
+  console.log(`📦 Batch suburb data for ${suburbs.length} suburb(s), concurrency ${limit}`);
+
+  if (wantsJob(req.body)) {
+    return startJob(req, res, "suburb-batch", (job) => {
+      job.setProgress(0, suburbs.length);
+      return runBatch((done, total, suburb) => job.setProgress(done, total, suburb));
+    });
+  }
 
-    console.log(`✅ Suburb data compiled for ${suburb} (${Object.keys(errors).length === 0 ? 'all sources OK' : errors.length + ' failures'})`);
-    res.json({ success: true, data: combined, errors });
+  try {
+    res.json(await runBatch(() => {}));
   } catch (err) {
-    console.error("❌ Suburb endpoint error:", err);
-    res.status(500).json({ success: false, error: err.message });
+    console.error("❌ Batch suburb error:", err);
+    sendFailure(res, failure(err));
+  }
+});
+
+
+// ══════════════════════════════════════════════
+// SUBURB RANKING ENDPOINT
+// ══════════════════════════════════════════════
+// Scores a shortlist on DSR score, days on market, stock on market,
+// vacancy, yield and vendor discount, normalised across the set.
+//
+// Body: {
+//   suburbs: [{ suburb, state, postcode, metrics? }],  ← metrics skip the DSR lookup
+//   profile?: "growth" | "yield" | "balanced" (default),
+//   weights?: { days_on_market: 0.3, ... },            ← overrides the profile
+//   propertyType?: "house" | "unit"
+// }
+//
+app.get("/api/suburbs/rank/profiles", (req, res) => {
+  res.json({ success: true, data: listProfiles() });
+});
+
+app.post("/api/suburbs/rank", validateRequest("/api/suburbs/rank"), checkStatePostcode, async (req, res) => {
+  const { suburbs, profile = "balanced", weights, propertyType = "house", refresh } = req.body;
+
+  let resolvedWeights;
+  try {
+    resolvedWeights = resolveWeights(profile, weights);
+  } catch (err) {
+    return badRequest(res, err.message);
+  }
+
+  console.log(`🏆 Ranking ${suburbs.length} suburbs (profile: ${profile})`);
+
+  try {
+    const entries = await mapWithConcurrency(suburbs, 3, async (entry) => {
+      const { suburb, state, postcode } = entry;
+      if (entry.metrics) return { suburb, state, postcode, metrics: entry.metrics };
+
+      const { result } = await withCache("dsr", { suburb, state, postcode, propertyType }, () =>
+        scrapeStockOnMarket(suburb, state, postcode, propertyType),
+        { refresh }
+      );
+      return result.success
+        ? { suburb, state, postcode, metrics: result.data.metrics }
+        : { suburb, state, postcode, metrics: null, error: result.error, code: result.code };
+    });
+
+    const ranked = rankSuburbs(entries, resolvedWeights);
+    res.json({
+      success: true,
+      data: {
+        profile,
+        weights: resolvedWeights,
+        property_type: propertyType,
+        ranking: ranked,
+      },
+    });
+  } catch (err) {
+    console.error("❌ Suburb ranking error:", err);
+    sendFailure(res, failure(err));
   }
 });
 
 
+// ══════════════════════════════════════════════
+// SUBURB HISTORY ENDPOINT
+// ══════════════════════════════════════════════
+// DSR monthly metrics over the past N months (default 12, max 24),
+// with 3/6/12-month changes and a direction per metric. Months DSR
+// can't return are filled from our stored monthly snapshots.
+//
+app.post("/api/suburb/history", validateRequest("/api/suburb/history"), checkStatePostcode, async (req, res) => {
+  const { suburb, state, postcode, propertyType = "house", months: monthCount = 12 } = req.body;
+
+  console.log(`📈 Suburb history for: ${suburb} ${state} ${postcode} (${propertyType}, ${monthCount} months)`);
+
+  try {
+    const result = await scrapeMarketHistory(suburb, state, postcode, propertyType, monthCount);
+    if (!result.success) return sendFailure(res, result);
+    res.json({ success: true, data: { suburb, state, postcode, ...result.data } });
+  } catch (err) {
+    console.error("❌ Suburb history error:", err);
+    sendFailure(res, failure(err));
+  }
+});
+
+
+// ─── Suburb data providers (config/suburb-providers.json) ───
+app.get("/api/suburb/providers", (req, res) => {
+  res.json({ success: true, data: listProviders() });
+});
+
+
+// ─── Rating profiles (config/rating-profiles.json) ───
+app.get("/api/rating-profiles", (req, res) => {
+  res.json({ success: true, data: listRatingProfiles() });
+});
+
+
+// ─── Suburb cache admin ───
+// GET    /api/cache/suburbs                          → entry counts, TTLs, latest DSR month
+// DELETE /api/cache/suburbs?suburb=&postcode=&source= → purge matching entries
+//
+app.get("/api/cache/suburbs", (req, res) => {
+  res.json({ success: true, data: cacheStats() });
+});
+
+app.delete("/api/cache/suburbs", validateRequest("/api/cache/suburbs", "delete"), (req, res) => {
+  const { suburb, state, postcode, source } = req.query;
+
+  if (!suburb && !state && !postcode && !source && req.query.all !== "true") {
+    return badRequest(res, "Provide suburb, state, postcode or source (or all=true to clear everything)");
+  }
+
+  const removed = purgeSuburbCache({ suburb, state, postcode, source });
+  console.log(`🧹 Purged ${removed} suburb cache entr${removed === 1 ? "y" : "ies"}`);
+  res.json({ success: true, data: { removed } });
+});
+
+
 // ══════════════════════════════════════════════
 // PROPERTY ENDPOINT
 // ══════════════════════════════════════════════
 // CoreLogic property page → beds, baths, land, year built,
 // listing description, rental estimate, valuation, schools
 //
-app.post("/api/property", async (req, res) => {
-  const { address } = req.body;
+// includeListing: also look for a live Domain for-sale listing; when
+// there is one, market_status comes from it and `listing` has the
+// price guide, campaign and agent (utils/domain-listing.js).
+//
+async function compileProperty(address, { includeListing } = {}) {
+  const [result, listing] = await Promise.all([
+    scrapeProperty(address),
+    includeListing ? scrapeDomainListing(address) : null,
+  ]);
+  if (!result.success || !listing) return result;
+
+  if (listing.success) {
+    result.data.listing = listing.data;
+    result.data.market_status = "ON Market";
+  } else {
+    // Not listed is an answer, not an error
+    result.data.listing = null;
+    if (listing.code === "ADDRESS_NOT_FOUND") result.data.market_status = "OFF Market";
+    else result.errors = [describeFailure(listing)];
+  }
+  return result;
+}
+
+app.post("/api/property", validateRequest("/api/property"), versionedResponse, async (req, res) => {
+  const { address, includeListing } = req.body;
 
-  if (!address) {
-    return res.status(400).json({
-      success: false,
-      error: "Missing required field: address",
+  if (wantsJob(req.body)) {
+    return startJob(req, res, "property", (job) => {
+      job.setProgress(0, 1, `Scraping ${address}`);
+      return compileProperty(address, { includeListing });
     });
   }
 
   console.log(`🏠 Property data for: ${address}`);
 
   try {
-    const result = await scrapeProperty(address);
-    if (!result.success) return res.status(500).json(result);
+    const result = await compileProperty(address, { includeListing });
+    if (!result.success) return sendFailure(res, result);
 
     console.log(`✅ Property data compiled`);
     res.json(result);
   } catch (err) {
     console.error("❌ Property endpoint error:", err);
-    res.status(500).json({ success: false, error: err.message });
+    sendFailure(res, failure(err));
   }
 });
 
 
+// ══════════════════════════════════════════════
+// DOMAIN LISTING
+// ══════════════════════════════════════════════
+// Current for-sale listing by address or Domain listing URL:
+// price guide, listing date, days listed, sale method, auction date,
+// inspections, agents, agency and features. 404 when not listed.
+//
+app.post("/api/property/listing", validateRequest("/api/property/listing"), versionedResponse, async (req, res) => {
+  const { address, url } = req.body;
+  const target = url || address;
+
+  if (wantsJob(req.body)) {
+    return startJob(req, res, "listing", (job) => {
+      job.setProgress(0, 1, `Scraping ${target}`);
+      return scrapeDomainListing(target);
+    });
+  }
+
+  console.log(`🏷️ Domain listing for: ${target}`);
+
+  try {
+    const result = await scrapeDomainListing(target);
+    if (!result.success) return sendFailure(res, result);
+    res.json(result);
+  } catch (err) {
+    console.error("❌ Listing endpoint error:", err);
+    sendFailure(res, failure(err));
+  }
+});
+
+
+// ══════════════════════════════════════════════
+// COMPARABLE DISCOVERY
+// ══════════════════════════════════════════════
+// Subject address + filters → ranked recent nearby sales from the
+// CoreLogic comparables panel and Domain's sold search
+// (utils/comparable-discovery.js). Feed the picks to /api/comparables.
+//
+//   address, months?, radiusKm?, bedrooms?: { min, max },
+//   landSizeTolerance?, propertyType?, limit?, sources?
+//
+app.post("/api/property/comparables/discover", validateRequest("/api/property/comparables/discover"), versionedResponse, async (req, res) => {
+  const { address, months, radiusKm, bedrooms, landSizeTolerance, propertyType, limit, sources } = req.body;
+
+  const components = parseAddress(address);
+  if (!components || !components.suburb || !components.postcode) {
+    return badRequest(res, "address: must include suburb, state and postcode", [
+      { field: "address", message: "must include suburb, state and postcode" },
+    ]);
+  }
+
+  const filters = { months, radiusKm, bedrooms, landSizeTolerance, propertyType, limit };
+
+  if (wantsJob(req.body)) {
+    return startJob(req, res, "comparables-discover", (job) =>
+      discoverComparables(address, filters, {
+        sources,
+        onProgress: (done, total, step) => job.setProgress(done, total, step),
+      })
+    );
+  }
+
+  try {
+    const result = await discoverComparables(address, filters, { sources });
+    if (!result.success) return sendFailure(res, result);
+    res.json(result);
+  } catch (err) {
+    console.error("❌ Comparable discovery error:", err);
+    sendFailure(res, failure(err));
+  }
+});
+
+
+// ══════════════════════════════════════════════
+// RENTAL COMPARABLES
+// ══════════════════════════════════════════════
+// Subject address + filters → recently leased and currently listed
+// rentals nearby from Domain, with a weekly rent median / range
+// (utils/rental-comparables.js). Pass the CoreLogic rental AVM from
+// /api/property to see how it compares.
+//
+//   address, bedrooms?: { min, max }, propertyType?, radiusKm?, months?, limit?,
+//   corelogicEstimate?: { low, mid, high }   ← e.g. rental_low / rental_mid / rental_high
+//
+app.post("/api/property/rental-comparables", validateRequest("/api/property/rental-comparables"), versionedResponse, async (req, res) => {
+  const { address, bedrooms, propertyType, radiusKm, months, limit, corelogicEstimate } = req.body;
+
+  const components = parseAddress(address);
+  if (!components || !components.suburb || !components.postcode) {
+    return badRequest(res, "address: must include suburb, state and postcode", [
+      { field: "address", message: "must include suburb, state and postcode" },
+    ]);
+  }
+
+  const filters = { bedrooms, propertyType, radiusKm, months, limit };
+
+  if (wantsJob(req.body)) {
+    return startJob(req, res, "rental-comparables", (job) =>
+      findRentalComparables(address, filters, {
+        corelogicEstimate,
+        onProgress: (done, total, step) => job.setProgress(done, total, step),
+      })
+    );
+  }
+
+  try {
+    const result = await findRentalComparables(address, filters, { corelogicEstimate });
+    if (!result.success) return sendFailure(res, result);
+    res.json(result);
+  } catch (err) {
+    console.error("❌ Rental comparables error:", err);
+    sendFailure(res, failure(err));
+  }
+});
+
+
+// ══════════════════════════════════════════════
+// INDICATIVE VALUATION
+// ══════════════════════════════════════════════
+// Subject + comparables (as returned by /api/comparables,
+// /api/domain-comparables or discovery) → each comp adjusted for land,
+// beds, baths, cars and time, scored, and an indicative value range
+// (utils/comparable-valuation.js). No scraping.
+//
+// Body: {
+//   subject: { address?, land_size, bedrooms, bathrooms, car_spaces },
+//   comparables: [{ address, sold_price, sold_date, land_size, ... }],
+//   adjustments?: { bedroom: 60000, annual_growth: 4, ... },  ← overrides the defaults
+//   valuationDate?: "2025-06-30"                              ← defaults to today
+// }
+//
+app.get("/api/property/valuation/adjustments", (req, res) => {
+  res.json({ success: true, data: listAdjustments() });
+});
+
+app.post("/api/property/valuation", validateRequest("/api/property/valuation"), versionedResponse, (req, res) => {
+  const { subject, comparables, adjustments, valuationDate } = req.body;
+
+  let resolved;
+  try {
+    resolved = resolveAdjustments(adjustments);
+  } catch (err) {
+    return badRequest(res, err.message, err.details);
+  }
+
+  // The schema only checks the shape — "2025-13-45" and "2025-02-30" get here
+  const asOf = valuationDate ? new Date(valuationDate) : new Date();
+  if (valuationDate && (isNaN(asOf) || asOf.toISOString().slice(0, 10) !== valuationDate)) {
+    return badRequest(res, "valuationDate: not a real calendar date", [
+      { field: "valuationDate", message: "not a real calendar date" },
+    ]);
+  }
+
+  const result = valueProperty(subject, comparables, resolved, asOf);
+  if (!result.valuation) {
+    return badRequest(res, "comparables: none has a usable sale price", [
+      { field: "comparables", message: "none has a usable sale price" },
+    ]);
+  }
+
+  console.log(`💲 Valuation for ${subject.address || "subject"}: ${result.valuation.low}–${result.valuation.high} (${result.valuation.comparables_used} comps)`);
+  res.json({ success: true, data: result });
+});
+
+
 // ══════════════════════════════════════════════
 // COMPARABLES ENDPOINT (only when provided)
 // ══════════════════════════════════════════════
@@ -165,25 +801,78 @@ app.post("/api/property", async (req, res) => {
 
 var { scrapeDomainComparables } = require("./utils/domain-comparables");
 
-app.post("/api/domain-comparables", async (req, res) => {
+app.post("/api/domain-comparables", validateRequest("/api/domain-comparables"), versionedResponse, async (req, res) => {
   var { addresses } = req.body;
-  if (!addresses || !addresses.length) return res.status(400).json({ error: "Missing: addresses" });
+  if (wantsJob(req.body)) {
+    return startJob(req, res, "domain-comparables", (job) => {
+      job.setProgress(0, addresses.length);
+      return scrapeDomainComparables(addresses, {
+        onProgress: (done, total, address) => job.setProgress(done, total, address),
+      });
+    });
+  }
   var result = await scrapeDomainComparables(addresses);
+  if (!result.success) return sendFailure(res, result);
   res.json(result);
 });
 
-app.post("/api/comparables", async (req, res) => {
+app.post("/api/comparables", validateRequest("/api/comparables"), versionedResponse, async (req, res) => {
   const { addresses } = req.body;
-  if (!addresses || !addresses.length) {
-    return res.status(400).json({ success: false, error: "Missing: addresses" });
+  if (wantsJob(req.body)) {
+    return startJob(req, res, "comparables", (job) => {
+      job.setProgress(0, addresses.length);
+      return scrapeComparables(addresses, {
+        onProgress: (done, total, address) => job.setProgress(done, total, address),
+      });
+    });
   }
   console.log(`🔍 CoreLogic comparables for ${addresses.length} address(es)`);
   try {
     const result = await scrapeComparables(addresses);
+    if (!result.success) return sendFailure(res, result);
     res.json(result);
   } catch (err) {
     console.error("❌ Comparables error:", err);
-    res.status(500).json({ success: false, error: err.message });
+    sendFailure(res, failure(err));
+  }
+});
+
+
+// ══════════════════════════════════════════════
+// MERGED COMPARABLES
+// ══════════════════════════════════════════════
+// CoreLogic + Domain for each address, merged field by field with
+// provenance and conflicts (utils/comparable-merge.js).
+//
+//   addresses, priorities?: { default?: ["domain", "corelogic"], land_size?: [...] },
+//   tolerances?: { land_size: 10, sold_date: 60, ... }
+//
+app.post("/api/comparables/merged", validateRequest("/api/comparables/merged"), versionedResponse, async (req, res) => {
+  const { addresses, priorities, tolerances } = req.body;
+
+  let options;
+  try {
+    options = resolveMergeOptions(priorities, tolerances);
+  } catch (err) {
+    return badRequest(res, err.message, err.details);
+  }
+
+  if (wantsJob(req.body)) {
+    return startJob(req, res, "comparables-merged", (job) => {
+      job.setProgress(0, addresses.length * 2);
+      return scrapeMergedComparables(addresses, options, {
+        onProgress: (done, total, step) => job.setProgress(done, total, step),
+      });
+    });
+  }
+
+  try {
+    const result = await scrapeMergedComparables(addresses, options);
+    if (!result.success) return sendFailure(res, result);
+    res.json(result);
+  } catch (err) {
+    console.error("❌ Merged comparables error:", err);
+    sendFailure(res, failure(err));
   }
 });
 
@@ -195,4 +884,6 @@ app.listen(PORT, () => {
   console.log(`   Suburb: DSR API (~100ms) + Claude (~3s)`);
   console.log(`   Property: CoreLogic Playwright (~15s)`);
   console.log(`   Comparables: CoreLogic Playwright (~5s each)`);
+  console.log(`   Jobs: { async: true } or { callbackUrl } → GET /api/jobs/:id`);
+  if (SCRAPER_MODE !== "live") console.log(`   ⚠️ SCRAPER_MODE=${SCRAPER_MODE} (see utils/replay.js)`);
 });
\ No newline at end of file
@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseAddress, toCoreLogicSearch, toDomainSlug, toLocalitySlug, scoreAddressMatch } = require("../utils/address");
+
+function parts(input) {
+  const p = parseAddress(input);
+  return p && {
+    unit: p.unit, lot: p.lot, street_number: p.street_number, street_name: p.street_name,
+    street_type: p.street_type, suburb: p.suburb, state: p.state, postcode: p.postcode,
+  };
+}
+
+
+test("parseAddress: unit, lot and range forms", () => {
+  assert.deepEqual(parts("2/15 Smith St, Kellyville NSW 2155"), {
+    unit: "2", lot: null, street_number: "15", street_name: "Smith",
+    street_type: "Street", suburb: "Kellyville", state: "NSW", postcode: "2155",
+  });
+  assert.deepEqual(parts("Unit 2, 15 Smith Street Kellyville NSW 2155"), parts("2/15 Smith St, Kellyville NSW 2155"));
+  assert.equal(parts("Lot 5 Parsons Cct Kellyville NSW 2155").lot, "5");
+  assert.equal(parts("15-17 Smith St Kellyville NSW 2155").street_number, "15-17");
+});
+
+test("parseAddress: state guessed from postcode", () => {
+  const p = parseAddress("15 Smith St Kellyville 2155");
+  assert.equal(p.state, "NSW");
+  assert.equal(p.valid, true);
+});
+
+test("parseAddress: postcode in the wrong state is flagged", () => {
+  const p = parseAddress("15 Smith St, Kellyville VIC 2155");
+  assert.equal(p.valid, false);
+  assert.ok(p.warnings.some((w) => /2155 is not in VIC/.test(w)));
+});
+
+test("parseAddress: street-type words inside names and suburbs", () => {
+  assert.deepEqual(
+    [parts("3 The Grove Way Kellyville NSW 2155").street_name, parts("3 The Grove Way Kellyville NSW 2155").suburb],
+    ["The Grove", "Kellyville"]
+  );
+  assert.equal(parts("12 Smith Rd St Ives NSW 2075").suburb, "St Ives");
+});
+
+test("parseAddress: suburbs that start with a street-type word", () => {
+  assert.deepEqual(
+    [parts("12 Main Road Glen Waverley VIC 3150").street_type, parts("12 Main Road Glen Waverley VIC 3150").suburb],
+    ["Road", "Glen Waverley"]
+  );
+  assert.equal(toCoreLogicSearch("12 Main Road Glen Waverley VIC 3150"), "12 Main Rd Glen Waverley VIC 3150");
+  assert.equal(parts("12 High Street Glen Iris VIC 3146").suburb, "Glen Iris");
+  assert.equal(parts("10 Main Rd Grove TAS 7109").suburb, "Grove");
+  assert.equal(parts("4 The Grove Ocean Grove VIC 3226").suburb, "Ocean Grove");
+});
+
+test("parseAddress: street names that end in a type word", () => {
+  const p = parts("5 Park Avenue Beach Rd Mona Vale NSW 2103");
+  assert.deepEqual([p.street_name, p.street_type, p.suburb], ["Park Avenue Beach", "Road", "Mona Vale"]);
+});
+
+test("parseAddress: no street number → null", () => {
+  assert.equal(parseAddress("Smith St Kellyville NSW 2155"), null);
+  assert.equal(parseAddress(""), null);
+});
+
+test("per-source forms", () => {
+  assert.equal(toCoreLogicSearch("2/15 Smith Street, Kellyville NSW 2155"), "2/15 Smith St Kellyville NSW 2155");
+  assert.equal(toDomainSlug("2/15 Smith St, Kellyville NSW 2155"), "2-15-smith-street-kellyville-nsw-2155");
+  assert.equal(toDomainSlug("12 O'Connell Street, Sydney NSW 2000"), "12-oconnell-street-sydney-nsw-2000");
+  assert.equal(toDomainSlug("4 D’Arcy Pl, Chatswood NSW 2067"), "4-darcy-place-chatswood-nsw-2067");
+  assert.equal(toLocalitySlug({ suburb: "St Ives", state: "NSW", postcode: "2075" }), "st-ives-nsw-2075");
+  assert.equal(toLocalitySlug({ suburb: "O'Connor", state: "ACT", postcode: "2602" }), "oconnor-act-2602");
+});
+
+test("scoreAddressMatch", () => {
+  assert.deepEqual(scoreAddressMatch("3 Parsons Circuit, Kellyville NSW 2155", "3 Parsons Cct, Kellyville NSW 2155"), { score: 1, mismatches: [] });
+
+  const wrongNumber = scoreAddressMatch("3 Parsons Circuit, Kellyville NSW 2155", "5 Parsons Cct, Kellyville NSW 2155");
+  assert.ok(wrongNumber.score <= 0.5);
+  assert.deepEqual(wrongNumber.mismatches, ["street_number"]);
+
+  assert.deepEqual(scoreAddressMatch("3 Parsons Circuit, Kellyville NSW 2155", "nonsense"), { score: 0, mismatches: ["unparseable"] });
+});
@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+const { chromium } = require("playwright");
+
+process.env.BROWSER_MAX_CONTEXTS = "2";
+process.env.BROWSER_QUEUE_TIMEOUT = "200";
+
+// ── Fake Chromium: contexts emit "close" like Playwright's ──
+function fakeBrowser() {
+  const browser = new EventEmitter();
+  browser.connected = true;
+  browser.isConnected = () => browser.connected;
+  browser.close = async () => { browser.connected = false; };
+  browser.newContext = async () => {
+    const context = new EventEmitter();
+    context.close = async () => context.emit("close");
+    context.newPage = async () => ({ route: async () => {} });
+    return context;
+  };
+  return browser;
+}
+
+test.mock.method(chromium, "launch", async () => fakeBrowser());
+test.mock.method(console, "log", () => {});
+const { getPage, getPoolStats, getBrowser } = require("../utils/browser");
+
+
+test("getPage: caps live contexts and hands slots over first-in first-out", async () => {
+  const a = await getPage();
+  const b = await getPage();
+  assert.equal(getPoolStats().active_contexts, 2);
+
+  const order = [];
+  const c = getPage().then((opened) => { order.push("c"); return opened; });
+  const d = getPage().then((opened) => { order.push("d"); return opened; });
+  await new Promise((r) => setImmediate(r));
+  assert.equal(getPoolStats().queued, 2);
+
+  await a.context.close();
+  await b.context.close();
+  const [openedC, openedD] = await Promise.all([c, d]);
+  assert.deepEqual(order, ["c", "d"]);
+  assert.equal(getPoolStats().active_contexts, 2);
+
+  await openedC.context.close();
+  await openedD.context.close();
+  assert.equal(getPoolStats().active_contexts, 0);
+});
+
+test("getPage: a request queued past BROWSER_QUEUE_TIMEOUT fails", async () => {
+  const a = await getPage();
+  const b = await getPage();
+  await assert.rejects(getPage(), /Browser pool busy/);
+  assert.equal(getPoolStats().queue_timeouts, 1);
+  await a.context.close();
+  await b.context.close();
+});
+
+test("getBrowser: one launch for parallel callers, relaunch after a crash", async () => {
+  const launchesBefore = getPoolStats().launches;
+  const [first, second] = await Promise.all([getBrowser(), getBrowser()]);
+  assert.equal(first, second);
+
+  first.connected = false;
+  first.emit("disconnected");
+  assert.equal(getPoolStats().browser_connected, false);
+
+  const relaunched = await getBrowser();
+  assert.notEqual(relaunched, first);
+  assert.equal(getPoolStats().crashes, 1);
+  assert.ok(getPoolStats().launches >= launchesBefore + 1);
+});
@@ -0,0 +1,96 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+test.mock.method(console, "log", () => {});
+
+// ── Fake sources ──
+const SUBJECT = "3 Parsons Circuit, Kellyville NSW 2155";
+let corelogicResult;
+
+function stub(modulePath, exports) {
+  require.cache[require.resolve(modulePath)] = { id: modulePath, loaded: true, exports };
+}
+
+stub("../scrapers/corelogic", { scrapeComparablesPanel: async () => corelogicResult });
+stub("../utils/domain-comparables", {
+  scrapeDomainComparables: async () => ({
+    success: true,
+    data: [{ success: true, bedrooms: 4, bathrooms: 2, property_type: "House", latitude: -33.7131, longitude: 150.9520 }],
+  }),
+});
+stub("../utils/domain-sold", {
+  scrapeDomainSold: async () => ({
+    success: true,
+    data: [
+      // Also on CoreLogic's panel, without coordinates there
+      { address: "7 Abernathy Court, Kellyville NSW 2155", sold_price: "$1,850,000", sold_date: "14 Sep 2026",
+        sold_method: "Auction", bedrooms: 4, bathrooms: 2, land_size: "702 m²", property_type: "House",
+        latitude: -33.7121, longitude: 150.9498 },
+      { address: "9 Old Sale Place, Kellyville NSW 2155", sold_price: "$1,500,000", sold_date: "02 Jan 2026",
+        bedrooms: 4, property_type: "House", latitude: -33.7140, longitude: 150.9530 },
+      { address: SUBJECT, sold_price: "$1,780,000", sold_date: "02 Oct 2026", bedrooms: 4, property_type: "House" },
+    ],
+  }),
+});
+
+const { discoverComparables } = require("../utils/comparable-discovery");
+
+const panel = {
+  success: true,
+  data: {
+    subject: { bedrooms: "4", bathrooms: "2", land_size: "730m²", property_type: "House" },
+    comparables: [
+      { address: "7 Abernathy Ct, Kellyville NSW 2155", sold_price: "$1,850,000", sold_date: "14 Sep 2026",
+        bedrooms: "4", bathrooms: "2", car_spaces: "2", land_size: "702m²", property_type: "House", distance: "0.3km" },
+      { address: "18 Mansion Drive, Kellyville NSW 2155", sold_price: "$3,100,000", sold_date: "20 Aug 2026",
+        bedrooms: "6", land_size: "1,400m²", property_type: "House", distance: "0.9km" },
+      { address: "2 Faraway Street, Rouse Hill NSW 2155", sold_price: "$1,700,000", sold_date: "01 Sep 2026",
+        bedrooms: "4", property_type: "House", distance: "4.2km" },
+    ],
+  },
+};
+
+
+test("discoverComparables: merges both sources, filters and ranks", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: new Date("2026-10-19T00:00:00+10:00") });
+  corelogicResult = panel;
+
+  const { success, data } = await discoverComparables(SUBJECT);
+  assert.equal(success, true);
+
+  assert.equal(data.subject.bedrooms, 4);
+  assert.equal(data.subject.land_size, 730);
+  assert.equal(data.subject.latitude, -33.7131);
+  assert.deepEqual(data.filters.bedrooms, { min: 3, max: 5 });
+  assert.deepEqual(data.filters.landSize, { min: 548, max: 913 });
+
+  assert.equal(data.candidates.length, 1);
+  const [best] = data.candidates;
+  assert.equal(best.rank, 1);
+  assert.deepEqual(best.sources, ["corelogic", "domain"]);
+  assert.equal(best.distance_km, 0.3);
+  assert.equal(best.sold_method, "Auction");
+  assert.ok(best.score > 50);
+
+  // The subject's own sale never counts as a comparable
+  assert.equal(data.total_found, 4);
+  assert.deepEqual(data.excluded, { bedrooms: 1, distance: 1, sold_date: 1 });
+  assert.deepEqual(data.errors, []);
+});
+
+test("discoverComparables: one source failing is reported, not fatal", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: new Date("2026-10-19T00:00:00+10:00") });
+  corelogicResult = { success: false, error: "login failed", code: "AUTH_FAILED", retryable: false, source: "corelogic" };
+
+  const { success, data } = await discoverComparables(SUBJECT);
+  assert.equal(success, true);
+  assert.deepEqual(data.errors, [{ source: "corelogic", error: "login failed", code: "AUTH_FAILED", retryable: false }]);
+  assert.deepEqual(data.candidates.map((c) => c.address), ["7 Abernathy Court, Kellyville NSW 2155"]);
+});
+
+test("discoverComparables: every source failing returns the first failure", async () => {
+  corelogicResult = { success: false, error: "login failed", code: "AUTH_FAILED", retryable: false, source: "corelogic" };
+  const result = await discoverComparables(SUBJECT, {}, { sources: ["corelogic"] });
+  assert.equal(result.success, false);
+  assert.equal(result.code, "AUTH_FAILED");
+});
@@ -0,0 +1,40 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { mergeEntry, resolveMergeOptions } = require("../utils/comparable-merge");
+
+const address = "3 Parsons Circuit, Kellyville NSW 2155";
+
+
+test("resolveMergeOptions: unknown fields throw", () => {
+  assert.throws(() => resolveMergeOptions({ pool: ["domain"] }), /priorities\.pool: unknown field/);
+  assert.throws(() => resolveMergeOptions({}, { pool: 1 }), {
+    details: [{ field: "tolerances.pool", message: "unknown field (available: bedrooms, bathrooms, car_spaces, land_size, property_type, sold_price, sold_date)" }],
+  });
+  assert.deepEqual(resolveMergeOptions({ land_size: ["domain"] }).priorities.land_size, ["domain", "corelogic"]);
+});
+
+test("mergeEntry: priority, provenance and conflicts", () => {
+  const merged = mergeEntry(address, {
+    corelogic: { success: true, bedrooms: "4", land_size: "600 m²", sold_price: "$1,500,000", sold_date: "12 Aug 2025" },
+    domain: { success: true, bedrooms: 4, land_size: "700 m²", sold_price: "$1,505,000", sold_date: "Aug 2025", sold_method: "Auction" },
+  }, resolveMergeOptions({ land_size: ["domain"] }));
+
+  assert.equal(merged.bedrooms, 4);
+  assert.equal(merged.land_size, 700);
+  assert.equal(merged.provenance.land_size, "domain");
+  assert.equal(merged.provenance.sold_price, "corelogic");
+  assert.equal(merged.sold_method, "Auction");
+  assert.deepEqual(merged.conflicts.map((c) => c.field), ["land_size"]);
+  assert.equal(merged.fallback, null);
+});
+
+test("mergeEntry: one source down → the other fills in", () => {
+  const merged = mergeEntry(address, {
+    corelogic: { success: false, error: "Login failed", code: "AUTH_FAILED" },
+    domain: { success: true, bedrooms: 3 },
+  }, resolveMergeOptions());
+
+  assert.equal(merged.bedrooms, 3);
+  assert.equal(merged.fallback, "domain");
+  assert.equal(merged.sources.corelogic.code, "AUTH_FAILED");
+});
@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { valueProperty, resolveAdjustments } = require("../utils/comparable-valuation");
+
+const subject = { address: "3 Parsons Circuit, Kellyville NSW 2155", land_size: "600 m²", bedrooms: 4, bathrooms: 2, car_spaces: 2 };
+const valuationDate = new Date("2026-07-01");
+
+
+test("resolveAdjustments: overrides and unknown keys", () => {
+  assert.equal(resolveAdjustments({ bedroom: 60000 }).bedroom, 60000);
+  assert.throws(() => resolveAdjustments({ pool: 1 }), /adjustments\.pool: unknown adjustment/);
+  assert.throws(() => resolveAdjustments({ bedroom: -1 }), /adjustments\.bedroom: must be a non-negative number/);
+});
+
+test("resolveAdjustments: every bad key is listed as { field, message }", () => {
+  try {
+    resolveAdjustments({ pool: 1, bedroom: "lots" });
+    assert.fail("expected resolveAdjustments to throw");
+  } catch (err) {
+    assert.deepEqual(err.details.map((d) => d.field), ["adjustments.pool", "adjustments.bedroom"]);
+    assert.equal(err.details[1].message, "must be a non-negative number");
+  }
+});
+
+test("valueProperty: adjusts land, bedrooms and time", () => {
+  const comps = [{ address: "5 A St", sold_price: "$1,500,000", sold_date: "1 Jul 2025", land_size: "550 m²", bedrooms: 3, bathrooms: 2, car_spaces: 2 }];
+  const result = valueProperty(subject, comps, resolveAdjustments({ annual_growth: 0 }), valuationDate);
+  const [comp] = result.comparables;
+
+  // +50 m² × $400 + 1 bedroom × $50,000
+  assert.equal(comp.adjusted_price, 1570000);
+  assert.deepEqual(comp.adjustments.map((a) => a.attribute), ["time", "land_size", "bedrooms"]);
+  assert.equal(result.valuation.mid, 1570000);
+  assert.equal(result.valuation.comparables_used, 1);
+});
+
+test("valueProperty: failed and priceless comps are skipped", () => {
+  const comps = [
+    { address: "1 A St", success: false, error: "Address not found" },
+    { address: "2 A St", sold_price: "Contact agent" },
+  ];
+  const result = valueProperty(subject, comps, resolveAdjustments(), valuationDate);
+  assert.equal(result.valuation, null);
+  assert.deepEqual(result.skipped.map((s) => s.reason), ["Address not found", "No sale price"]);
+});
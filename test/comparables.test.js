@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  toCount, toSquareMetres, toPropertyType, toKm, haversineKm, monthsSince, addressKey, round,
+  resolvePropertyType, attributeExclusion,
+} = require("../utils/comparables");
+
+
+test("toCount / toSquareMetres: numbers out of each source's wording", () => {
+  assert.equal(toCount("4"), 4);
+  assert.equal(toCount(3), 3);
+  assert.equal(toCount("—"), null);
+  assert.equal(toSquareMetres("1,650 m²"), 1650);
+  assert.equal(toSquareMetres("650sqm"), 650);
+  assert.equal(toSquareMetres("0.4 ha"), 4000);
+  assert.equal(toSquareMetres("1 acre"), 4047);
+});
+
+test("toPropertyType: one vocabulary for every source", () => {
+  assert.equal(toPropertyType("Townhouse"), "townhouse");
+  assert.equal(toPropertyType("Apartment / Unit / Flat"), "unit");
+  assert.equal(toPropertyType("Semi-detached"), "house");
+  assert.equal(toPropertyType("Vacant land"), "land");
+  assert.equal(toPropertyType(""), null);
+});
+
+test("toKm / haversineKm: distances", () => {
+  assert.equal(toKm("1.4km"), 1.4);
+  assert.equal(toKm("850 m"), 0.85);
+  // Kellyville → Castle Hill, about 5.6 km
+  const km = haversineKm({ latitude: -33.7131, longitude: 150.9520 }, { latitude: -33.7317, longitude: 151.0047 });
+  assert.ok(km > 5 && km < 6);
+  assert.equal(haversineKm({ latitude: -33.7 }, { latitude: -33.7, longitude: 151 }), null);
+});
+
+test("monthsSince / addressKey / round", () => {
+  const now = new Date("2026-10-19T00:00:00Z");
+  assert.equal(Math.round(monthsSince("2026-04-19", now)), 6);
+  assert.equal(monthsSince("not a date", now), null);
+  assert.equal(addressKey("3 Parsons Cct, Kellyville NSW 2155"), addressKey("3 Parsons Circuit Kellyville 2155"));
+  assert.equal(round(1.23456), 1.23);
+  assert.equal(round(null), null);
+});
+
+test("resolvePropertyType: caller's type, else the subject's; \"any\" for none", () => {
+  assert.equal(resolvePropertyType({ propertyType: "unit" }, { property_type: "house" }), "unit");
+  assert.equal(resolvePropertyType({}, { property_type: "house" }), "house");
+  assert.equal(resolvePropertyType({ propertyType: "any" }, { property_type: "house" }), null);
+});
+
+test("attributeExclusion: distance, property type and bedrooms", () => {
+  const filters = { radiusKm: 2, propertyType: "house", bedrooms: { min: 3, max: null } };
+  const subject = { suburb: "Kellyville" };
+  const c = { distance_km: 1.2, suburb: "Kellyville", property_type: "house", bedrooms: 4 };
+
+  assert.equal(attributeExclusion(c, filters, subject), null);
+  assert.equal(attributeExclusion({ ...c, distance_km: 2.5 }, filters, subject), "distance");
+  assert.equal(attributeExclusion({ ...c, property_type: "unit" }, filters, subject), "property_type");
+  assert.equal(attributeExclusion({ ...c, bedrooms: 2 }, filters, subject), "bedrooms");
+  // Missing attributes pass, except distance: then the suburb must match
+  assert.equal(attributeExclusion({ ...c, property_type: null, bedrooms: null }, filters, subject), null);
+  assert.equal(attributeExclusion({ ...c, distance_km: null }, filters, subject), null);
+  assert.equal(attributeExclusion({ ...c, distance_km: null, suburb: "Rouse Hill" }, filters, subject), "distance");
+  assert.equal(attributeExclusion({ ...c, distance_km: null, suburb: null }, filters, subject), "distance");
+});
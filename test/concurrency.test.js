@@ -0,0 +1,31 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { mapWithConcurrency } = require("../utils/concurrency");
+
+
+test("mapWithConcurrency: never more than `limit` in flight, results in input order", async () => {
+  let inFlight = 0;
+  let peak = 0;
+  const results = await mapWithConcurrency([30, 5, 20, 1, 10], 2, async (ms, i) => {
+    inFlight++;
+    peak = Math.max(peak, inFlight);
+    await new Promise((r) => setTimeout(r, ms));
+    inFlight--;
+    return `${i}:${ms}`;
+  });
+
+  assert.equal(peak, 2);
+  assert.deepEqual(results, ["0:30", "1:5", "2:20", "3:1", "4:10"]);
+});
+
+test("mapWithConcurrency: empty input and a limit above the item count", async () => {
+  assert.deepEqual(await mapWithConcurrency([], 3, async () => 1), []);
+  assert.deepEqual(await mapWithConcurrency([1, 2], 10, async (n) => n * 2), [2, 4]);
+});
+
+test("mapWithConcurrency: a thrown error rejects the whole map", async () => {
+  await assert.rejects(
+    mapWithConcurrency([1, 2, 3], 2, async (n) => { if (n === 2) throw new Error("boom"); return n; }),
+    /boom/
+  );
+});
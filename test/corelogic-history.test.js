@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseHistoryEntry } = require("../scrapers/corelogic");
+
+
+test("parseHistoryEntry: sale price isn't scaled by the next line's first letter", () => {
+  assert.equal(parseHistoryEntry("Sold\n$850,000\nMar 2019").price, 850000);
+  assert.equal(parseHistoryEntry("Sold\n$850,000\nMay 2019").price, 850000);
+
+  const mortgagee = parseHistoryEntry("Sold\n$850,000\nMortgagee sale\n12 Mar 2019");
+  assert.equal(mortgagee.price, 850000);
+  assert.equal(mortgagee.method, "Mortgagee");
+});
+
+test("parseHistoryEntry: glued k / m suffixes still scale", () => {
+  assert.equal(parseHistoryEntry("Sold\n$1.2m\n12 Mar 2019").price, 1200000);
+  assert.equal(parseHistoryEntry("Sold\n$975k\n12 Mar 2019").price, 975000);
+});
+
+test("parseHistoryEntry: full sale entry", () => {
+  assert.deepEqual(
+    parseHistoryEntry("Sold\n$1,250,000\n12 Mar 2019\nNormal Sale\n34 days on market\nAgency: Ray White"),
+    { kind: "sold", price: 1250000, date: "12 Mar 2019", method: "Normal Sale", days_on_market: 34, agency: "Ray White" }
+  );
+});
+
+test("parseHistoryEntry: rental and sale campaigns", () => {
+  const rent = parseHistoryEntry("Listed for Rent\n$650 per week\n01 Feb 2021 - 20 Feb 2021\nAgency: LJ Hooker");
+  assert.equal(rent.kind, "listing");
+  assert.equal(rent.type, "rent");
+  assert.equal(rent.price, 650);
+  assert.equal(rent.price_period, "week");
+  assert.deepEqual([rent.date, rent.end_date], ["01 Feb 2021", "20 Feb 2021"]);
+
+  const sale = parseHistoryEntry("Listed for Sale\nContact Agent\n01 Feb 2021\nAgency: Ray White");
+  assert.equal(sale.type, "sale");
+  assert.equal(sale.advertised_price, "Contact Agent");
+  assert.equal(sale.price, null);
+});
+
+test("parseHistoryEntry: unrelated text → null", () => {
+  assert.equal(parseHistoryEntry("Council rates\n$2,100"), null);
+});
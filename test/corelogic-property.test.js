@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { assemblePropertyData, parseSoldText } = require("../scrapers/corelogic");
+
+// What scrapeProperty()'s page.evaluate calls read off a property page
+const raw = JSON.parse(fs.readFileSync(
+  path.join(__dirname, "fixtures", "corelogic", "property-page-3-parsons-circuit-kellyville-nsw-2155.json"),
+  "utf8"
+));
+
+
+test("assemblePropertyData: attributes, last sale and AVM from the saved page", () => {
+  const data = assemblePropertyData(raw);
+  assert.equal(data.bedrooms, "4");
+  assert.equal(data.land_size, "730m²");
+  assert.equal(data.year_built, "2004");
+  assert.equal(data.property_type, "House");
+  assert.equal(data.sold_price, "$1,780,000");
+  assert.equal(data.sold_date, "02 Nov 2024");
+  assert.equal(data.schools.length, 2);
+  assert.equal(data.valuation_estimate, "$1,820,000");
+  assert.equal(data.rental_mid, "$950/W");
+  assert.equal(data.rental_yield, "2.7%");
+  assert.equal(data.market_status, "OFF Market");
+});
+
+test("assemblePropertyData: a weekly figure under the valuation tab is dropped", () => {
+  const data = assemblePropertyData({ ...raw, valuation_text: "$950/W" });
+  assert.equal(data.valuation_estimate, "");
+});
+
+test("assemblePropertyData: no sale and no AVM tabs", () => {
+  const data = assemblePropertyData({ ...raw, sold_text: "", valuation_text: "", rental: null });
+  assert.equal(data.sold_price, "");
+  assert.equal(data.market_status, "ON Market");
+  assert.equal(data.rental_low, "");
+  assert.equal(data.rental_yield, "");
+});
+
+test("parseSoldText: slash dates and missing text", () => {
+  assert.deepEqual(parseSoldText("Sold $905,000 on 14/02/2023"), { sold_price: "$905,000", sold_date: "14/02/2023" });
+  assert.deepEqual(parseSoldText(""), { sold_price: "", sold_date: "" });
+});
+
+test("assemblePropertyData: timeline fills a missing last-sale panel", () => {
+  const history = {
+    sale_history: [{ price: 1780000, date: "02 Nov 2024", method: "Private Treaty", days_on_market: 21, agency: null }],
+    listing_history: [],
+  };
+  const data = assemblePropertyData({ ...raw, sold_text: "", history });
+  assert.equal(data.sold_price, "$1,780,000");
+  assert.equal(data.sold_date, "02 Nov 2024");
+  assert.equal(data.sale_history, history.sale_history);
+  assert.equal(data.market_status, "OFF Market");
+});
+
+test("assemblePropertyData: the last-sale panel seeds an empty timeline", () => {
+  const data = assemblePropertyData({ ...raw, history: { sale_history: [], listing_history: [] } });
+  assert.deepEqual(data.sale_history, [
+    { price: 1780000, date: "02 Nov 2024", method: "", days_on_market: null, agency: null },
+  ]);
+});
@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { searchAddress } = require("../scrapers/corelogic");
+
+test.mock.method(console, "log", () => {});
+
+// ── Fake page: the autocomplete lists `suggestions`, clicks are recorded ──
+function fakePage(suggestions) {
+  const page = {
+    filled: null,
+    clicked: null,
+    waitForSelector: async () => {},
+    waitForTimeout: async () => {},
+    click: async () => {},
+    fill: async (selector, text) => { page.filled = text; },
+    keyboard: { press: async () => {} },
+    locator: () => ({
+      allInnerTexts: async () => suggestions,
+      nth: (index) => ({ click: async () => { page.clicked = index; } }),
+    }),
+  };
+  return page;
+}
+
+
+test("searchAddress: follows the suggestion that matches, not the first one", async () => {
+  const page = fakePage([
+    "5 Parsons Circuit\nKellyville NSW 2155",
+    "3 Parsons Circuit\nKellyville NSW 2155",
+  ]);
+  const matched = await searchAddress(page, "3 Parsons Cct, Kellyville NSW 2155");
+
+  assert.equal(page.filled, "3 Parsons Cct Kellyville NSW 2155");
+  assert.equal(page.clicked, 1);
+  assert.equal(matched, "3 Parsons Circuit, Kellyville NSW 2155");
+});
+
+test("searchAddress: no confident match is AMBIGUOUS_ADDRESS with ranked candidates", async () => {
+  const page = fakePage([
+    "3 Parsons Circuit\nKellyville Ridge NSW 2155",
+    "3 Parson Court\nKellyville NSW 2155",
+  ]);
+
+  await assert.rejects(searchAddress(page, "3 Parsons Circuit, Kellyville NSW 2155"), (err) => {
+    assert.equal(err.code, "AMBIGUOUS_ADDRESS");
+    assert.equal(err.details.candidates.length, 2);
+    assert.ok(err.details.candidates[0].score >= err.details.candidates[1].score);
+    return true;
+  });
+  assert.equal(page.clicked, null);
+});
@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.CORELOGIC_EMAIL = "test@example.com";
+process.env.CORELOGIC_PASSWORD = "test-password";
+
+// ── Fake browser: a context opened with an expired storage state gets
+// bounced to the login page; one with no state is the login itself ──
+const expired = new Set();
+const sessions = [];
+const bounceDelays = [];  // ms each bounced page takes to notice, in order
+
+function fakeContext(storageState) {
+  const bounceAfter = storageState && expired.has(storageState) ? bounceDelays.shift() ?? 0 : null;
+  const never = new Promise(() => {});
+  const after = (ms, fn) => new Promise((resolve, reject) => setTimeout(() => fn(resolve, reject), ms));
+
+  const page = {
+    goto: async () => {},
+    url: () => "https://rpp.corelogic.com.au/",
+    click: async () => {},
+    waitForTimeout: async () => {},
+    $: async () => null,
+    waitForURL: async (pattern) => (!storageState || !pattern.includes("auth") ? undefined : never),
+    waitForSelector: () => (bounceAfter === null
+      ? Promise.resolve({ fill: async () => {} })
+      : after(bounceAfter, (_, reject) => reject(new Error("Timeout")))),
+  };
+  const context = {
+    storageState: async () => {
+      sessions.push({ login: sessions.length + 1 });
+      return sessions[sessions.length - 1];
+    },
+    close: async () => {},
+  };
+  return { page, context };
+}
+
+require.cache[require.resolve("../utils/browser")] = {
+  exports: { getPage: async (options = {}) => fakeContext(options.storageState) },
+};
+const { openAuthenticatedPage, clearSession } = require("../scrapers/corelogic");
+
+test.mock.method(console, "log", () => {});
+
+
+test("openAuthenticatedPage: concurrent requests share one login", async () => {
+  clearSession();
+  sessions.length = 0;
+  await Promise.all([openAuthenticatedPage(), openAuthenticatedPage(), openAuthenticatedPage()]);
+  assert.equal(sessions.length, 1);
+});
+
+test("openAuthenticatedPage: a slow request doesn't wipe the session a faster one just made", async () => {
+  clearSession();
+  sessions.length = 0;
+  await openAuthenticatedPage();
+
+  // Both start on the now-expired session; B only notices after A has
+  // logged in again
+  expired.add(sessions[0]);
+  bounceDelays.push(0, 50);
+  await Promise.all([openAuthenticatedPage(), openAuthenticatedPage()]);
+
+  assert.equal(sessions.length, 2);
+});
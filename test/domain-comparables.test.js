@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { addressToSlug, extractFromApolloState, extractFromBodyText } = require("../utils/domain-comparables");
+
+// __NEXT_DATA__ of a Domain property-profile page, trimmed to the
+// entities extractFromApolloState() reads
+const nextData = JSON.parse(fs.readFileSync(
+  path.join(__dirname, "fixtures", "domain", "property-profile-3-parsons-circuit-kellyville-nsw-2155.json"),
+  "utf8"
+));
+const apolloState = nextData.props.pageProps.__APOLLO_STATE__;
+
+
+test("addressToSlug: Domain property-profile slug", () => {
+  assert.equal(addressToSlug("3 Parsons Circuit, Kellyville, NSW 2155"), "3-parsons-circuit-kellyville-nsw-2155");
+});
+
+test("extractFromApolloState: address, type, features and valuation", () => {
+  const data = extractFromApolloState(apolloState);
+  assert.equal(data.address, "3 Parsons Circuit, Kellyville NSW 2155");
+  assert.equal(data.suburb, "Kellyville");
+  assert.equal(data.streetType, "Circuit");
+  assert.equal(data.propertyType, "House");
+  assert.equal(data.bedrooms, 4);
+  assert.equal(data.bathrooms, 2);
+  assert.equal(data.parking, 2);
+  assert.equal(data.estimatedValue, 1820000);
+  assert.equal(data.estimateLow, 1650000);
+  assert.equal(data.estimateHigh, 1990000);
+});
+
+test("extractFromApolloState: sale history newest first, with agency", () => {
+  const { saleHistory } = extractFromApolloState(apolloState);
+  assert.deepEqual(saleHistory.map((s) => s.date), ["2024-11-02", "2017-03-18", "2009-06-30"]);
+  assert.deepEqual(saleHistory[0], {
+    price: 1780000,
+    date: "2024-11-02",
+    method: "Private treaty",
+    agency: "Ray White Kellyville",
+  });
+  assert.equal(saleHistory[2].price, null);
+});
+
+test("extractFromApolloState: no Property entity", () => {
+  assert.equal(extractFromApolloState({ ROOT_QUERY: {} }), null);
+});
+
+test("extractFromBodyText: fallback fields from the visible page", () => {
+  const data = extractFromBodyText("House 4 Beds 2 Baths 2 Parking 730m² SOLD - $2.4m\nFEB 2026 Sold $2.4m PRIVATE TREATY");
+  assert.equal(data.bedrooms, 4);
+  assert.equal(data.landSize, "730 sqm");
+  assert.equal(data.propertyType, "House");
+  assert.equal(data.soldPrice, 2400000);
+  assert.deepEqual(data.saleHistory, [{ price: 2400000, date: "Feb 2026" }]);
+});
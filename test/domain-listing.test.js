@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { findListingUrl, extractFromListingEntity, listingIdFromUrl } = require("../utils/domain-listing");
+
+const SLUG = "3-parsons-circuit-kellyville-nsw-2155";
+
+// __NEXT_DATA__ of the subject's listing page: its own Listing entity
+// plus a similar listing Domain shows alongside it
+const listingPage = JSON.parse(fs.readFileSync(
+  path.join(__dirname, "fixtures", "domain", "listing-3-parsons-circuit-kellyville-nsw-2155-2019123456.json"),
+  "utf8"
+));
+const listingApollo = listingPage.props.pageProps.__APOLLO_STATE__;
+
+function profile({ apollo, links = [] }) {
+  return { nextData: apollo ? { props: { pageProps: { __APOLLO_STATE__: apollo } } } : null, links };
+}
+
+
+test("findListingUrl: only the subject's listing, not a nearby one", () => {
+  const apollo = {
+    "Listing:2019000001": { __typename: "Listing", status: "live", url: "/5-parsons-circuit-kellyville-nsw-2155-2019000001" },
+    "Listing:2019000002": { __typename: "Listing", status: "live", address: { __ref: "Address:1" }, id: "Listing:2019000002" },
+    "Address:1": { displayAddress: "3 Parsons Cct, Kellyville NSW 2155" },
+  };
+  assert.equal(findListingUrl(profile({ apollo }), SLUG), "https://www.domain.com.au/2019000002");
+  assert.equal(findListingUrl(profile({ apollo: { "Listing:2019000001": apollo["Listing:2019000001"] } }), SLUG), null);
+});
+
+test("findListingUrl: page links match on the slug and skip /rent/", () => {
+  const links = [
+    "https://www.domain.com.au/rent/3-parsons-circuit-kellyville-nsw-2155-2019000003",
+    "https://www.domain.com.au/7-other-street-kellyville-nsw-2155-2019000004",
+    "https://www.domain.com.au/3-parsons-circuit-kellyville-nsw-2155-2019000005",
+  ];
+  assert.equal(findListingUrl(profile({ links }), SLUG), links[2]);
+});
+
+test("findListingUrl: suburbs containing \"rent\" aren't taken for rentals", () => {
+  const slug = "4-high-street-brentwood-vic-3153";
+  const url = "https://www.domain.com.au/4-high-street-brentwood-vic-3153-2019000006";
+  assert.equal(findListingUrl(profile({ links: [url] }), slug), url);
+  const apollo = { "Listing:2019000006": { __typename: "Listing", status: "live", listingType: "buy", url } };
+  assert.equal(findListingUrl(profile({ apollo }), slug), url);
+});
+
+test("listingIdFromUrl: trailing listing id, if any", () => {
+  assert.equal(listingIdFromUrl("https://www.domain.com.au/3-parsons-circuit-kellyville-nsw-2155-2019123456"), "2019123456");
+  assert.equal(listingIdFromUrl("https://www.domain.com.au/property-profile/3-parsons-circuit-kellyville-nsw-2155"), null);
+});
+
+test("extractFromListingEntity: the listing named in the URL, not a similar one", () => {
+  const listing = extractFromListingEntity(listingApollo, "2019123456");
+  assert.equal(listing.listing_id, "2019123456");
+  assert.equal(listing.address, "3 Parsons Circuit, Kellyville NSW 2155");
+  assert.equal(listing.price_guide, "Auction");
+  assert.equal(listing.auction_date, "2026-10-31T10:00:00");
+  assert.deepEqual(listing.agents, [{ name: "Jordan Lee", phone: "0400 000 000", email: "jordan.lee@example.com" }]);
+  assert.equal(listing.agency.name, "Ray White Kellyville");
+  assert.equal(listing.features.land_size, "730m²");
+  assert.deepEqual(listing.features.features, ["Ducted air conditioning", "Swimming pool"]);
+});
+
+test("extractFromListingEntity: no match by id, or several listings and no id", () => {
+  assert.equal(extractFromListingEntity(listingApollo, "2019999999"), null);
+  assert.equal(extractFromListingEntity(listingApollo, null), null);
+  const single = { "Listing:2019123456": listingApollo["Listing:2019123456"] };
+  assert.equal(extractFromListingEntity(single, null).listing_id, "2019123456");
+});
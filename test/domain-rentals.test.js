@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { toWeeklyRent, buildRentUrl, toRentalListing } = require("../utils/domain-rentals");
+
+
+test("toWeeklyRent: weekly forms, glued or spaced", () => {
+  assert.equal(toWeeklyRent("$850pw"), 850);
+  assert.equal(toWeeklyRent("$850 p.w."), 850);
+  assert.equal(toWeeklyRent("$850/week"), 850);
+  assert.equal(toWeeklyRent("$850 per week"), 850);
+  assert.equal(toWeeklyRent("$1,200pw"), 1200);
+  assert.equal(toWeeklyRent("$850 - Available now"), 850);
+});
+
+test("toWeeklyRent: monthly and yearly rents", () => {
+  assert.equal(toWeeklyRent("$3,700 pcm"), 854);
+  assert.equal(toWeeklyRent("$3,700/month"), 854);
+  assert.equal(toWeeklyRent("$44,200 p.a."), 850);
+  assert.equal(toWeeklyRent("$850 per week ($3,683 pcm)"), 850);
+});
+
+test("toWeeklyRent: no amount → null", () => {
+  assert.equal(toWeeklyRent("Contact agent"), null);
+  assert.equal(toWeeklyRent(""), null);
+  assert.equal(toWeeklyRent(null), null);
+});
+
+test("buildRentUrl", () => {
+  assert.equal(
+    buildRentUrl({ suburb: "Kellyville", state: "NSW", postcode: "2155" }, { propertyType: "house", bedrooms: { min: 4, max: 4 } }, 2),
+    "https://www.domain.com.au/rent/kellyville-nsw-2155/?ssubs=1&excludedeposittaken=0&ptype=house&bedrooms=4-4&page=2"
+  );
+});
+
+test("toRentalListing: leased tag, weekly rent and attributes", () => {
+  const listing = toRentalListing({
+    listingModel: {
+      url: "/12-bridget-place-kellyville-nsw-2155-2019345678",
+      price: "$3,700 pcm",
+      tags: { tagText: "Leased 12 Sep 2026" },
+      address: { street: "12 Bridget Place", suburb: "Kellyville", state: "NSW", postcode: "2155", lat: -33.7, lng: 150.95 },
+      features: { beds: 4, baths: 2, parking: 2, landSize: 600, landUnit: "m²", propertyTypeFormatted: "House" },
+    },
+  });
+  assert.deepEqual(listing, {
+    address: "12 Bridget Place, Kellyville NSW 2155",
+    status: "leased",
+    rent: "$3,700 pcm",
+    weekly_rent: 854,
+    lease_date: "12 Sep 2026",
+    bedrooms: 4,
+    bathrooms: 2,
+    car_spaces: 2,
+    land_size: "600 m²",
+    property_type: "House",
+    latitude: -33.7,
+    longitude: 150.95,
+    url: "https://www.domain.com.au/12-bridget-place-kellyville-nsw-2155-2019345678",
+  });
+  assert.equal(toRentalListing({ listingModel: { price: "$850 pw" } }), null);
+});
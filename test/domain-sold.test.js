@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { buildSoldUrl, findListingsMap, toSoldListing } = require("../utils/domain-sold");
+
+// __NEXT_DATA__ of a Domain sold-listings results page, trimmed to three listings
+const nextData = JSON.parse(fs.readFileSync(
+  path.join(__dirname, "fixtures", "domain", "sold-listings-kellyville-nsw-2155.json"),
+  "utf8"
+));
+
+
+test("buildSoldUrl: locality slug, type and bedroom filters, paging", () => {
+  assert.equal(
+    buildSoldUrl({ suburb: "St Ives", state: "NSW", postcode: "2075" }, { propertyType: "unit", bedrooms: { min: 2, max: 3 } }, 2),
+    "https://www.domain.com.au/sold-listings/st-ives-nsw-2075/?ssubs=1&sort=solddate-desc&ptype=apartment-unit-flat&bedrooms=2-3&page=2"
+  );
+  assert.equal(
+    buildSoldUrl({ suburb: "Kellyville", state: "NSW", postcode: "2155" }),
+    "https://www.domain.com.au/sold-listings/kellyville-nsw-2155/?ssubs=1&sort=solddate-desc"
+  );
+});
+
+test("findListingsMap / toSoldListing: listings from the saved results page", () => {
+  const listings = Object.values(findListingsMap(nextData)).map(toSoldListing);
+  assert.equal(listings.length, 3);
+
+  assert.deepEqual(listings[0], {
+    address: "7 Abernathy Court, KELLYVILLE NSW 2155",
+    sold_price: "$1,850,000",
+    price: 1850000,
+    sold_date: "14 Sep 2026",
+    sold_method: "Auction",
+    bedrooms: 4,
+    bathrooms: 2,
+    car_spaces: 2,
+    land_size: "702 m²",
+    property_type: "House",
+    latitude: -33.7121,
+    longitude: 150.9498,
+    url: "https://www.domain.com.au/7-abernathy-court-kellyville-nsw-2155-2019000101",
+  });
+  assert.equal(listings[1].price, 1620000);
+  assert.equal(listings[1].sold_method, "Private treaty");
+  assert.equal(listings[2].price, null);
+  assert.equal(listings[2].land_size, "");
+});
+
+test("toSoldListing: entries without a listing model are skipped", () => {
+  assert.equal(toSoldListing({ listingType: "project" }), null);
+  assert.equal(findListingsMap({ props: {} }), null);
+});
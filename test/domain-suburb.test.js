@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { extractSuburbProfile, buildSuburbUrl, sourceLabel } = require("../utils/domain-suburb");
+
+// __NEXT_DATA__ of a Domain suburb profile: houses by bedroom count
+// only, units with an all-bedrooms row
+const nextData = JSON.parse(fs.readFileSync(
+  path.join(__dirname, "fixtures", "domain", "suburb-profile-kellyville-nsw-2155.json"),
+  "utf8"
+));
+
+
+test("buildSuburbUrl: locality slug", () => {
+  assert.equal(
+    buildSuburbUrl({ suburb: "Kellyville", state: "NSW", postcode: "2155" }),
+    "https://www.domain.com.au/suburb-profile/kellyville-nsw-2155"
+  );
+});
+
+test("extractSuburbProfile: houses from the busiest bedroom row, sold summed", () => {
+  const { house } = extractSuburbProfile(nextData);
+  assert.deepEqual(house, {
+    median_price: 1650000,
+    median_rent: 900,
+    days_on_market: 33,
+    auction_clearance_rate: 64,
+    number_sold: 300,
+    bedrooms: 4,
+  });
+  assert.equal(sourceLabel(house), "domain (4 bed)");
+});
+
+test("extractSuburbProfile: units from the all-bedrooms row", () => {
+  const { unit } = extractSuburbProfile(nextData);
+  assert.equal(unit.median_price, 720000);
+  assert.equal(unit.number_sold, 64);
+  assert.equal(unit.auction_clearance_rate, 45);
+  assert.equal(unit.bedrooms, "all");
+  assert.equal(sourceLabel(unit), "domain");
+});
+
+test("extractSuburbProfile: owner / renter split as percentages", () => {
+  const profile = extractSuburbProfile(nextData);
+  assert.equal(profile.owner_percentage, 78);
+  assert.equal(profile.renters_percentage, 22);
+});
+
+test("extractSuburbProfile: no market rows", () => {
+  assert.deepEqual(extractSuburbProfile({ props: { pageProps: {} } }), {
+    house: null,
+    unit: null,
+    owner_percentage: null,
+    renters_percentage: null,
+  });
+});
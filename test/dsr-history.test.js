@@ -0,0 +1,29 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { computeTrends, periodNumber, shiftPeriod } = require("../utils/dsr-history");
+
+
+test("periodNumber / shiftPeriod", () => {
+  assert.equal(periodNumber("May", "2024"), 202405);
+  assert.equal(periodNumber("5", "2024"), 202405);
+  assert.equal(shiftPeriod(202402, 3), 202311);
+});
+
+test("computeTrends: changes and direction", () => {
+  const monthly = {};
+  for (let i = 0; i <= 12; i++) {
+    monthly[shiftPeriod(202608, 12 - i)] = { days_on_market: 50 - i, vacancy_rate: 1.5 };
+  }
+  const { series, trends } = computeTrends(monthly);
+
+  assert.equal(series.days_on_market.length, 13);
+  assert.equal(trends.days_on_market.latest, 38);
+  assert.equal(trends.days_on_market.latest_period, "2026-08");
+  assert.equal(trends.days_on_market.change_3m, -3);
+  assert.equal(trends.days_on_market.change_12m, -12);
+  assert.equal(trends.days_on_market.direction, "falling");
+  assert.equal(trends.days_on_market.signal, "strengthening");
+
+  assert.equal(trends.vacancy_rate.direction, "flat");
+  assert.equal(trends.dsr_score, undefined);
+});
@@ -0,0 +1,34 @@
+// Replays a recorded DSR response (test/fixtures/dsr) through the real
+// scraper — no network, no credentials.
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+
+process.env.SCRAPER_MODE = "replay";
+process.env.SCRAPER_FIXTURES_DIR = path.join(__dirname, "fixtures");
+process.env.DSR_SNAPSHOT_FILE = path.join(os.tmpdir(), `dsr-snapshots-${process.pid}.json`);
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { scrapeStockOnMarket } = require("../scrapers/dsr");
+
+test.after(() => fs.rmSync(process.env.DSR_SNAPSHOT_FILE, { force: true }));
+
+
+test("scrapeStockOnMarket extracts the recorded DSR stats", async () => {
+  const result = await scrapeStockOnMarket("Kellyville", "NSW", "2155", "house");
+
+  assert.equal(result.success, true);
+  assert.equal(result.data.stock_on_market, "0.95%");
+  assert.equal(result.data.days_on_market, "36");
+  assert.equal(result.data.median_12_months, "$1,926,610");
+  assert.equal(result.data.renters_percentage, "21%");
+  assert.equal(result.data.metrics.vacancy_rate, 1.12);
+  assert.equal(result.data.data_year, "2026");
+});
+
+test("a request without a fixture fails as NOT_CONFIGURED", async () => {
+  const result = await scrapeStockOnMarket("Nowhere", "NSW", "2000", "house");
+  assert.equal(result.success, false);
+  assert.equal(result.code, "NOT_CONFIGURED");
+});
@@ -0,0 +1,54 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { formatResponse, buildApiUrl } = require("../scrapers/dsr");
+const { formatStatsForPrompt } = require("../utils/ai-text");
+
+const RAW = {
+  response: {
+    month: "Apr",
+    year: "2025",
+    all_mkt_stats: {
+      ACR: 95.1, DSR: 48, TV: 2125300, RENTERS: 20, DOM: 36, OSI: 45, YIELD: 2.41,
+      SOM_PERC: ".95", VACANCY: 1.32, MEDIAN_12: 1926610, SR: 68, DISCOUNT: "-.56",
+    },
+  },
+};
+
+
+test("buildApiUrl: propTypeCode per property type", () => {
+  const house = new URL(buildApiUrl("tok", "Kellyville", "nsw", "2155"));
+  const unit = new URL(buildApiUrl("tok", "Kellyville", "nsw", "2155", "unit"));
+  assert.equal(house.searchParams.get("propTypeCode"), "H");
+  assert.equal(unit.searchParams.get("propTypeCode"), "U");
+  assert.equal(unit.searchParams.get("locality"), "KELLYVILLE");
+  assert.equal(unit.searchParams.get("state"), "NSW");
+});
+
+test("formatResponse: labels and stats per property type", () => {
+  const house = formatResponse(RAW).data;
+  assert.equal(house.property_type, "house");
+  assert.equal(house.median_label, "Median house price");
+  assert.equal(house.stock_on_market, "0.95%");
+  assert.equal(house.vendor_discounting, "-0.56%");
+  assert.equal(house.median_12_months, "$1,926,610");
+  assert.deepEqual([house.data_month, house.data_year], ["Apr", "2025"]);
+
+  const unit = formatResponse(RAW, "unit").data;
+  assert.equal(unit.median_label, "Median unit price");
+  assert.equal(unit.yield_label, "Gross rental yield (units)");
+});
+
+test("formatResponse: no stats → failure", () => {
+  assert.equal(formatResponse({ response: {} }).success, false);
+});
+
+test("formatStatsForPrompt: one block per property type when both are given", () => {
+  const house = formatResponse(RAW).data;
+  const unit = formatResponse(RAW, "unit").data;
+  assert.doesNotMatch(formatStatsForPrompt(house), /^Houses:/m);
+
+  const both = formatStatsForPrompt([house, unit]);
+  assert.match(both, /^Houses:/m);
+  assert.match(both, /^Units:/m);
+  assert.equal(formatStatsForPrompt([]), "No market data available.");
+});
@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  ERROR_CODES,
+  ScraperError,
+  AuthFailedError,
+  AddressNotFoundError,
+  RateLimitedError,
+  UpstreamUnavailableError,
+  toScraperError,
+  httpError,
+  failure,
+  statusFor,
+} = require("../utils/errors");
+
+
+test("error classes carry code, status, retryable and source", () => {
+  const err = new RateLimitedError("slow down", { source: "domain" });
+  assert.ok(err instanceof ScraperError);
+  assert.equal(err.name, "RateLimitedError");
+  assert.equal(err.code, "RATE_LIMITED");
+  assert.equal(err.status, 429);
+  assert.equal(err.retryable, true);
+  assert.equal(err.source, "domain");
+
+  const timedOut = new AuthFailedError("login timed out", { source: "corelogic", retryable: true });
+  assert.equal(timedOut.retryable, true);
+});
+
+test("toScraperError: classifies Playwright timeouts and network failures", () => {
+  const selector = Object.assign(new Error("page.waitForSelector: Timeout 15000ms exceeded"), { name: "TimeoutError" });
+  assert.equal(toScraperError(selector, "corelogic").code, "SELECTOR_MISSING");
+
+  const navigation = Object.assign(new Error("page.goto: Timeout 30000ms exceeded"), { name: "TimeoutError" });
+  assert.equal(toScraperError(navigation).code, "UPSTREAM_UNAVAILABLE");
+
+  assert.equal(toScraperError(new Error("fetch failed")).code, "UPSTREAM_UNAVAILABLE");
+  assert.equal(toScraperError(new Error("something odd")).code, "INTERNAL_ERROR");
+
+  const known = new AddressNotFoundError("no such address");
+  assert.equal(toScraperError(known), known);
+});
+
+test("httpError: maps upstream statuses, keeping Retry-After", () => {
+  assert.equal(httpError({ status: 401 }, "dsr").code, "AUTH_FAILED");
+  assert.equal(httpError({ status: 404 }, "domain").code, "ADDRESS_NOT_FOUND");
+  assert.equal(httpError({ status: 502 }, "sqm").code, "UPSTREAM_UNAVAILABLE");
+  assert.equal(httpError({ status: 400 }, "dsr").code, "UPSTREAM_CHANGED");
+
+  const limited = httpError({ status: 429, headers: { "retry-after": "30" } }, "domain", "Domain search");
+  assert.equal(limited.message, "Domain search returned 429");
+  assert.deepEqual(limited.details, { retry_after: "30" });
+});
+
+test("failure: builds the { success: false } result scrapers return", () => {
+  assert.deepEqual(failure(new UpstreamUnavailableError("DSR down", { source: "dsr" })), {
+    success: false,
+    error: "DSR down",
+    code: "UPSTREAM_UNAVAILABLE",
+    retryable: true,
+    source: "dsr",
+  });
+  assert.equal(failure(new Error("boom"), "sqm").source, "sqm");
+});
+
+test("statusFor: request-level and scraper codes map to HTTP statuses", () => {
+  assert.equal(statusFor({ code: "VALIDATION_ERROR" }), 400);
+  assert.equal(statusFor({ code: "UNAUTHORIZED" }), 401);
+  assert.equal(statusFor({ code: "NOT_FOUND" }), 404);
+  assert.equal(statusFor({ code: "RATE_LIMITED" }), 429);
+  assert.equal(statusFor({ code: "UPSTREAM_UNAVAILABLE" }), 503);
+  assert.equal(statusFor({ error: "legacy failure" }), 500);
+  assert.ok(ERROR_CODES.includes("NOT_FOUND"));
+});
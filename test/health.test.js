@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+const { chromium } = require("playwright");
+
+process.env.HEALTH_CACHE_MINUTES = "0.0001";
+delete process.env.ANTHROPIC_API_KEY;
+
+// ── Fake Chromium: contexts emit "close" like Playwright's ──
+const contexts = [];
+function fakeBrowser() {
+  const browser = new EventEmitter();
+  browser.isConnected = () => true;
+  browser.newContext = async () => {
+    const context = new EventEmitter();
+    context.closed = false;
+    context.close = async () => {
+      if (context.closed) return;
+      context.closed = true;
+      context.emit("close");
+    };
+    context.newPage = async () => ({ route: async () => {} });
+    contexts.push(context);
+    return context;
+  };
+  return browser;
+}
+
+test.mock.method(chromium, "launch", async () => fakeBrowser());
+test.mock.method(console, "log", () => {});
+
+const { getPage, getPoolStats } = require("../utils/browser");
+
+// ── Fake scrapers: CoreLogic either passes or hangs on its page until
+// the context is closed under it ──
+let corelogicHangs = true;
+
+function stub(modulePath, exports) {
+  require.cache[require.resolve(modulePath)] = { id: modulePath, loaded: true, exports };
+}
+
+stub("../scrapers/corelogic", {
+  scrapeProperty: async () => {
+    if (!corelogicHangs) return { success: true, data: { bedrooms: "4" } };
+    const { context } = await getPage();
+    await new Promise((resolve) => context.once("close", resolve));
+    throw new Error("Target page, context or browser has been closed");
+  },
+});
+stub("../scrapers/dsr", {
+  scrapeStockOnMarket: async () => ({ success: true, data: { data_month: "Sep", data_year: "2026", metrics: { dsr_score: 61 } } }),
+});
+stub("../utils/sqm-vacancy", {
+  scrapeSqmVacancy: async () => ({ success: true, data: { period: "Aug 2026", vacancy_trend: { months_of_data: 68 } } }),
+});
+stub("../utils/domain-comparables", {
+  scrapeDomainComparables: async () => ({ success: true, data: [{ success: true, bedrooms: 4 }] }),
+});
+
+const { getDeepHealth } = require("../utils/health");
+
+
+test("getDeepHealth: a timed-out check closes the context it opened", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout"] });
+
+  const running = getDeepHealth();
+  while (contexts.length === 0) await new Promise((r) => setImmediate(r));
+  assert.equal(getPoolStats().active_contexts, 1);
+
+  t.mock.timers.tick(120000);
+  const report = await running;
+
+  assert.equal(report.sources.corelogic.status, "fail");
+  assert.equal(report.sources.corelogic.code, "UPSTREAM_UNAVAILABLE");
+  assert.match(report.sources.corelogic.error, /timed out after 120s/);
+  assert.equal(contexts[0].closed, true);
+  assert.equal(getPoolStats().active_contexts, 0);
+});
+
+test("getDeepHealth: a source without credentials makes the report degraded", async () => {
+  corelogicHangs = false;
+  await new Promise((r) => setTimeout(r, 20));
+
+  const report = await getDeepHealth();
+  assert.equal(report.cached, false);
+  assert.equal(report.sources.corelogic.status, "ok");
+  assert.equal(report.sources.dsr.status, "ok");
+  assert.equal(report.sources.claude.status, "not_configured");
+  assert.equal(report.status, "degraded");
+});
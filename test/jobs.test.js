@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+const { createJob, getJob, signPayload } = require("../utils/jobs");
+
+process.env.WEBHOOK_SECRET = "test-secret";
+// Job logs land after each test has finished; keep them out of the runner's stream
+test.mock.method(console, "log", () => {});
+
+
+function waitFor(check, timeoutMs = 2000) {
+  const started = Date.now();
+  return new Promise((resolve, reject) => {
+    const poll = () => {
+      const value = check();
+      if (value) return resolve(value);
+      if (Date.now() - started > timeoutMs) return reject(new Error("timed out"));
+      setTimeout(poll, 10);
+    };
+    poll();
+  });
+}
+
+
+test("signPayload: HMAC-SHA256 over timestamp.body", () => {
+  const expected = crypto.createHmac("sha256", "test-secret").update('1718000000.{"a":1}').digest("hex");
+  assert.equal(signPayload("1718000000", '{"a":1}'), `sha256=${expected}`);
+});
+
+test("createJob: queued, then completed with the runner's result and progress", async () => {
+  const job = createJob("property", { address: "x" }, async (j) => {
+    j.setProgress(1, 2, "first");
+    return { success: true, data: { ok: true } };
+  });
+  assert.equal(getJob(job.id).status, "queued");
+
+  const done = await waitFor(() => getJob(job.id).status === "completed" && getJob(job.id));
+  assert.deepEqual(done.result, { success: true, data: { ok: true } });
+  assert.deepEqual(done.progress, { completed: 2, total: 2, message: "first" });
+  assert.equal(done.callback, null);
+});
+
+test("createJob: a { success: false } result or a throw fails the job", async () => {
+  const failed = createJob("property", {}, async () => ({ success: false, error: "Not found" }));
+  const thrown = createJob("property", {}, async () => { throw new Error("boom"); });
+  await waitFor(() => getJob(failed.id).finished_at && getJob(thrown.id).finished_at);
+  assert.deepEqual([getJob(failed.id).status, getJob(failed.id).error], ["failed", "Not found"]);
+  assert.deepEqual([getJob(thrown.id).status, getJob(thrown.id).error], ["failed", "boom"]);
+});
+
+test("createJob: finished job is POSTed to callbackUrl with a verifiable signature", async (t) => {
+  let received = null;
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => (body += c));
+    req.on("end", () => {
+      received = { headers: req.headers, body };
+      res.end("ok");
+    });
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  t.after(() => server.close());
+
+  const job = createJob("suburb", {}, async () => ({ success: true, data: {} }), {
+    callbackUrl: `http://127.0.0.1:${server.address().port}/hook`,
+  });
+  await waitFor(() => getJob(job.id).callback.status === "delivered");
+
+  assert.equal(received.headers["x-propwealth-job-id"], job.id);
+  const signature = signPayload(received.headers["x-propwealth-timestamp"], received.body);
+  assert.equal(received.headers["x-propwealth-signature"], signature);
+  assert.equal(JSON.parse(received.body).status, "completed");
+});
+
+test("getJob: unknown id → null", () => {
+  assert.equal(getJob("nope"), null);
+});
@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { rateMetrics, selectProfile, classifyRegion } = require("../utils/rating-profiles");
+
+
+test("classifyRegion: capital-city postcode ranges", () => {
+  assert.equal(classifyRegion("NSW", "2155"), "metro");
+  assert.equal(classifyRegion("nsw", "2480"), "regional");
+  assert.equal(classifyRegion("VIC", "3150"), "metro");
+});
+
+test("selectProfile: by region and property type, or by name", () => {
+  assert.equal(selectProfile({ state: "NSW", postcode: "2155" }).name, "metro-house");
+  assert.equal(selectProfile({ state: "NSW", postcode: "2480", propertyType: "unit" }).name, "regional-unit");
+  assert.equal(selectProfile({ state: "NSW", postcode: "2155", profile: "regional-house" }).name, "regional-house");
+  assert.throws(() => selectProfile({ profile: "nope" }), /Unknown rating profile/);
+});
+
+test("rateMetrics: the same numbers rate differently per profile", () => {
+  const metrics = { days_on_market: 36, stock_on_market: 1.8, vacancy_rate: 1.8, gross_rental_yield: 4.2 };
+
+  const metro = rateMetrics(metrics, { state: "NSW", postcode: "2155" });
+  assert.equal(metro.profile, "metro-house");
+  assert.deepEqual(metro.ratings, { stock_rating: "Average", dom_rating: "Average", vacancy_rating: "Low", yield_rating: "Average" });
+  assert.deepEqual(metro.details.dom_rating, { label: "Average", profile: "metro-house", metric: "days_on_market", value: 36, threshold: "≤ 45" });
+
+  const regional = rateMetrics(metrics, { state: "NSW", postcode: "2480" });
+  assert.equal(regional.region, "regional");
+  assert.deepEqual(regional.ratings, { stock_rating: "Low", dom_rating: "Fast", vacancy_rating: "Average", yield_rating: "Average" });
+});
+
+test("rateMetrics: a missing metric gets an empty rating", () => {
+  const { ratings, details } = rateMetrics({ days_on_market: 10 }, { state: "NSW", postcode: "2155" });
+  assert.equal(ratings.dom_rating, "Fast");
+  assert.equal(ratings.yield_rating, "");
+  assert.equal(details.yield_rating, undefined);
+});
@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { summariseRents, resolveFilters, exclusionReason } = require("../utils/rental-comparables");
+
+const subject = { address: "3 Parsons Circuit, Kellyville NSW 2155", suburb: "Kellyville", bedrooms: 4, property_type: "house" };
+
+function rental(fields) {
+  return {
+    address: "12 Bridget Place, Kellyville NSW 2155",
+    status: "leased",
+    weekly_rent: 850,
+    lease_date: null,
+    bedrooms: 4,
+    property_type: "house",
+    distance_km: 0.8,
+    suburb: "Kellyville",
+    ...fields,
+  };
+}
+
+
+test("resolveFilters: subject's bedrooms and type by default", () => {
+  const filters = resolveFilters({}, subject);
+  assert.deepEqual(filters.bedrooms, { min: 4, max: 4 });
+  assert.equal(filters.propertyType, "house");
+  assert.equal(filters.radiusKm, 3);
+  assert.deepEqual(resolveFilters({ bedrooms: { min: 3 }, propertyType: "any" }, subject).bedrooms, { min: 3, max: null });
+});
+
+test("exclusionReason: subject, no rent, then the shared filters", () => {
+  const filters = resolveFilters({}, subject);
+  const subjectKey = "3 parsons circuit kellyville nsw 2155";
+  assert.equal(exclusionReason(rental({}), filters, subject, "other"), null);
+  assert.equal(exclusionReason(rental({ address: subject.address }), filters, subject, subjectKey), "subject");
+  assert.equal(exclusionReason(rental({ weekly_rent: null }), filters, subject, "other"), "no_rent");
+  assert.equal(exclusionReason(rental({ bedrooms: 5 }), filters, subject, "other"), "bedrooms");
+  assert.equal(exclusionReason(rental({ distance_km: null, suburb: null }), filters, subject, "other"), "distance");
+});
+
+test("summariseRents: median, interquartile range and the CoreLogic estimate", () => {
+  const rentals = [800, 850, 900, 950, 1000].map((weekly_rent, i) => rental({ weekly_rent, status: i < 3 ? "leased" : "listed" }));
+  const summary = summariseRents(rentals, { low: "$850/W", mid: "$950/W", high: "$1,050/W" });
+
+  assert.equal(summary.count, 5);
+  assert.equal(summary.leased, 3);
+  assert.equal(summary.median, 900);
+  assert.equal(summary.low, 850);
+  assert.equal(summary.high, 950);
+  assert.equal(summary.corelogic.difference, 50);
+  assert.equal(summary.corelogic.within_range, true);
+  assert.equal(summariseRents([]), null);
+});
@@ -0,0 +1,50 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseNumber, parseDate, toV2, toV2Response } = require("../utils/response-v2");
+
+
+test("parseNumber: money and percentages", () => {
+  assert.equal(parseNumber("$1,926,610"), 1926610);
+  assert.equal(parseNumber("-.56%"), -0.56);
+  assert.equal(parseNumber("$975k"), 975000);
+  assert.equal(parseNumber("$1.2m"), 1200000);
+  assert.equal(parseNumber(42), 42);
+  assert.equal(parseNumber("Contact agent"), null);
+  assert.equal(parseNumber(null), null);
+});
+
+test("parseNumber: land sizes aren't read as millions", () => {
+  assert.equal(parseNumber("650 m²"), 650);
+  assert.equal(parseNumber("650 sqm"), 650);
+  assert.equal(parseNumber("650m2"), 650);
+  assert.equal(parseNumber("650sqm"), 650);
+  assert.equal(parseNumber("650m²"), 650);
+});
+
+test("parseDate: formats the sources use", () => {
+  assert.deepEqual(parseDate("12 Feb 2017"), { iso: "2017-02-12", precision: "day" });
+  assert.deepEqual(parseDate("12/02/2017"), { iso: "2017-02-12", precision: "day" });
+  assert.deepEqual(parseDate("Feb 2017"), { iso: "2017-02-01", precision: "month" });
+  assert.deepEqual(parseDate("2024-05"), { iso: "2024-05-01", precision: "month" });
+  assert.deepEqual(parseDate("2024-05-03T10:00:00Z"), { iso: "2024-05-03", precision: "day" });
+  assert.equal(parseDate("sometime"), null);
+});
+
+test("toV2: typed fields, strings left alone, envelope keys untouched", () => {
+  const v2 = toV2({ sold_price: "$1,500,000", vacancy_rate: "1.12%", weekly_rent: 850, suburb: "Kellyville", field_sources: { median_house_price: "domain (4 bed)" } });
+  assert.deepEqual(v2.sold_price, { value: 1500000, unit: "AUD", display: "$1,500,000" });
+  assert.deepEqual(v2.vacancy_rate, { value: 1.12, unit: "%", display: "1.12%" });
+  assert.equal(v2.weekly_rent.unit, "AUD/week");
+  assert.deepEqual(v2.suburb, { value: "Kellyville", unit: null, display: "Kellyville" });
+  assert.deepEqual(v2.field_sources, { median_house_price: "domain (4 bed)" });
+});
+
+test("toV2Response: nested results converted, envelope keys kept", () => {
+  const body = toV2Response({ success: true, data: [{ sold_price: "$975k" }], cache: { hit: true } });
+  assert.equal(body.version, 2);
+  assert.deepEqual(body.data[0].sold_price, { value: 975000, unit: "AUD", display: "$975k" });
+  assert.deepEqual(body.cache, { hit: true });
+
+  const failed = { success: false, error: "Not found" };
+  assert.equal(toV2Response(failed), failed);
+});
@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { readVacancyCharts, buildVacancyHistory, buildVacancyTrend } = require("../utils/sqm-vacancy");
+
+// SQM stamps each month at midnight UTC on the 1st, which lands in the
+// previous month anywhere west of UTC
+process.env.TZ = "Australia/Sydney";
+
+// Mid-month timestamps so the month doesn't depend on the timezone
+const at = (year, month) => new Date(year, month - 1, 15).getTime();
+
+
+test("buildVacancyHistory: merges rate and count series by month, oldest first", () => {
+  const history = buildVacancyHistory(
+    [{ x: at(2024, 6), y: 1.234 }, { x: at(2024, 5), y: 1.3 }],
+    [{ x: at(2024, 5), y: 41 }, { x: at(2024, 7), y: 38 }]
+  );
+  assert.deepEqual(history, [
+    { period: "2024-05", vacancy_rate: 1.3, vacancies: 41 },
+    { period: "2024-06", vacancy_rate: 1.23, vacancies: null },
+    { period: "2024-07", vacancy_rate: null, vacancies: 38 },
+  ]);
+});
+
+test("buildVacancyTrend: year-on-year, five-year range and rolling averages", () => {
+  const history = [];
+  for (let i = 0; i < 24; i++) {
+    const year = 2023 + Math.floor(i / 12);
+    const month = (i % 12) + 1;
+    history.push({ period: `${year}-${String(month).padStart(2, "0")}`, vacancy_rate: 1 + i / 10, vacancies: null });
+  }
+  const trend = buildVacancyTrend(history);
+
+  assert.equal(trend.current_period, "2024-12");
+  assert.equal(trend.current_rate, 3.3);
+  assert.equal(trend.rate_12_months_ago, 2.1);
+  assert.equal(trend.yoy_change, 1.2);
+  assert.deepEqual([trend.five_year_low, trend.five_year_low_period], [1, "2023-01"]);
+  assert.deepEqual([trend.five_year_high, trend.five_year_high_period], [3.3, "2024-12"]);
+  assert.equal(trend.rolling_avg_3m, 3.2);
+  assert.equal(trend.months_of_data, 24);
+});
+
+test("buildVacancyTrend: short or empty history", () => {
+  assert.equal(buildVacancyTrend([]), null);
+  const trend = buildVacancyTrend([{ period: "2024-05", vacancy_rate: 1.3 }]);
+  assert.equal(trend.rate_12_months_ago, null);
+  assert.equal(trend.rolling_avg_12m, null);
+});
+
+
+// ─── Chart series copied out of the SQM page for postcode 2155 ───
+
+const dump = JSON.parse(fs.readFileSync(path.join(__dirname, "fixtures", "sqm", "vacancy-charts-2155.json"), "utf8"));
+
+test("readVacancyCharts: headline rate, count and period from the saved chart", () => {
+  const result = readVacancyCharts(dump.charts);
+  assert.equal(result.vacancy_rate, 1.04);
+  assert.equal(result.vacancies, 40);
+  assert.equal(result.period, "Aug 2026");
+  assert.equal(result.rate_series.length, 68);
+  // The null gap Highcharts leaves for a missing month is dropped
+  assert.equal(result.count_series.length, 67);
+});
+
+test("readVacancyCharts: feeds the history and trend blocks", () => {
+  const result = readVacancyCharts(dump.charts);
+  const history = buildVacancyHistory(result.rate_series, result.count_series);
+  assert.equal(history.length, 68);
+  assert.deepEqual(history[0], { period: "2021-01", vacancy_rate: 1.1, vacancies: 42 });
+  assert.equal(history[5].vacancies, null);
+
+  const trend = buildVacancyTrend(history);
+  assert.equal(trend.current_period, "2026-08");
+  assert.equal(trend.rate_12_months_ago, 1.56);
+  assert.equal(trend.yoy_change, -0.52);
+  assert.equal(trend.five_year_low, 0.65);
+  assert.equal(trend.five_year_high, 1.57);
+});
+
+test("readVacancyCharts: no chart vs a chart without vacancy series", () => {
+  assert.equal(readVacancyCharts(null).reason, "no_chart");
+  assert.equal(readVacancyCharts([]).reason, "no_chart");
+
+  const other = readVacancyCharts([{ series: [{ name: "Median Rent", data: [{ x: 1, y: 650 }] }] }]);
+  assert.equal(other.vacancy_rate, null);
+  assert.equal(other.reason, undefined);
+});
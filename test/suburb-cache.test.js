@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const CACHE_FILE = path.join(os.tmpdir(), `suburb-cache-test-${process.pid}.json`);
+process.env.SUBURB_CACHE_FILE = CACHE_FILE;
+const { withCache, purge, cacheStats } = require("../utils/suburb-cache");
+
+const DAY = 24 * 60 * 60 * 1000;
+const KELLYVILLE = { suburb: "Kellyville", state: "NSW", postcode: "2155", propertyType: "house" };
+
+test.after(() => fs.rmSync(CACHE_FILE, { force: true }));
+
+
+test("withCache: a DSR entry expires once its next data month is due", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: new Date(2025, 4, 10) });  // 10 May 2025
+  let fetches = 0;
+  const fetchApril = async () => {
+    fetches++;
+    return { success: true, data: { data_month: "Apr", data_year: "2025" } };
+  };
+
+  await withCache("dsr", KELLYVILLE, fetchApril);
+  assert.equal((await withCache("dsr", KELLYVILLE, fetchApril)).cache.hit, true);
+
+  // June: May's figures are due, so April's entry is refetched …
+  t.mock.timers.setTime(new Date(2025, 5, 2).getTime());
+  assert.equal((await withCache("dsr", KELLYVILLE, fetchApril)).cache.hit, false);
+  assert.equal(fetches, 2);
+
+  // … but while DSR still reports April, only once a day
+  assert.equal((await withCache("dsr", KELLYVILLE, fetchApril)).cache.hit, true);
+  t.mock.timers.setTime(new Date(2025, 5, 2).getTime() + DAY);
+  assert.equal((await withCache("dsr", KELLYVILLE, fetchApril)).cache.hit, false);
+  assert.equal(fetches, 3);
+});
+
+test("withCache: a newer data month from any suburb stales older DSR entries", async () => {
+  const rouseHill = { suburb: "Rouse Hill", state: "NSW", postcode: "2155", propertyType: "house" };
+  const march = async () => ({ success: true, data: { data_month: "Mar", data_year: "2030" } });
+  const april = async () => ({ success: true, data: { data_month: 4, data_year: 2030 } });
+
+  await withCache("dsr", rouseHill, march);
+  assert.equal((await withCache("dsr", rouseHill, march)).cache.hit, true);
+  await withCache("dsr", { ...rouseHill, suburb: "Beaumont Hills" }, april);
+  assert.equal((await withCache("dsr", rouseHill, march)).cache.hit, false);
+});
+
+test("withCache: failures aren't cached, refresh bypasses the cache", async () => {
+  const location = { state: "NSW", postcode: "2000" };
+  const failed = await withCache("sqm", location, async () => ({ success: false, error: "down" }));
+  assert.equal(failed.result.success, false);
+
+  let fetches = 0;
+  const ok = async () => ({ success: true, data: { vacancy_rate: "1.1%", n: ++fetches } });
+  assert.equal((await withCache("sqm", location, ok)).cache.hit, false);
+  assert.equal((await withCache("sqm", location, ok)).result.data.n, 1);
+  assert.equal((await withCache("sqm", location, ok, { refresh: true })).result.data.n, 2);
+});
+
+test("purge: by source and postcode", async () => {
+  await withCache("sqm", { state: "VIC", postcode: "3150" }, async () => ({ success: true, data: {} }));
+  assert.equal(purge({ source: "sqm", postcode: "3150" }), 1);
+  assert.equal(purge({ source: "sqm", postcode: "3150" }), 0);
+  assert.ok(cacheStats().entries > 0);
+});
+
+test("withCache: variants are cached apart, DSR history carries its data month", async () => {
+  const location = { suburb: "Kellyville", state: "NSW", postcode: "2155", propertyType: "house" };
+  const plain = await withCache("ai", location, async () => ({ success: true, data: { text: "plain" } }));
+  const trends = await withCache("ai", { ...location, variant: "trends" }, async () => ({ success: true, data: { text: "trends" } }));
+  assert.deepEqual([plain.result.data.text, trends.result.data.text], ["plain", "trends"]);
+
+  // A history fetch reporting a newer month stales older DSR stats too
+  const history = { ...location, suburb: "Box Hill", variant: "12" };
+  await withCache("dsr_history", history, async () => ({ success: true, data: { data_month: "Jun", data_year: "2031" } }));
+  assert.equal(cacheStats().latest_dsr_period, 203106);
+});
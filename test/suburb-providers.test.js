@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const CACHE_FILE = path.join(os.tmpdir(), `suburb-providers-test-${process.pid}.json`);
+process.env.SUBURB_CACHE_FILE = CACHE_FILE;
+test.after(() => fs.rmSync(CACHE_FILE, { force: true }));
+test.mock.method(console, "log", () => {});
+
+// ── Fake sources: DSR is down or up per test, SQM answers, Domain's
+// suburb profile has houses by bedroom count only ──
+let dsrUp = false;
+const calls = { dsr: 0, sqm: 0, domain: 0 };
+
+function stub(modulePath, exports) {
+  require.cache[require.resolve(modulePath)] = { id: modulePath, loaded: true, exports };
+}
+
+const { sourceLabel } = require("../utils/domain-suburb");
+stub("../scrapers/dsr", {
+  scrapeStockOnMarket: async () => {
+    calls.dsr++;
+    if (!dsrUp) return { success: false, error: "DSR down", code: "UPSTREAM_UNAVAILABLE", retryable: true, source: "dsr" };
+    return { success: true, data: { data_month: "Sep", data_year: "2026", metrics: {}, days_on_market: "31", median_12_months: "$1,600,000" } };
+  },
+});
+stub("../utils/sqm-vacancy", {
+  scrapeSqmVacancy: async () => {
+    calls.sqm++;
+    return { success: true, data: { vacancy_rate: "1.12%", period: "Aug 2026" } };
+  },
+});
+stub("../utils/domain-suburb", {
+  sourceLabel,
+  scrapeDomainSuburb: async () => {
+    calls.domain++;
+    return {
+      success: true,
+      data: {
+        house: { median_price: 1650000, median_rent: 900, days_on_market: 33, auction_clearance_rate: 64, number_sold: 300, bedrooms: 4 },
+        unit: null,
+        owner_percentage: 78,
+        renters_percentage: 22,
+      },
+    };
+  },
+});
+
+const { resolveFields, chainFor } = require("../utils/suburb-providers");
+
+const KELLYVILLE = { suburb: "Kellyville", state: "NSW", postcode: "2155" };
+const FIELDS = ["days_on_market", "median_house_price", "renters_percentage", "vacancy_rate"];
+
+
+test("chainFor: configured order first, then the other providers", () => {
+  assert.deepEqual(chainFor("vacancy_rate"), ["sqm", "dsr"]);
+  assert.deepEqual(chainFor("days_on_market"), ["dsr", "domain"]);
+  assert.deepEqual(chainFor("median_rent"), ["domain"]);
+});
+
+test("resolveFields: DSR down — Domain fills in, labelled with its bedroom row", async () => {
+  const { values, provenance, failures } = await resolveFields(FIELDS, KELLYVILLE, {
+    types: ["house"], refresh: true, opportunistic: ["number_sold"],
+  });
+
+  assert.equal(values.days_on_market, "33");
+  assert.equal(values.median_house_price, "$1,650,000");
+  assert.equal(values.vacancy_rate, "1.12%");
+  assert.deepEqual(provenance, {
+    days_on_market: "domain (4 bed)",
+    median_house_price: "domain (4 bed)",
+    renters_percentage: "domain",
+    vacancy_rate: "sqm",
+    number_sold: "domain",
+  });
+  assert.deepEqual(failures.map((f) => f.source), ["dsr"]);
+});
+
+test("resolveFields: DSR up — Domain is never fetched, opportunistic fields stay empty", async () => {
+  dsrUp = true;
+  calls.domain = 0;
+  const { values, provenance } = await resolveFields(["days_on_market", "median_house_price"], KELLYVILLE, {
+    types: ["house"], refresh: true, opportunistic: ["number_sold"],
+  });
+
+  assert.equal(calls.domain, 0);
+  assert.equal(values.days_on_market, "31");
+  assert.equal(provenance.median_house_price, "dsr");
+  assert.equal(values.number_sold, "");
+  assert.equal(provenance.number_sold, null);
+});
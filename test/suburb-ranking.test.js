@@ -0,0 +1,40 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { resolveWeights, rankSuburbs } = require("../utils/suburb-ranking");
+
+
+test("resolveWeights: profile plus overrides, bad input throws", () => {
+  const weights = resolveWeights("growth", { vacancy_rate: 0.5 });
+  assert.equal(weights.vacancy_rate, 0.5);
+  assert.equal(weights.dsr_score, 0.3);
+
+  assert.throws(() => resolveWeights("nope"), /Unknown profile/);
+  assert.throws(() => resolveWeights("balanced", { nope: 1 }), /Unknown metric/);
+  assert.throws(() => resolveWeights("balanced", { dsr_score: -1 }), /non-negative/);
+  const zero = Object.fromEntries(Object.keys(resolveWeights()).map((m) => [m, 0]));
+  assert.throws(() => resolveWeights("balanced", zero), /greater than zero/);
+});
+
+test("rankSuburbs: min-max normalised, inverted where lower is better", () => {
+  const weights = { dsr_score: 1, days_on_market: 1 };
+  const ranked = rankSuburbs([
+    { suburb: "A", metrics: { dsr_score: 40, days_on_market: 60 } },
+    { suburb: "B", metrics: { dsr_score: 60, days_on_market: 20 } },
+    { suburb: "C", metrics: { dsr_score: 50, days_on_market: 40 } },
+  ], weights);
+
+  assert.deepEqual(ranked.map((r) => [r.suburb, r.rank, r.score]), [["B", 1, 100], ["C", 2, 50], ["A", 3, 0]]);
+  assert.equal(ranked[0].breakdown.days_on_market.normalised, 1);
+  assert.equal(ranked[1].breakdown.dsr_score.contribution + ranked[1].breakdown.days_on_market.contribution, 50);
+});
+
+test("rankSuburbs: missing metrics re-weight, no metrics → unranked", () => {
+  const ranked = rankSuburbs([
+    { suburb: "A", metrics: { dsr_score: 60 } },
+    { suburb: "B", metrics: { dsr_score: 40, vacancy_rate: 1 } },
+    { suburb: "C", metrics: {} },
+  ], { dsr_score: 1, vacancy_rate: 1 });
+
+  assert.deepEqual(ranked.map((r) => [r.suburb, r.score, r.rank]), [["A", 100, 1], ["B", 25, 2], ["C", null, null]]);
+  assert.equal(ranked[0].breakdown.vacancy_rate.value, null);
+});
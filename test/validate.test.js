@@ -0,0 +1,145 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { spawn } = require("child_process");
+const { validateRequest, validateSchema } = require("../utils/validate");
+const { openApiDocument } = require("../utils/openapi");
+
+
+function run(middleware, req) {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  let nextCalled = false;
+  middleware({ query: {}, params: {}, ...req }, res, () => { nextCalled = true; });
+  return { res, nextCalled };
+}
+
+
+test("validateRequest: a valid suburb body passes through", () => {
+  const { res, nextCalled } = run(validateRequest("/api/suburb"), {
+    body: { suburb: "Castle Hill", state: "NSW", postcode: "2154" },
+  });
+  assert.equal(nextCalled, true);
+  assert.equal(res.body, undefined);
+});
+
+test("validateRequest: missing and malformed fields give 400 with per-field details", () => {
+  const { res, nextCalled } = run(validateRequest("/api/suburb"), {
+    body: { suburb: "Castle Hill", postcode: "215" },
+  });
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.success, false);
+  assert.equal(res.body.code, "VALIDATION_ERROR");
+  const fields = res.body.details.map((d) => d.field);
+  assert.ok(fields.includes("state"));
+  assert.ok(fields.includes("postcode"));
+  assert.match(res.body.error, /state: is required/);
+});
+
+test("validateRequest: query parameters are coerced before checking", () => {
+  const middleware = validateRequest("/api/cache/suburbs", "delete");
+  assert.equal(run(middleware, { query: { source: "dsr_history" } }).nextCalled, true);
+
+  const { res } = run(middleware, { query: { source: "rp" } });
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.body.details.map((d) => d.field), ["source"]);
+});
+
+test("validateRequest: unknown paths fail at startup, not per request", () => {
+  assert.throws(() => validateRequest("/api/nope"), /No OpenAPI path/);
+});
+
+test("validateSchema: $ref, enum and nested array items", () => {
+  const schema = {
+    type: "object",
+    properties: { items: { type: "array", maxItems: 2, items: { type: "string", enum: ["a", "b"] } } },
+  };
+  assert.deepEqual(validateSchema(schema, { items: ["a", "b"] }, ""), []);
+  assert.deepEqual(validateSchema(schema, { items: ["a", "c"] }, ""), [
+    { field: "items[1]", message: "must be one of: a, b" },
+  ]);
+  assert.equal(validateSchema(schema, { items: ["a", "a", "a"] }, "").length, 1);
+});
+
+test("openApiDocument: /openapi.json is not exempt from the API key", () => {
+  const operation = openApiDocument.paths["/openapi.json"].get;
+  assert.equal(operation.security, undefined);
+  assert.ok(operation.responses[401]);
+});
+
+
+// ─── server.js: body-parser errors, auth on /openapi.json, unknown jobs ───
+
+const PORT = 39000 + Math.floor(Math.random() * 1000);
+
+async function startServer(t) {
+  const child = spawn(process.execPath, [path.join(__dirname, "..", "server.js")], {
+    env: { ...process.env, PORT: String(PORT), API_KEY: "test-key" },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  t.after(() => child.kill());
+  await new Promise((resolve, reject) => {
+    child.stdout.on("data", (chunk) => { if (/on port/.test(chunk)) resolve(); });
+    child.on("exit", (code) => reject(new Error(`server exited with ${code}`)));
+  });
+}
+
+function post(body, route = "/api/suburb") {
+  return fetch(`http://127.0.0.1:${PORT}${route}`, {
+    method: "POST",
+    headers: { "content-type": "application/json", "x-api-key": "test-key" },
+    body,
+  });
+}
+
+test("server: bad JSON bodies get the validation 400, unknown jobs NOT_FOUND", async (t) => {
+  await startServer(t);
+
+  const malformed = await post('{"suburb": "Castle Hill",');
+  assert.equal(malformed.status, 400);
+  assert.deepEqual(await malformed.json(), {
+    success: false,
+    error: "(body): must be valid JSON",
+    code: "VALIDATION_ERROR",
+    retryable: false,
+    source: "request",
+    details: [{ field: "(body)", message: "must be valid JSON" }],
+  });
+
+  const oversized = await post(JSON.stringify({ suburb: "x".repeat(6 * 1024 * 1024) }));
+  assert.equal(oversized.status, 400);
+  assert.equal((await oversized.json()).details[0].message, "must be at most 5mb");
+
+  const wrongState = await post(JSON.stringify({ suburb: "Kellyville", state: "VIC", postcode: "2155" }));
+  assert.equal(wrongState.status, 400);
+  assert.deepEqual((await wrongState.json()).details, [{ field: "postcode", message: "2155 is not a VIC postcode (NSW)" }]);
+
+  const subject = { address: "3 Parsons Circuit, Kellyville NSW 2155", bedrooms: 4 };
+  const comparables = [{ address: "5 A St", sold_price: "$1,500,000", sold_date: "1 Jul 2025", bedrooms: 3 }];
+  const badAdjustment = await post(JSON.stringify({ subject, comparables, adjustments: { pool: 1 } }), "/api/property/valuation");
+  assert.equal(badAdjustment.status, 400);
+  assert.equal((await badAdjustment.json()).details[0].field, "adjustments.pool");
+
+  const badDate = await post(JSON.stringify({ subject, comparables, valuationDate: "2025-02-30" }), "/api/property/valuation");
+  assert.equal(badDate.status, 400);
+  assert.deepEqual((await badDate.json()).details, [{ field: "valuationDate", message: "not a real calendar date" }]);
+
+  const anonymous = await fetch(`http://127.0.0.1:${PORT}/openapi.json`);
+  assert.equal(anonymous.status, 401);
+
+  const missingJob = await fetch(`http://127.0.0.1:${PORT}/api/jobs/does-not-exist`, {
+    headers: { "x-api-key": "test-key" },
+  });
+  assert.equal(missingJob.status, 404);
+  assert.deepEqual(await missingJob.json(), {
+    success: false,
+    error: "Job not found",
+    code: "NOT_FOUND",
+    retryable: false,
+    source: "request",
+  });
+});
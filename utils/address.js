@@ -0,0 +1,386 @@
+// ══════════════════════════════════════════════
+// Australian address parser / normaliser
+//
+// Free text → components:
+//   "2/15 Smith St, Kellyville NSW 2155"
+//   → { unit: "2", street_number: "15", street_name: "Smith",
+//       street_type: "Street", street_type_abbr: "St",
+//       suburb: "Kellyville", state: "NSW", postcode: "2155" }
+//
+// Handles "Unit 2, 15 ...", "U2 15 ...", "2/15 ...", "15A ...",
+// number ranges ("15-17"), "Lot 5 ...", with or without commas, and
+// full state names. Each source then gets the form it expects:
+//   toDomainSlug()       2-15-smith-street-kellyville-nsw-2155
+//   toLocalitySlug()     kellyville-nsw-2155 (Domain suburb / search pages)
+//   toCoreLogicSearch()  2/15 Smith St Kellyville NSW 2155
+//   toDsrLocality()      KELLYVILLE
+// scoreAddressMatch() rates how closely another source's listing of an
+// address (e.g. a CoreLogic suggestion) matches the one requested.
+// ══════════════════════════════════════════════
+
+// Full name → common abbreviation (Australia Post style)
+const STREET_TYPES = {
+  Alley: "Ally", Arcade: "Arc", Avenue: "Ave", Boulevard: "Bvd", Bypass: "Bypa", Chase: "Ch",
+  Circle: "Cir", Circuit: "Cct", Circus: "Crcs", Close: "Cl", Concourse: "Con", Corner: "Cnr",
+  Court: "Ct", Cove: "Cove", Crescent: "Cres", Crest: "Crst", Drive: "Dr", Entrance: "Ent",
+  Esplanade: "Esp", Freeway: "Fwy", Gardens: "Gdns", Glade: "Gld", Glen: "Gln", Grange: "Gra",
+  Green: "Grn", Grove: "Gr", Heights: "Hts", Highway: "Hwy", Lane: "Lane", Link: "Link",
+  Loop: "Loop", Mall: "Mall", Mews: "Mews", Parade: "Pde", Parkway: "Pkwy", Pass: "Pass",
+  Path: "Path", Place: "Pl", Plaza: "Plza", Promenade: "Prom", Quay: "Qy", Retreat: "Rtt",
+  Ridge: "Rdge", Rise: "Rise", Road: "Rd", Row: "Row", Square: "Sq", Street: "St",
+  Terrace: "Tce", Track: "Trk", Vista: "Vsta", Walk: "Walk", Way: "Way", Wynd: "Wynd",
+};
+
+// Variant spellings seen in listings → full name
+const STREET_TYPE_ALIASES = {
+  blvd: "Boulevard", blvde: "Boulevard", bvde: "Boulevard", cct: "Circuit", cir: "Circle", crt: "Court",
+  cr: "Crescent", crs: "Crescent", dve: "Drive", drv: "Drive", gdn: "Gardens", gve: "Grove",
+  hwy: "Highway", la: "Lane", ln: "Lane", pwy: "Parkway", rd: "Road", st: "Street", str: "Street",
+  tc: "Terrace", ter: "Terrace", av: "Avenue",
+};
+
+const TYPE_LOOKUP = {};
+for (const [full, abbr] of Object.entries(STREET_TYPES)) {
+  TYPE_LOOKUP[full.toLowerCase()] = full;
+  TYPE_LOOKUP[abbr.toLowerCase()] = full;
+}
+Object.assign(TYPE_LOOKUP, STREET_TYPE_ALIASES);
+
+const STATE_NAMES = {
+  "new south wales": "NSW", victoria: "VIC", queensland: "QLD", "south australia": "SA",
+  "western australia": "WA", tasmania: "TAS", "australian capital territory": "ACT", "northern territory": "NT",
+};
+
+// Postcode ranges per state (inclusive), incl. PO box / large-user ranges.
+// 2620 and 2540 straddle NSW/ACT (Hume, Jervis Bay), so both accept them.
+const POSTCODE_RANGES = {
+  NSW: [[1000, 2599], [2619, 2899], [2921, 2999]],
+  ACT: [[200, 299], [2540, 2540], [2600, 2620], [2900, 2920]],
+  VIC: [[3000, 3999], [8000, 8999]],
+  QLD: [[4000, 4999], [9000, 9999]],
+  SA: [[5000, 5999]],
+  WA: [[6000, 6999]],
+  TAS: [[7000, 7999]],
+  NT: [[800, 999]],
+};
+
+const STATE_CODES = Object.keys(POSTCODE_RANGES);
+
+
+function titleCase(s) {
+  return s.toLowerCase().replace(/(^|[\s\-'])([a-z])/g, (_, sep, c) => sep + c.toUpperCase())
+    // Mc/Mac names keep the capital after the prefix
+    .replace(/\bMc([a-z])/g, (_, c) => "Mc" + c.toUpperCase());
+}
+
+
+/**
+ * True if the postcode falls in one of the state's ranges.
+ */
+function postcodeMatchesState(state, postcode) {
+  const ranges = POSTCODE_RANGES[String(state || "").toUpperCase()];
+  const pc = parseInt(postcode, 10);
+  if (!ranges || isNaN(pc)) return false;
+  return ranges.some(([lo, hi]) => pc >= lo && pc <= hi);
+}
+
+
+/**
+ * States whose ranges contain the postcode (usually one).
+ */
+function statesForPostcode(postcode) {
+  return STATE_CODES.filter((st) => postcodeMatchesState(st, postcode));
+}
+
+
+function normaliseStreetType(raw) {
+  return TYPE_LOOKUP[String(raw || "").toLowerCase().replace(/\./g, "")] || null;
+}
+
+
+// Street types that also start suburb names (Glen Waverley, Grove TAS,
+// Green Point, Grange SA, St Ives)
+const SUBURB_LEADING_TYPES = new Set(["Glen", "Grove", "Green", "Grange", "Street"]);
+
+/**
+ * Could these words (what follows a street type) be a suburb? Not if
+ * they start with a street type that never leads a suburb ("Way
+ * Kellyville") or contain an abbreviated one ("Beach Rd Mona Vale").
+ */
+function plausibleSuburb(words) {
+  if (words.length === 0) return true;
+  const first = normaliseStreetType(words[0]);
+  if (first && !SUBURB_LEADING_TYPES.has(first)) return false;
+  // "St" leading a suburb is Saint, so it needs a name after it
+  if (first === "Street" && (!/^st\.?$/i.test(words[0]) || words.length < 2)) return false;
+  return !words.slice(1).some((w) => {
+    const type = normaliseStreetType(w);
+    return type && type.toLowerCase() !== w.toLowerCase();
+  });
+}
+
+
+/**
+ * Parse a free-text Australian address.
+ *
+ * @param {string} input
+ * @returns {object|null} components + { valid, warnings, formatted }, or null if
+ *   no street number / name could be found
+ */
+function parseAddress(input) {
+  if (!input || typeof input !== "string") return null;
+  const warnings = [];
+
+  let rest = input.replace(/\s+/g, " ").replace(/\s*,\s*/g, ", ").trim().replace(/,?\s*australia$/i, "");
+
+  // ── Trailing postcode and state ──
+  let postcode = null;
+  let state = null;
+  let m = rest.match(/[\s,]*\b(\d{4})$/);
+  if (m) {
+    postcode = m[1];
+    rest = rest.slice(0, m.index);
+  }
+
+  const statePattern = new RegExp(`[\\s,]*\\b(${[...STATE_CODES, ...Object.keys(STATE_NAMES)].join("|")})$`, "i");
+  m = rest.match(statePattern);
+  if (m) {
+    state = STATE_NAMES[m[1].toLowerCase()] || m[1].toUpperCase();
+    rest = rest.slice(0, m.index);
+  }
+  rest = rest.replace(/[\s,]+$/, "");
+
+  // ── Unit / lot prefix ──
+  let unit = null;
+  let lot = null;
+  if ((m = rest.match(/^(?:unit|apartment|apt|flat|suite|shop|villa|townhouse|u)\s*([a-z0-9]+)[\s,/]+/i))) {
+    unit = m[1].toUpperCase();
+    rest = rest.slice(m[0].length);
+  } else if ((m = rest.match(/^([a-z]?\d+[a-z]?)\s*\/\s*/i))) {
+    unit = m[1].toUpperCase();
+    rest = rest.slice(m[0].length);
+  }
+  if ((m = rest.match(/^lot\s*(\d+[a-z]?)[\s,]+/i))) {
+    lot = m[1].toUpperCase();
+    rest = rest.slice(m[0].length);
+  }
+
+  // ── Street number (may be a range) ──
+  let streetNumber = null;
+  if ((m = rest.match(/^(\d+[a-z]?(?:\s*-\s*\d+[a-z]?)?)[\s,]+/i))) {
+    streetNumber = m[1].replace(/\s+/g, "").toUpperCase();
+    rest = rest.slice(m[0].length);
+  }
+  if (!streetNumber && !lot) return null;
+
+  // ── Street name + type, then suburb ──
+  // With commas: "Smith St, Kellyville". Without: split after the street type.
+  let streetPart;
+  let suburb = null;
+  const comma = rest.indexOf(",");
+  if (comma >= 0) {
+    streetPart = rest.slice(0, comma).trim();
+    suburb = rest.slice(comma + 1).replace(/,/g, " ").trim() || null;
+  } else {
+    // First street-type word whose remainder still reads as a suburb:
+    // "The Grove Way Kellyville" skips Grove, "Main Road Glen Waverley"
+    // stops at Road, "Park Avenue Beach Rd Mona Vale" runs on to Rd.
+    const words = rest.split(" ");
+    const typeIdxs = words.map((w, i) => (i >= 1 && normaliseStreetType(w) ? i : -1)).filter((i) => i >= 0);
+    const typeIdx = typeIdxs.find((i) => plausibleSuburb(words.slice(i + 1))) ?? typeIdxs[0] ?? -1;
+    if (typeIdx >= 1) {
+      streetPart = words.slice(0, typeIdx + 1).join(" ");
+      suburb = words.slice(typeIdx + 1).join(" ") || null;
+    } else {
+      streetPart = rest;
+      warnings.push("Street type not recognised; suburb could not be separated");
+    }
+  }
+
+  const streetWords = streetPart.split(" ").filter(Boolean);
+  let streetType = null;
+  if (streetWords.length > 1 && normaliseStreetType(streetWords[streetWords.length - 1])) {
+    streetType = normaliseStreetType(streetWords.pop());
+  } else if (suburb) {
+    warnings.push(`Unrecognised street type in "${streetPart}"`);
+  }
+  const streetName = streetWords.length ? titleCase(streetWords.join(" ")) : null;
+  if (!streetName) return null;
+
+  // ── Validation ──
+  if (!state && postcode) {
+    const guessed = statesForPostcode(postcode);
+    if (guessed.length === 1) state = guessed[0];
+  }
+  if (!suburb) warnings.push("No suburb");
+  if (!state) warnings.push("No state");
+  if (!postcode) warnings.push("No postcode");
+  if (state && postcode && !postcodeMatchesState(state, postcode)) {
+    const expected = statesForPostcode(postcode);
+    warnings.push(`Postcode ${postcode} is not in ${state}${expected.length ? ` (expected ${expected.join("/")})` : ""}`);
+  }
+
+  const parsed = {
+    unit,
+    lot,
+    street_number: streetNumber,
+    street_name: streetName,
+    street_type: streetType,
+    street_type_abbr: streetType ? STREET_TYPES[streetType] : null,
+    suburb: suburb ? titleCase(suburb) : null,
+    state,
+    postcode,
+  };
+
+  return {
+    ...parsed,
+    valid: !!(parsed.street_name && parsed.suburb && parsed.state && parsed.postcode &&
+      postcodeMatchesState(parsed.state, parsed.postcode)),
+    warnings,
+    formatted: formatAddress(parsed),
+  };
+}
+
+
+function streetLine(p, { abbreviate = false } = {}) {
+  const number = p.unit && p.street_number ? `${p.unit}/${p.street_number}` : p.street_number;
+  const type = abbreviate ? p.street_type_abbr : p.street_type;
+  return [p.lot && `Lot ${p.lot}`, number, p.street_name, type].filter(Boolean).join(" ");
+}
+
+
+/**
+ * "2/15 Smith Street, Kellyville NSW 2155"
+ */
+function formatAddress(p) {
+  const locality = [p.suburb, p.state, p.postcode].filter(Boolean).join(" ");
+  return [streetLine(p), locality].filter(Boolean).join(", ");
+}
+
+
+// Apostrophes are dropped, not hyphenated: Domain's slug for
+// O'Connell Street is "oconnell-street"
+function slugify(s) {
+  return s.toLowerCase().replace(/['’]/g, "").replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+}
+
+
+/**
+ * Domain property-profile slug: unit first, full street type.
+ * "2/15 Smith St, Kellyville NSW 2155" → "2-15-smith-street-kellyville-nsw-2155"
+ * Falls back to slugging the raw text when the address can't be parsed.
+ */
+function toDomainSlug(address) {
+  const p = typeof address === "string" ? parseAddress(address) : address;
+  if (!p) return slugify(String(address || ""));
+  const lot = p.lot ? `lot ${p.lot}` : null;
+  return slugify([lot, p.unit, p.street_number, p.street_name, p.street_type, p.suburb, p.state, p.postcode].filter(Boolean).join(" "));
+}
+
+
+/**
+ * Domain suburb-level slug, as used by its suburb profile, sold and
+ * rental search pages.
+ * { suburb: "St Ives", state: "NSW", postcode: "2075" } → "st-ives-nsw-2075"
+ */
+function toLocalitySlug({ suburb, state, postcode }) {
+  return slugify([suburb, state, postcode].filter(Boolean).join(" "));
+}
+
+
+/**
+ * Text typed into CoreLogic's search box — matches how its
+ * autocomplete lists addresses ("2/15 Smith St Kellyville NSW 2155").
+ */
+function toCoreLogicSearch(address) {
+  const p = typeof address === "string" ? parseAddress(address) : address;
+  if (!p) return String(address || "").trim();
+  return [streetLine(p, { abbreviate: true }), p.suburb, p.state, p.postcode].filter(Boolean).join(" ");
+}
+
+
+// scoreAddressMatch weights. Fields the request leaves out are skipped.
+const MATCH_WEIGHTS = { street_number: 0.3, street_name: 0.3, street_type: 0.1, suburb: 0.2, postcode: 0.1 };
+
+
+/**
+ * Levenshtein similarity of two names, 0–1, ignoring case and punctuation.
+ */
+function nameSimilarity(a, b) {
+  const x = String(a || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+  const y = String(b || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+
+  let prev = Array.from({ length: y.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= x.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= y.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (x[i - 1] === y[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return 1 - prev[y.length] / Math.max(x.length, y.length);
+}
+
+
+/**
+ * How well a candidate (e.g. an autocomplete suggestion) matches the
+ * requested address, 0–1. A different unit, lot or street number is a
+ * different property, so any of those caps the score at 0.5.
+ *
+ * @param {string|object} requested - text or parseAddress() result
+ * @param {string|object} candidate
+ * @returns {{ score: number, mismatches: string[] }}
+ */
+function scoreAddressMatch(requested, candidate) {
+  const want = typeof requested === "string" ? parseAddress(requested) : requested;
+  const got = typeof candidate === "string" ? parseAddress(candidate) : candidate;
+  if (!want || !got) return { score: 0, mismatches: ["unparseable"] };
+
+  const mismatches = [];
+  let total = 0;
+  let earned = 0;
+  for (const [field, weight] of Object.entries(MATCH_WEIGHTS)) {
+    if (!want[field]) continue;
+    const similarity = field === "street_name" || field === "suburb"
+      ? nameSimilarity(want[field], got[field])
+      : want[field] === got[field] ? 1 : 0;
+    total += weight;
+    earned += weight * similarity;
+    if (similarity < 1) mismatches.push(field);
+  }
+  let score = total ? earned / total : 0;
+
+  for (const field of ["unit", "lot"]) {
+    if ((want[field] || null) !== (got[field] || null)) mismatches.push(field);
+  }
+  if (["unit", "lot", "street_number"].some((f) => mismatches.includes(f))) {
+    score = Math.min(score, 0.5);
+  }
+
+  return { score: Math.round(score * 100) / 100, mismatches };
+}
+
+
+/**
+ * DSR `locality` parameter: upper-case suburb, single spaces,
+ * no punctuation besides hyphens and apostrophes.
+ */
+function toDsrLocality(suburb) {
+  return String(suburb || "").toUpperCase().replace(/[^A-Z0-9'\- ]/g, " ").replace(/\s+/g, " ").trim();
+}
+
+
+module.exports = {
+  STREET_TYPES,
+  parseAddress,
+  formatAddress,
+  postcodeMatchesState,
+  statesForPostcode,
+  toDomainSlug,
+  toLocalitySlug,
+  toCoreLogicSearch,
+  toDsrLocality,
+  scoreAddressMatch,
+};
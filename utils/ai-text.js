@@ -11,6 +11,9 @@
 // Passes DSR stats so Claude can reference real data.
 // ══════════════════════════════════════════════
 
+const { AiParseError, NotConfiguredError, UpstreamChangedError, httpError, failure } = require("./errors");
+const { isReplaying, fixtureKey, replayableFetch } = require("./replay");
+
 const ANTHROPIC_API_URL = "https://api.anthropic.com/v1/messages";
 
 /**
@@ -19,14 +22,15 @@ const ANTHROPIC_API_URL = "https://api.anthropic.com/v1/messages";
  * @param {string} suburb
  * @param {string} state
  * @param {string} postcode
- * @param {object} stats - DSR stats to ground the text with real data
+ * @param {object|object[]} stats - DSR stats to ground the text with real data
+ *   (one object, or one per property type when houses and units are both requested)
  */
 async function generateSuburbText(suburb, state, postcode, stats) {
   const apiKey = process.env.ANTHROPIC_API_KEY;
 
-  if (!apiKey) {
+  if (!apiKey && !isReplaying()) {
     console.warn("⚠️ ANTHROPIC_API_KEY not set — returning empty text");
-    return { success: false, error: "ANTHROPIC_API_KEY not configured" };
+    return failure(new NotConfiguredError("ANTHROPIC_API_KEY not configured", { source: "claude" }));
   }
 
   const statsContext = formatStatsForPrompt(stats);
@@ -53,7 +57,10 @@ Return ONLY valid JSON with no markdown fences or explanation:
 }`;
 
   try {
-    const response = await fetch(ANTHROPIC_API_URL, {
+    const propertyType = Array.isArray(stats) ? "both" : stats?.property_type;
+    const fixture = { source: "claude", key: fixtureKey(suburb, state, postcode, propertyType) };
+
+    const response = await replayableFetch(fixture, ANTHROPIC_API_URL, {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
@@ -68,11 +75,15 @@ Return ONLY valid JSON with no markdown fences or explanation:
     });
 
     if (!response.ok) {
-      const errBody = await response.text();
-      throw new Error(`Anthropic API ${response.status}: ${errBody}`);
+      const err = httpError(response, "claude", "Anthropic API");
+      err.details = { body: (await response.text()).slice(0, 500) };
+      throw err;
     }
 
     const data = await response.json();
+    if (!Array.isArray(data.content)) {
+      throw new UpstreamChangedError("Anthropic API response has no content blocks", { source: "claude" });
+    }
 
     // Extract text from response
     const text = data.content
@@ -82,7 +93,16 @@ Return ONLY valid JSON with no markdown fences or explanation:
 
     // Parse JSON from Claude's response
     const cleaned = text.replace(/```json\s*|```\s*/g, "").trim();
-    const parsed = JSON.parse(cleaned);
+    let parsed;
+    try {
+      parsed = JSON.parse(cleaned);
+    } catch (err) {
+      throw new AiParseError(`Claude did not return valid JSON: ${err.message}`, {
+        source: "claude",
+        details: { stop_reason: data.stop_reason || null, preview: cleaned.slice(0, 200) },
+        cause: err,
+      });
+    }
 
     return {
       success: true,
@@ -97,24 +117,39 @@ Return ONLY valid JSON with no markdown fences or explanation:
     };
   } catch (err) {
     console.error("Claude API error:", err.message);
-    return { success: false, error: err.message };
+    return failure(err, "claude");
   }
 }
 
 
 /**
  * Format DSR stats into readable context for the prompt.
+ * Multiple property types get a heading each (Houses / Units).
  */
 function formatStatsForPrompt(stats) {
-  if (!stats || Object.keys(stats).length === 0) {
+  const blocks = (Array.isArray(stats) ? stats : [stats])
+    .filter((s) => s && Object.keys(s).length > 0);
+
+  if (blocks.length === 0) {
     return "No market data available.";
   }
 
+  return blocks
+    .map((s) => {
+      const lines = formatStatsLines(s);
+      if (blocks.length === 1) return lines.join("\n");
+      return [`${s.property_type === "unit" ? "Units" : "Houses"}:`, ...lines.map((l) => `  ${l}`)].join("\n");
+    })
+    .join("\n\n");
+}
+
+
+function formatStatsLines(stats) {
   const lines = [];
 
-  if (stats.median_12_months) lines.push(`Median house price (12 months): ${stats.median_12_months}`);
+  if (stats.median_12_months) lines.push(`${stats.median_label || "Median house price"} (12 months): ${stats.median_12_months}`);
   if (stats.typical_value) lines.push(`Typical value: ${stats.typical_value}`);
-  if (stats.gross_rental_yield) lines.push(`Gross rental yield: ${stats.gross_rental_yield}`);
+  if (stats.gross_rental_yield) lines.push(`${stats.yield_label || "Gross rental yield"}: ${stats.gross_rental_yield}`);
   if (stats.days_on_market) lines.push(`Average days on market: ${stats.days_on_market}`);
   if (stats.stock_on_market) lines.push(`Stock on market: ${stats.stock_on_market}`);
   if (stats.vacancy_rate) lines.push(`Vacancy rate: ${stats.vacancy_rate}`);
@@ -123,8 +158,18 @@ function formatStatsForPrompt(stats) {
   if (stats.auction_clearance_rate) lines.push(`Auction clearance rate: ${stats.auction_clearance_rate}`);
   if (stats.renters_percentage) lines.push(`Percentage renters: ${stats.renters_percentage}`);
 
-  return lines.join("\n");
+  // Month-on-month direction from /api/suburb/history, if attached
+  if (stats.trends) {
+    for (const trend of Object.values(stats.trends)) {
+      if (trend.change_12m === null && trend.change_6m === null && trend.change_3m === null) continue;
+      const span = trend.change_12m !== null ? ["12", trend.change_12m]
+        : trend.change_6m !== null ? ["6", trend.change_6m] : ["3", trend.change_3m];
+      lines.push(`Trend — ${trend.label}: ${trend.direction} (${span[1] > 0 ? "+" : ""}${span[1]} over ${span[0]} months, ${trend.signal})`);
+    }
+  }
+
+  return lines;
 }
 
 
-module.exports = { generateSuburbText };
\ No newline at end of file
+module.exports = { generateSuburbText, formatStatsForPrompt };
\ No newline at end of file
@@ -17,7 +17,7 @@ function authMiddleware(req, res, next) {
     return next();
   }
 
-  return res.status(401).json({ success: false, error: "Unauthorized" });
+  return res.status(401).json({ success: false, error: "Unauthorized", code: "UNAUTHORIZED", retryable: false, source: "request" });
 }
 
 module.exports = { authMiddleware };
@@ -1,49 +1,225 @@
+const { AsyncLocalStorage } = require("async_hooks");
 const { chromium } = require("playwright");
+const { RateLimitedError } = require("./errors");
+const { attachHar } = require("./replay");
+
+// ══════════════════════════════════════════════
+// Shared Chromium + context pool
+//
+// Every scraper (CoreLogic, DSR, SQM, Domain) opens its pages here,
+// so one browser serves the whole container and the number of live
+// contexts is capped. Requests beyond the cap wait in a FIFO queue
+// and fail after BROWSER_QUEUE_TIMEOUT rather than piling up.
+//
+// A context's slot is released when the context closes — callers
+// just keep doing `await context.close()` in their finally blocks.
+// If Chromium crashes, the next request relaunches it.
+//
+// trackContexts() lets a caller that gives up on a scrape (a timed-out
+// health check) close whatever contexts that scrape opened.
+// ══════════════════════════════════════════════
+
+const MAX_CONTEXTS = parseInt(process.env.BROWSER_MAX_CONTEXTS, 10) || 3;
+const QUEUE_TIMEOUT = parseInt(process.env.BROWSER_QUEUE_TIMEOUT, 10) || 60000;
+
+const DEFAULT_USER_AGENT =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36";
 
 let browser = null;
+let launching = null;
+let active = 0;
+const waiting = [];
+const trackingScope = new AsyncLocalStorage();
+
+const stats = {
+  launches: 0,
+  crashes: 0,
+  acquired: 0,
+  queue_timeouts: 0,
+  peak_active: 0,
+  peak_queued: 0,
+};
+
 
 async function getBrowser() {
-  if (!browser || !browser.isConnected()) {
-    browser = await chromium.launch({
-      headless: true,
-      args: [
-        "--no-sandbox",
-        "--disable-setuid-sandbox",
-        "--disable-dev-shm-usage",
-        "--disable-gpu",
-      ],
-    });
+  if (browser && browser.isConnected()) return browser;
+
+  // Single-flight launch so parallel requests don't start several browsers
+  if (!launching) {
+    launching = chromium
+      .launch({
+        headless: true,
+        args: [
+          "--no-sandbox",
+          "--disable-setuid-sandbox",
+          "--disable-dev-shm-usage",
+          "--disable-gpu",
+          "--disable-blink-features=AutomationControlled",
+        ],
+      })
+      .then((b) => {
+        stats.launches++;
+        b.on("disconnected", () => {
+          if (browser === b) {
+            stats.crashes++;
+            browser = null;
+            console.log("⚠️ Chromium disconnected — will relaunch on next request");
+          }
+        });
+        browser = b;
+        return b;
+      })
+      .finally(() => {
+        launching = null;
+      });
   }
-  return browser;
+  return launching;
 }
 
-async function getPage() {
-  const b = await getBrowser();
-  const context = await b.newContext({
-    userAgent:
-      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-    viewport: { width: 1280, height: 800 },
+
+/**
+ * Wait for a free context slot (FIFO), or reject after QUEUE_TIMEOUT.
+ */
+function acquireSlot() {
+  if (active < MAX_CONTEXTS) {
+    active++;
+    trackPeaks();
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve, reject, queuedAt: Date.now() };
+    waiter.timer = setTimeout(() => {
+      const idx = waiting.indexOf(waiter);
+      if (idx >= 0) waiting.splice(idx, 1);
+      stats.queue_timeouts++;
+      reject(new RateLimitedError(`Browser pool busy: no free context after ${QUEUE_TIMEOUT / 1000}s`, { source: "browser" }));
+    }, QUEUE_TIMEOUT);
+    waiting.push(waiter);
+    trackPeaks();
   });
-  const page = await context.newPage();
-
-  // Block images/fonts/media to speed up scraping
-  await page.route("**/*", (route) => {
-    const type = route.request().resourceType();
-    if (["image", "font", "media"].includes(type)) {
-      route.abort();
-    } else {
-      route.continue();
+}
+
+
+function releaseSlot() {
+  const next = waiting.shift();
+  if (next) {
+    // Hand the slot straight to the next waiter — active count unchanged
+    clearTimeout(next.timer);
+    next.resolve();
+  } else {
+    active = Math.max(0, active - 1);
+  }
+}
+
+
+function trackPeaks() {
+  stats.peak_active = Math.max(stats.peak_active, active);
+  stats.peak_queued = Math.max(stats.peak_queued, waiting.length);
+}
+
+
+/**
+ * Open a fresh context + page from the pool.
+ *
+ * @param {object} [options]
+ * @param {object} [options.storageState] - cookies/localStorage to restore (e.g. a saved login)
+ * @param {object} [options.contextOptions] - extra Playwright newContext options (userAgent, locale, ...)
+ * @param {boolean} [options.blockResources=true] - abort image/font/media requests
+ * @param {object} [options.fixture] - { source, key } for SCRAPER_MODE record/replay (utils/replay.js)
+ */
+async function getPage(options = {}) {
+  await acquireSlot();
+  stats.acquired++;
+
+  let context;
+  try {
+    const b = await getBrowser();
+    context = await b.newContext({
+      userAgent: DEFAULT_USER_AGENT,
+      viewport: { width: 1280, height: 800 },
+      ...(options.contextOptions || {}),
+      ...(options.storageState ? { storageState: options.storageState } : {}),
+    });
+  } catch (err) {
+    releaseSlot();
+    throw err;
+  }
+
+  // Fires on context.close() and when the browser dies underneath it
+  context.once("close", releaseSlot);
+
+  try {
+    const scope = trackingScope.getStore();
+    if (scope) {
+      if (scope.abandoned) throw new Error("Browser context requested after its caller gave up");
+      scope.contexts.add(context);
+      context.once("close", () => scope.contexts.delete(context));
     }
-  });
 
-  return { page, context };
+    if (options.fixture) await attachHar(context, options.fixture);
+
+    const page = await context.newPage();
+
+    // Block images/fonts/media to speed up scraping. fallback() rather
+    // than continue() so a replay HAR on the context still gets the request.
+    if (options.blockResources !== false) {
+      await page.route("**/*", (route) => {
+        const type = route.request().resourceType();
+        if (["image", "font", "media"].includes(type)) {
+          route.abort();
+        } else {
+          route.fallback();
+        }
+      });
+    }
+
+    return { page, context };
+  } catch (err) {
+    await context.close().catch(() => {});
+    throw err;
+  }
+}
+
+
+/**
+ * Run `fn`, remembering every context it opens through getPage().
+ * `abandon()` closes those contexts (failing the scrape's pending page
+ * calls) and refuses any it asks for later.
+ *
+ * @param {function(): Promise} fn
+ * @returns {{ result: Promise, abandon: function(): Promise<void> }}
+ */
+function trackContexts(fn) {
+  const scope = { contexts: new Set(), abandoned: false };
+  const result = trackingScope.run(scope, fn);
+  const abandon = async () => {
+    scope.abandoned = true;
+    await Promise.all([...scope.contexts].map((context) => context.close().catch(() => {})));
+  };
+  return { result, abandon };
 }
 
+
+function getPoolStats() {
+  return {
+    browser_connected: !!(browser && browser.isConnected()),
+    max_contexts: MAX_CONTEXTS,
+    active_contexts: active,
+    queued: waiting.length,
+    oldest_wait_ms: waiting.length ? Date.now() - waiting[0].queuedAt : 0,
+    queue_timeout_ms: QUEUE_TIMEOUT,
+    ...stats,
+  };
+}
+
+
 async function closeBrowser() {
   if (browser) {
-    await browser.close();
+    const b = browser;
     browser = null;
+    await b.close();
   }
 }
 
-module.exports = { getBrowser, getPage, closeBrowser };
+module.exports = { getBrowser, getPage, getPoolStats, closeBrowser, trackContexts };
@@ -0,0 +1,289 @@
+// ══════════════════════════════════════════════
+// Comparable discovery — recent nearby sales for a subject property
+//
+// Instead of hand-picking addresses for /api/comparables, gather
+// candidates from:
+//   corelogic  the subject page's comparables panel (+ subject attributes)
+//   domain     the subject's property profile (attributes, lat/lng) and
+//              the sold-listings search for its suburb + surrounds
+// then merge duplicates, apply the filters and rank what's left by
+// similarity to the subject.
+//
+// Filters (defaults in brackets):
+//   months             sold within N months [6]
+//   radiusKm           distance from the subject [2]
+//   bedrooms           { min, max } [subject ± 1]
+//   landSizeTolerance  ± % of the subject's land size [25]
+//   propertyType       house / unit / townhouse / any [subject's type]
+// A candidate missing the attribute a filter needs is kept (and scored
+// on what it has) — except distance, where it must at least be in the
+// subject's suburb.
+// ══════════════════════════════════════════════
+
+const { scrapeComparablesPanel } = require("../scrapers/corelogic");
+const { scrapeDomainComparables } = require("./domain-comparables");
+const { scrapeDomainSold } = require("./domain-sold");
+const { parseAddress } = require("./address");
+const { parseNumber, parseDate } = require("./response-v2");
+const {
+  toCount, toSquareMetres, toPropertyType, toKm, haversineKm, monthsSince, addressKey, round,
+  resolvePropertyType, attributeExclusion,
+} = require("./comparables");
+
+const DEFAULTS = { months: 6, radiusKm: 2, landSizeTolerance: 25, limit: 10 };
+const SOURCES = ["corelogic", "domain"];
+
+// Similarity weights; re-normalised over the attributes a candidate has
+const SCORE_WEIGHTS = { distance: 0.3, recency: 0.25, bedrooms: 0.2, land_size: 0.15, bathrooms: 0.1 };
+
+
+// ─── Candidates ───
+
+function candidate(source, raw, subject) {
+  const distance = raw.distance !== undefined && raw.distance !== ""
+    ? toKm(raw.distance)
+    : haversineKm(subject, raw);
+  const parsedDate = parseDate(raw.sold_date);
+
+  return {
+    address: raw.address,
+    sources: [source],
+    sold_price: parseNumber(raw.sold_price),
+    sold_date: parsedDate ? parsedDate.iso : null,
+    sold_method: raw.sold_method || null,
+    bedrooms: toCount(raw.bedrooms),
+    bathrooms: toCount(raw.bathrooms),
+    car_spaces: toCount(raw.car_spaces),
+    land_size: toSquareMetres(raw.land_size),
+    property_type: toPropertyType(raw.property_type),
+    distance_km: round(distance),
+    suburb: parseAddress(raw.address)?.suburb || null,
+    url: raw.url || null,
+  };
+}
+
+/**
+ * Merge candidates listed by both sources, filling gaps from whichever has the field.
+ */
+function mergeCandidates(list, subjectKey) {
+  const byKey = new Map();
+
+  for (const c of list) {
+    const key = addressKey(c.address);
+    if (!key || key === subjectKey) continue;
+
+    const existing = byKey.get(key);
+    if (!existing) {
+      byKey.set(key, c);
+      continue;
+    }
+    for (const [field, value] of Object.entries(c)) {
+      if (field === "sources") continue;
+      if (existing[field] === null || existing[field] === undefined) existing[field] = value;
+    }
+    existing.sources = [...new Set([...existing.sources, ...c.sources])];
+  }
+
+  return [...byKey.values()];
+}
+
+
+/**
+ * Filters with defaults filled in from the subject.
+ */
+function resolveFilters(filters, subject) {
+  const resolved = {
+    months: filters.months || DEFAULTS.months,
+    radiusKm: filters.radiusKm || DEFAULTS.radiusKm,
+    landSizeTolerance: filters.landSizeTolerance ?? DEFAULTS.landSizeTolerance,
+    propertyType: resolvePropertyType(filters, subject),
+    bedrooms: null,
+    landSize: null,
+    limit: filters.limit || DEFAULTS.limit,
+  };
+
+  if (filters.bedrooms) {
+    resolved.bedrooms = { min: filters.bedrooms.min ?? null, max: filters.bedrooms.max ?? null };
+  } else if (subject.bedrooms !== null) {
+    resolved.bedrooms = { min: Math.max(subject.bedrooms - 1, 0), max: subject.bedrooms + 1 };
+  }
+
+  if (subject.land_size && resolved.propertyType !== "unit") {
+    const tolerance = resolved.landSizeTolerance / 100;
+    resolved.landSize = {
+      min: Math.round(subject.land_size * (1 - tolerance)),
+      max: Math.round(subject.land_size * (1 + tolerance)),
+    };
+  }
+
+  return resolved;
+}
+
+
+/**
+ * Why a candidate fails the filters, or null if it passes.
+ */
+function exclusionReason(c, filters, subject) {
+  const age = monthsSince(c.sold_date);
+  if (age === null || age > filters.months) return "sold_date";
+
+  const reason = attributeExclusion(c, filters, subject);
+  if (reason) return reason;
+
+  if (filters.landSize && c.land_size !== null &&
+      (c.land_size < filters.landSize.min || c.land_size > filters.landSize.max)) {
+    return "land_size";
+  }
+
+  return null;
+}
+
+
+/**
+ * Similarity to the subject, 0–100, with the per-attribute breakdown (0–1).
+ */
+function scoreCandidate(c, filters, subject) {
+  const parts = {};
+  if (c.distance_km !== null) parts.distance = 1 - Math.min(c.distance_km / filters.radiusKm, 1);
+  const age = monthsSince(c.sold_date);
+  if (age !== null) parts.recency = 1 - Math.min(age / filters.months, 1);
+  if (c.bedrooms !== null && subject.bedrooms !== null) {
+    parts.bedrooms = 1 - Math.min(Math.abs(c.bedrooms - subject.bedrooms) / 2, 1);
+  }
+  if (c.bathrooms !== null && subject.bathrooms !== null) {
+    parts.bathrooms = 1 - Math.min(Math.abs(c.bathrooms - subject.bathrooms) / 2, 1);
+  }
+  if (c.land_size !== null && subject.land_size) {
+    const diff = Math.abs(c.land_size - subject.land_size) / subject.land_size;
+    parts.land_size = 1 - Math.min(diff / Math.max(filters.landSizeTolerance / 100, 0.01), 1);
+  }
+
+  const used = Object.keys(parts);
+  const totalWeight = used.reduce((sum, k) => sum + SCORE_WEIGHTS[k], 0);
+  const score = totalWeight
+    ? used.reduce((sum, k) => sum + parts[k] * SCORE_WEIGHTS[k], 0) / totalWeight
+    : 0;
+
+  return {
+    score: Math.round(score * 1000) / 10,
+    match: Object.fromEntries(used.map((k) => [k, round(parts[k])])),
+  };
+}
+
+
+// ─── Entry point ───
+
+/**
+ * Discover and rank comparable sales for a subject property.
+ *
+ * @param {string} address - subject (must include suburb, state, postcode)
+ * @param {object} [filters] - see header
+ * @param {object} [options]
+ * @param {string[]} [options.sources] - subset of ["corelogic", "domain"]
+ * @param {function} [options.onProgress] - (completed, total, step)
+ * @returns {object} { success, data: { subject, filters, candidates, excluded, errors } }
+ */
+async function discoverComparables(address, filters = {}, options = {}) {
+  const sources = options.sources && options.sources.length ? options.sources : SOURCES;
+  const onProgress = options.onProgress || (() => {});
+  const components = parseAddress(address);
+  const location = { suburb: components.suburb, state: components.state, postcode: components.postcode };
+
+  console.log(`🔎 Discovering comparables for ${address} (${sources.join(", ")})`);
+  let completed = 0;
+  const step = (label) => onProgress(++completed, sources.length, label);
+
+  // Domain needs the subject's attributes for its own filters,
+  // so its two steps run in order; CoreLogic runs alongside.
+  const [corelogic, domain] = await Promise.all([
+    sources.includes("corelogic")
+      ? scrapeComparablesPanel(address).finally(() => step("CoreLogic comparables panel"))
+      : null,
+    sources.includes("domain")
+      ? (async () => {
+          const profile = await scrapeDomainComparables([address]);
+          const subject = profile.success && profile.data[0] && profile.data[0].success ? profile.data[0] : null;
+          const sold = await scrapeDomainSold(location, {
+            propertyType: filters.propertyType && filters.propertyType !== "any"
+              ? filters.propertyType
+              : toPropertyType(subject && subject.property_type) || undefined,
+            bedrooms: filters.bedrooms,
+            months: filters.months || DEFAULTS.months,
+          });
+          step("Domain sold search");
+          return { subject, sold };
+        })()
+      : null,
+  ]);
+
+  const errors = [];
+  if (corelogic && !corelogic.success) errors.push(describe(corelogic));
+  if (domain && !domain.sold.success) errors.push(describe(domain.sold));
+
+  const failed = [corelogic && !corelogic.success, domain && !domain.sold.success].filter(Boolean).length;
+  if (failed === sources.length) {
+    // Nothing to rank — surface the first source's failure (keeps its code)
+    return (corelogic && !corelogic.success) ? corelogic : domain.sold;
+  }
+
+  // ── Subject: CoreLogic attributes, Domain for gaps + coordinates ──
+  const cl = corelogic && corelogic.success ? corelogic.data.subject : {};
+  const dm = (domain && domain.subject) || {};
+  const subject = {
+    address,
+    suburb: components.suburb,
+    bedrooms: toCount(cl.bedrooms) ?? toCount(dm.bedrooms),
+    bathrooms: toCount(cl.bathrooms) ?? toCount(dm.bathrooms),
+    car_spaces: toCount(cl.car_spaces) ?? toCount(dm.car_spaces),
+    land_size: toSquareMetres(cl.land_size) ?? toSquareMetres(dm.land_size),
+    property_type: toPropertyType(cl.property_type) || toPropertyType(dm.property_type),
+    latitude: dm.latitude ?? null,
+    longitude: dm.longitude ?? null,
+  };
+
+  const resolved = resolveFilters(filters, subject);
+
+  const raw = [
+    ...(corelogic && corelogic.success ? corelogic.data.comparables.map((c) => candidate("corelogic", c, subject)) : []),
+    ...(domain && domain.sold.success ? domain.sold.data.map((c) => candidate("domain", c, subject)) : []),
+  ];
+  const merged = mergeCandidates(raw, addressKey(address));
+
+  const excluded = {};
+  const kept = [];
+  for (const c of merged) {
+    const reason = exclusionReason(c, resolved, subject);
+    if (reason) {
+      excluded[reason] = (excluded[reason] || 0) + 1;
+    } else {
+      kept.push({ ...c, ...scoreCandidate(c, resolved, subject) });
+    }
+  }
+
+  const candidates = kept
+    .sort((a, b) => b.score - a.score)
+    .slice(0, resolved.limit)
+    .map(({ suburb, ...c }, i) => ({ rank: i + 1, ...c }));
+
+  console.log(`✅ ${candidates.length} comparable(s) from ${merged.length} candidate(s)`);
+
+  return {
+    success: true,
+    data: {
+      subject,
+      filters: resolved,
+      candidates,
+      total_found: merged.length,
+      excluded,
+      errors,
+    },
+  };
+}
+
+
+function describe(result) {
+  return { source: result.source, error: result.error, code: result.code, retryable: result.retryable };
+}
+
+
+module.exports = { discoverComparables, DEFAULTS, toCount, toSquareMetres, toPropertyType };
@@ -0,0 +1,224 @@
+// ══════════════════════════════════════════════
+// Merged comparables — CoreLogic + Domain, field by field
+//
+// Both sources are scraped for every address and each field is taken
+// from the first source in its priority list that has a value:
+//   default priority   corelogic, domain
+//   per field          priorities: { land_size: ["domain", "corelogic"] }
+// Every merged field records where it came from (`provenance`), and
+// when both sources have a value that differs by more than the field's
+// tolerance it's listed in `conflicts` with both values. If one source
+// fails (for an address or entirely) the other fills every field.
+//
+// Values are normalised so the sources can be compared: counts as
+// integers, land in m², price in dollars, dates as ISO.
+// ══════════════════════════════════════════════
+
+const { scrapeComparables } = require("../scrapers/corelogic");
+const { scrapeDomainComparables } = require("./domain-comparables");
+const { toCount, toSquareMetres, toPropertyType } = require("./comparables");
+const { parseNumber, parseDate } = require("./response-v2");
+
+const SOURCES = ["corelogic", "domain"];
+
+// Field → how to normalise it and how far apart counts as a conflict
+// (tolerance in the field's units, % of the larger value, or days)
+const MERGE_FIELDS = {
+  bedrooms: { normalise: toCount, compare: "absolute", tolerance: 0 },
+  bathrooms: { normalise: toCount, compare: "absolute", tolerance: 0 },
+  car_spaces: { normalise: toCount, compare: "absolute", tolerance: 0 },
+  land_size: { normalise: toSquareMetres, compare: "percent", tolerance: 5 },
+  property_type: { normalise: toPropertyType, compare: "equal" },
+  sold_price: { normalise: parseNumber, compare: "percent", tolerance: 1 },
+  sold_date: { normalise: toIsoDate, compare: "days", tolerance: 31 },
+};
+
+
+function toIsoDate(raw) {
+  const parsed = parseDate(raw);
+  return parsed ? parsed.iso : null;
+}
+
+
+/**
+ * Per-field source order and tolerances, defaults + overrides.
+ * Throws on unknown fields; the error's `details` lists each one as
+ * { field, message }.
+ *
+ * @param {object} [priorities] - { default?: [...], <field>?: [...] }
+ * @param {object} [tolerances] - { <field>: number }
+ */
+function resolveMergeOptions(priorities = {}, tolerances = {}) {
+  const fields = Object.keys(MERGE_FIELDS);
+  const message = `unknown field (available: ${fields.join(", ")})`;
+  const details = [
+    ...Object.keys(priorities || {}).filter((f) => f !== "default" && !MERGE_FIELDS[f]).map((f) => ({ field: `priorities.${f}`, message })),
+    ...Object.keys(tolerances || {}).filter((f) => !MERGE_FIELDS[f]).map((f) => ({ field: `tolerances.${f}`, message })),
+  ];
+  if (details.length > 0) {
+    const err = new Error(details.map((d) => `${d.field}: ${d.message}`).join("; "));
+    err.details = details;
+    throw err;
+  }
+
+  const base = completeOrder((priorities && priorities.default) || SOURCES);
+  const resolved = { priorities: {}, tolerances: {} };
+  for (const field of fields) {
+    resolved.priorities[field] = priorities && priorities[field] ? completeOrder(priorities[field]) : base;
+    if (MERGE_FIELDS[field].tolerance !== undefined) {
+      resolved.tolerances[field] = tolerances && tolerances[field] !== undefined ? tolerances[field] : MERGE_FIELDS[field].tolerance;
+    }
+  }
+  return resolved;
+}
+
+// Sources left out of a priority list still act as the last fallback
+function completeOrder(order) {
+  return [...new Set([...order, ...SOURCES])];
+}
+
+
+function differs(field, a, b, tolerance) {
+  switch (MERGE_FIELDS[field].compare) {
+    case "absolute":
+      return { conflict: Math.abs(a - b) > tolerance, difference: Math.abs(a - b) };
+    case "percent": {
+      const pct = Math.max(a, b) ? (Math.abs(a - b) / Math.max(a, b)) * 100 : 0;
+      return { conflict: pct > tolerance, difference: Math.round(pct * 10) / 10 };
+    }
+    case "days": {
+      const days = Math.abs(new Date(a) - new Date(b)) / (1000 * 60 * 60 * 24);
+      return { conflict: days > tolerance, difference: Math.round(days) };
+    }
+    default:
+      return { conflict: a !== b, difference: null };
+  }
+}
+
+
+/**
+ * Merge one address's per-source results.
+ *
+ * @param {string} address
+ * @param {object} bySource - { corelogic: result|null, domain: result|null } (per-address entries)
+ * @param {object} options - from resolveMergeOptions()
+ */
+function mergeEntry(address, bySource, options) {
+  const available = SOURCES.filter((s) => bySource[s] && bySource[s].success);
+  const sources = Object.fromEntries(SOURCES.map((s) => {
+    const r = bySource[s];
+    if (!r) return [s, { success: false, error: "Not scraped", code: null }];
+    return [s, r.success ? { success: true } : { success: false, error: r.error, code: r.code || null, retryable: r.retryable ?? null }];
+  }));
+
+  if (available.length === 0) {
+    return { address, success: false, error: "No source returned data for this address", sources };
+  }
+
+  const merged = { address, success: true };
+  const provenance = {};
+  const conflicts = [];
+
+  for (const [field, spec] of Object.entries(MERGE_FIELDS)) {
+    const values = {};
+    for (const source of available) {
+      const value = spec.normalise(bySource[source][field]);
+      if (value !== null && value !== undefined && value !== "") values[source] = value;
+    }
+
+    const chosen = options.priorities[field].find((s) => values[s] !== undefined);
+    merged[field] = chosen ? values[chosen] : null;
+    provenance[field] = chosen || null;
+
+    const present = Object.keys(values);
+    if (present.length > 1) {
+      const [a, b] = present.map((s) => values[s]);
+      const { conflict, difference } = differs(field, a, b, options.tolerances[field]);
+      if (conflict) {
+        conflicts.push({
+          field,
+          values,
+          raw: Object.fromEntries(present.map((s) => [s, bySource[s][field]])),
+          chosen,
+          difference,
+          tolerance: options.tolerances[field] ?? null,
+        });
+      }
+    }
+  }
+
+  // Domain-only extras
+  const domain = bySource.domain && bySource.domain.success ? bySource.domain : null;
+  merged.sold_method = domain && domain.sold_method ? domain.sold_method : null;
+  merged.sale_history = domain ? domain.sale_history || [] : [];
+  if (merged.sold_method) provenance.sold_method = "domain";
+  if (domain) provenance.sale_history = "domain";
+
+  merged.provenance = provenance;
+  merged.conflicts = conflicts;
+  merged.fallback = available.length < SOURCES.length ? available[0] : null;
+  merged.sources = sources;
+  return merged;
+}
+
+
+/**
+ * Scrape both sources for every address and merge the results.
+ *
+ * @param {string[]} addresses
+ * @param {object} options - from resolveMergeOptions()
+ * @param {object} [callbacks]
+ * @param {function} [callbacks.onProgress] - (completed, total, step) across both sources
+ * @returns {object} { success, data: [...merged], summary, errors }
+ */
+async function scrapeMergedComparables(addresses, options, callbacks = {}) {
+  const onProgress = callbacks.onProgress || (() => {});
+  const done = { corelogic: 0, domain: 0 };
+  const total = addresses.length * SOURCES.length;
+  const progress = (source) => (completed, _total, address) => {
+    done[source] = completed;
+    onProgress(done.corelogic + done.domain, total, `${source}: ${address}`);
+  };
+
+  console.log(`🔀 Merged comparables for ${addresses.length} address(es)`);
+
+  const [corelogic, domain] = await Promise.all([
+    scrapeComparables(addresses, { onProgress: progress("corelogic") }),
+    scrapeDomainComparables(addresses, { onProgress: progress("domain") }),
+  ]);
+
+  // A whole-run failure (login, browser) fails every address for that source
+  const entriesFor = (result) => addresses.map((address, i) =>
+    result.success ? result.data[i] || null : { address, ...result });
+
+  const clEntries = entriesFor(corelogic);
+  const dmEntries = entriesFor(domain);
+
+  const data = addresses.map((address, i) =>
+    mergeEntry(address, { corelogic: clEntries[i], domain: dmEntries[i] }, options));
+
+  const errors = [corelogic, domain]
+    .map((r, i) => (r.success ? null : { source: SOURCES[i], error: r.error, code: r.code, retryable: r.retryable }))
+    .filter(Boolean);
+
+  if (data.every((d) => !d.success) && errors.length === SOURCES.length) {
+    // Both sources down entirely — surface CoreLogic's failure (keeps its code)
+    return corelogic;
+  }
+
+  return {
+    success: true,
+    data,
+    summary: {
+      addresses: addresses.length,
+      merged: data.filter((d) => d.success).length,
+      with_conflicts: data.filter((d) => d.conflicts && d.conflicts.length > 0).length,
+      fallbacks: data.filter((d) => d.fallback).length,
+    },
+    options,
+    errors,
+  };
+}
+
+
+module.exports = { MERGE_FIELDS, resolveMergeOptions, mergeEntry, scrapeMergedComparables };
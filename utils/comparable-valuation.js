@@ -0,0 +1,279 @@
+// ══════════════════════════════════════════════
+// Comparable adjustment — indicative value from adjusted sales
+//
+// Replaces the analyst's adjustment spreadsheet. Each comparable's
+// sale price is adjusted towards the subject:
+//   time        sale price × ((1 + annual_growth)^(years since sale) − 1)
+//   land        (subject m² − comp m²) × land_per_sqm
+//   bedrooms    (subject − comp) × bedroom         ... likewise bathrooms,
+//   car spaces  (subject − comp) × car_space            car spaces
+// and scored 0–100 on how similar it was before adjusting. The value
+// range is the similarity-weighted mean of the adjusted prices ± one
+// weighted standard deviation (clamped to the adjusted min/max).
+// Comps whose gross adjustments exceed max_gross_adjustment % of their
+// price count at half weight — they're less comparable than they look.
+//
+// Accepts /api/comparables, /api/domain-comparables and discovery
+// output as-is ("$1,500,000", "650 m²", "12 Aug 2025" or numbers).
+// ══════════════════════════════════════════════
+
+const { parseNumber, parseDate } = require("./response-v2");
+const { toCount, toSquareMetres, monthsSince, round } = require("./comparables");
+
+const DEFAULT_ADJUSTMENTS = {
+  land_per_sqm: 400,          // $ per m² of land difference
+  bedroom: 50000,             // $ per bedroom
+  bathroom: 25000,            // $ per bathroom
+  car_space: 15000,           // $ per car space
+  annual_growth: 5,           // % per year, compounded, for time since sale
+  max_gross_adjustment: 25,   // % of sale price before a comp is down-weighted
+};
+
+const ATTRIBUTES = [
+  { key: "land_size", rate: "land_per_sqm", label: "land", unit: " m²" },
+  { key: "bedrooms", rate: "bedroom", label: "bedrooms", unit: "" },
+  { key: "bathrooms", rate: "bathroom", label: "bathrooms", unit: "" },
+  { key: "car_spaces", rate: "car_space", label: "car spaces", unit: "" },
+];
+
+// Similarity: how far apart before a component scores 0
+const SIMILARITY = {
+  land_size: { weight: 0.3, span: 0.5 },   // ±50% land
+  bedrooms: { weight: 0.25, span: 2 },
+  bathrooms: { weight: 0.15, span: 2 },
+  car_spaces: { weight: 0.1, span: 2 },
+  recency: { weight: 0.2, span: 24 },      // months
+};
+
+
+/**
+ * Defaults merged with per-request overrides.
+ * Throws on unknown keys or invalid values; the error's `details`
+ * lists each one as { field, message }, like a validation failure.
+ */
+function resolveAdjustments(overrides = {}) {
+  const adjustments = { ...DEFAULT_ADJUSTMENTS };
+  const details = [];
+
+  for (const [key, value] of Object.entries(overrides || {})) {
+    const field = `adjustments.${key}`;
+    if (!(key in DEFAULT_ADJUSTMENTS)) {
+      details.push({ field, message: `unknown adjustment (available: ${Object.keys(DEFAULT_ADJUSTMENTS).join(", ")})` });
+    } else if (typeof value !== "number" || !isFinite(value) || value < 0) {
+      details.push({ field, message: "must be a non-negative number" });
+    } else {
+      adjustments[key] = value;
+    }
+  }
+
+  if (details.length > 0) {
+    const err = new Error(details.map((d) => `${d.field}: ${d.message}`).join("; "));
+    err.details = details;
+    throw err;
+  }
+  return adjustments;
+}
+
+
+function normaliseProperty(raw) {
+  return {
+    land_size: toSquareMetres(raw.land_size ?? raw.landSize),
+    bedrooms: toCount(raw.bedrooms),
+    bathrooms: toCount(raw.bathrooms),
+    car_spaces: toCount(raw.car_spaces ?? raw.parking),
+  };
+}
+
+
+function money(n) {
+  const sign = n < 0 ? "-" : "";
+  return `${sign}$${Math.round(Math.abs(n)).toLocaleString("en-AU")}`;
+}
+
+function signedMoney(n) {
+  return (n >= 0 ? "+" : "") + money(n);
+}
+
+
+/**
+ * Adjust one comparable towards the subject.
+ * @returns {object} comp with adjustments, adjusted_price, similarity and explanation,
+ *   or { usable: false, reason } when it has no sale price
+ */
+function adjustComparable(raw, subject, adjustments, valuationDate) {
+  const price = parseNumber(raw.sold_price ?? raw.price);
+  if (!price) return { address: raw.address || null, usable: false, reason: "No sale price" };
+
+  const comp = normaliseProperty(raw);
+  const sold = parseDate(raw.sold_date ?? raw.date);
+  const explanation = [`Sold ${money(price)}${sold ? ` on ${raw.sold_date ?? raw.date}` : " (sale date unknown)"}`];
+  const lines = [];
+
+  // ── Time ──
+  let months = null;
+  if (sold) {
+    months = Math.max(monthsSince(sold.iso, valuationDate), 0);
+    const amount = price * ((1 + adjustments.annual_growth / 100) ** (months / 12) - 1);
+    lines.push({ attribute: "time", subject: null, comparable: sold.iso, difference: round(months, 1), amount: Math.round(amount) });
+    explanation.push(`${signedMoney(amount)} time (${round(months, 1)} months at ${adjustments.annual_growth}%/yr)`);
+  } else {
+    explanation.push("No time adjustment (sale date unknown)");
+  }
+
+  // ── Attributes ──
+  for (const { key, rate, label, unit } of ATTRIBUTES) {
+    if (subject[key] === null || comp[key] === null) continue;
+    const difference = subject[key] - comp[key];
+    if (difference === 0) continue;
+    const amount = difference * adjustments[rate];
+    lines.push({ attribute: key, subject: subject[key], comparable: comp[key], difference, amount: Math.round(amount) });
+    explanation.push(`${signedMoney(amount)} ${label} (subject ${subject[key]}${unit} vs ${comp[key]}${unit})`);
+  }
+
+  const net = lines.reduce((sum, l) => sum + l.amount, 0);
+  const gross = lines.reduce((sum, l) => sum + Math.abs(l.amount), 0);
+  const adjustedPrice = price + net;
+  const grossPercent = (gross / price) * 100;
+  explanation.push(`= ${money(adjustedPrice)} (net ${signedMoney(net)}, gross ${round(grossPercent, 1)}% of sale price)`);
+
+  const { score, breakdown } = similarity(comp, subject, months);
+  const overAdjusted = grossPercent > adjustments.max_gross_adjustment;
+  if (overAdjusted) explanation.push(`Half weight: gross adjustment over ${adjustments.max_gross_adjustment}%`);
+
+  return {
+    address: raw.address || null,
+    usable: true,
+    sold_price: price,
+    sold_date: sold ? sold.iso : null,
+    ...comp,
+    price_per_sqm: comp.land_size ? Math.round(price / comp.land_size) : null,
+    adjustments: lines,
+    net_adjustment: Math.round(net),
+    gross_adjustment_percent: round(grossPercent, 1),
+    adjusted_price: Math.round(adjustedPrice),
+    adjusted_price_per_sqm: subject.land_size ? Math.round(adjustedPrice / subject.land_size) : null,
+    similarity: score,
+    similarity_breakdown: breakdown,
+    weight: round((score / 100) * (overAdjusted ? 0.5 : 1), 3),
+    explanation,
+  };
+}
+
+
+/**
+ * 0–100 similarity before adjustment. Missing attributes are left out
+ * and the remaining weights re-normalised.
+ */
+function similarity(comp, subject, months) {
+  const parts = {};
+  if (comp.land_size && subject.land_size) {
+    const diff = Math.abs(comp.land_size - subject.land_size) / subject.land_size;
+    parts.land_size = 1 - Math.min(diff / SIMILARITY.land_size.span, 1);
+  }
+  for (const key of ["bedrooms", "bathrooms", "car_spaces"]) {
+    if (comp[key] !== null && subject[key] !== null) {
+      parts[key] = 1 - Math.min(Math.abs(comp[key] - subject[key]) / SIMILARITY[key].span, 1);
+    }
+  }
+  if (months !== null) parts.recency = 1 - Math.min(months / SIMILARITY.recency.span, 1);
+
+  const keys = Object.keys(parts);
+  const total = keys.reduce((sum, k) => sum + SIMILARITY[k].weight, 0);
+  // Nothing to compare on: neutral rather than zero, so the comp still counts
+  const score = total ? keys.reduce((sum, k) => sum + parts[k] * SIMILARITY[k].weight, 0) / total : 0.5;
+
+  return {
+    score: round(score * 100, 1),
+    breakdown: Object.fromEntries(keys.map((k) => [k, round(parts[k], 2)])),
+  };
+}
+
+
+/**
+ * Adjust every comparable and derive an indicative value range.
+ *
+ * @param {object} subject - { address?, land_size, bedrooms, bathrooms, car_spaces }
+ * @param {object[]} comparables - scraper / discovery results (failed entries are skipped)
+ * @param {object} adjustments - from resolveAdjustments()
+ * @param {Date} [valuationDate]
+ * @returns {object} { subject, adjustments, valuation, comparables, skipped }
+ */
+function valueProperty(subject, comparables, adjustments, valuationDate = new Date()) {
+  const normalisedSubject = normaliseProperty(subject);
+  const skipped = [];
+  const used = [];
+
+  for (const raw of comparables) {
+    if (raw.success === false) {
+      skipped.push({ address: raw.address || null, reason: raw.error || "Scrape failed" });
+      continue;
+    }
+    const adjusted = adjustComparable(raw, normalisedSubject, adjustments, valuationDate);
+    if (adjusted.usable) used.push(adjusted);
+    else skipped.push({ address: adjusted.address, reason: adjusted.reason });
+  }
+
+  used.sort((a, b) => b.similarity - a.similarity);
+  used.forEach((c, i) => {
+    c.rank = i + 1;
+    delete c.usable;
+  });
+
+  return {
+    subject: { address: subject.address || null, ...normalisedSubject },
+    adjustments,
+    valuation: summarise(used, normalisedSubject),
+    comparables: used,
+    skipped,
+  };
+}
+
+
+function summarise(comps, subject) {
+  if (comps.length === 0) return null;
+
+  // All weights zero (nothing similar at all) → plain average
+  const equal = comps.every((c) => !c.weight);
+  const weightOf = (c) => (equal ? 1 : c.weight);
+  const totalWeight = comps.reduce((sum, c) => sum + weightOf(c), 0);
+  const mean = comps.reduce((sum, c) => sum + c.adjusted_price * weightOf(c), 0) / totalWeight;
+  const variance = comps.reduce((sum, c) => sum + weightOf(c) * (c.adjusted_price - mean) ** 2, 0) / totalWeight;
+  const sd = Math.sqrt(variance);
+
+  const prices = comps.map((c) => c.adjusted_price).sort((a, b) => a - b);
+  const low = Math.max(mean - sd, prices[0]);
+  const high = Math.min(mean + sd, prices[prices.length - 1]);
+  const spread = mean ? sd / mean : 0;
+
+  const perSqm = comps.filter((c) => c.adjusted_price_per_sqm);
+  const perSqmWeight = perSqm.reduce((sum, c) => sum + weightOf(c), 0);
+
+  return {
+    low: roundTo(low, 5000),
+    mid: roundTo(mean, 5000),
+    high: roundTo(high, 5000),
+    median_adjusted: prices.length % 2
+      ? prices[(prices.length - 1) / 2]
+      : Math.round((prices[prices.length / 2 - 1] + prices[prices.length / 2]) / 2),
+    price_per_sqm: perSqmWeight
+      ? Math.round(perSqm.reduce((sum, c) => sum + c.adjusted_price_per_sqm * weightOf(c), 0) / perSqmWeight)
+      : null,
+    land_size: subject.land_size,
+    comparables_used: comps.length,
+    spread_percent: round(spread * 100, 1),
+    confidence: comps.length >= 4 && spread < 0.05 ? "high" : comps.length >= 3 && spread < 0.1 ? "medium" : "low",
+  };
+}
+
+
+function listAdjustments() {
+  return { ...DEFAULT_ADJUSTMENTS };
+}
+
+
+function roundTo(n, step) {
+  return Math.round(n / step) * step;
+}
+
+
+module.exports = { DEFAULT_ADJUSTMENTS, resolveAdjustments, valueProperty, listAdjustments };
@@ -0,0 +1,134 @@
+// ══════════════════════════════════════════════
+// Comparables — attribute normalisers shared by the comparables modules
+//
+// Each source words the same attribute differently ("650 m²" vs
+// "0.065 ha", "Townhouse" vs "town-house"); these turn them into
+// plain numbers and one property-type vocabulary so candidates from
+// different sources can be merged, filtered and scored together.
+// The distance / property type / bedroom filters that sale and rental
+// comparables both apply live here too.
+// Pure functions — no browser, safe to require anywhere.
+// ══════════════════════════════════════════════
+
+const { parseAddress } = require("./address");
+const { parseDate } = require("./response-v2");
+
+
+// Plain number from "650 m²", "0.4km", "4" (parseNumber reads k/m as
+// thousands/millions, which is right for prices only)
+function firstNumber(raw) {
+  if (typeof raw === "number") return isNaN(raw) ? null : raw;
+  const match = String(raw ?? "").replace(/,/g, "").match(/\d*\.?\d+/);
+  return match ? parseFloat(match[0]) : null;
+}
+
+function toCount(raw) {
+  const n = firstNumber(raw);
+  return n === null ? null : Math.round(n);
+}
+
+/**
+ * Land size in m² from "650 m²", "650 sqm", "0.4 ha", "1.2 acres".
+ */
+function toSquareMetres(raw) {
+  const n = firstNumber(raw);
+  if (n === null) return null;
+  if (/\bha\b|hectare/i.test(String(raw))) return Math.round(n * 10000);
+  if (/acre/i.test(String(raw))) return Math.round(n * 4046.86);
+  return Math.round(n);
+}
+
+function toPropertyType(raw) {
+  const s = String(raw || "").toLowerCase();
+  if (!s) return null;
+  if (/town/.test(s)) return "townhouse";
+  if (/unit|apartment|flat|studio/.test(s)) return "unit";
+  if (/land|vacant/.test(s)) return "land";
+  if (/house|villa|duplex|semi|terrace|cottage/.test(s)) return "house";
+  return s;
+}
+
+function toKm(raw) {
+  const n = firstNumber(raw);
+  if (n === null) return null;
+  return /km/i.test(String(raw)) ? n : /\d\s*m\b/i.test(String(raw)) ? n / 1000 : n;
+}
+
+function haversineKm(a, b) {
+  if (![a.latitude, a.longitude, b.latitude, b.longitude].every((v) => typeof v === "number")) return null;
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(b.latitude - a.latitude);
+  const dLng = rad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.latitude)) * Math.cos(rad(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(h));
+}
+
+function monthsSince(date, now = new Date()) {
+  const parsed = parseDate(date);
+  if (!parsed) return null;
+  const sold = new Date(parsed.iso);
+  return (now - sold) / (1000 * 60 * 60 * 24 * 30.44);
+}
+
+// Same property listed by two sources → same key
+function addressKey(address) {
+  const parsed = parseAddress(address);
+  return (parsed ? parsed.formatted : String(address || "")).toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+function round(n, dp = 2) {
+  return n === null || n === undefined ? null : Math.round(n * 10 ** dp) / 10 ** dp;
+}
+
+
+// ─── Filters ───
+
+/**
+ * Property type to filter on: the caller's, else the subject's.
+ * "any" turns the filter off.
+ */
+function resolvePropertyType(filters, subject) {
+  return filters.propertyType === "any" ? null : filters.propertyType || subject.property_type || null;
+}
+
+/**
+ * Why a candidate fails the distance, property type or bedroom filter,
+ * or null if it passes. A candidate missing an attribute passes that
+ * filter — except distance, where without coordinates it must at
+ * least be in the subject's suburb.
+ *
+ * @param {object} c - { distance_km, suburb, property_type, bedrooms }
+ * @param {object} filters - { radiusKm, propertyType, bedrooms: { min, max } | null }
+ * @param {object} subject - { suburb }
+ */
+function attributeExclusion(c, filters, subject) {
+  if (c.distance_km !== null) {
+    if (c.distance_km > filters.radiusKm) return "distance";
+  } else if (!subject.suburb || (c.suburb || "").toLowerCase() !== subject.suburb.toLowerCase()) {
+    return "distance";
+  }
+
+  if (filters.propertyType && c.property_type && c.property_type !== filters.propertyType) return "property_type";
+
+  const beds = filters.bedrooms;
+  if (beds && c.bedrooms !== null &&
+      ((beds.min !== null && c.bedrooms < beds.min) || (beds.max !== null && c.bedrooms > beds.max))) {
+    return "bedrooms";
+  }
+
+  return null;
+}
+
+
+module.exports = {
+  toCount,
+  toSquareMetres,
+  toPropertyType,
+  toKm,
+  haversineKm,
+  monthsSince,
+  addressKey,
+  round,
+  resolvePropertyType,
+  attributeExclusion,
+};
@@ -0,0 +1,29 @@
+/**
+ * Map over items with at most `limit` calls of fn in flight.
+ * Results keep the input order; fn errors are not caught here.
+ *
+ * @param {Array} items
+ * @param {number} limit
+ * @param {function} fn - async (item, index) => result
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < Math.min(limit, items.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
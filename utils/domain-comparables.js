@@ -18,20 +18,18 @@
 //   ]);
 // ══════════════════════════════════════════════
 
-var { chromium } = require("playwright");
+var { DOMAIN_BASE, openDomainPage } = require("./domain-page");
+var { httpError, failure } = require("./errors");
+var { fixtureKey } = require("./replay");
+var { parseAddress, toDomainSlug } = require("./address");
 
 /**
  * Convert a full address string to a Domain property-profile URL slug.
  * "3 Parsons Circuit, Kellyville, NSW 2155" → "3-parsons-circuit-kellyville-nsw-2155"
+ * "2/15 Smith St, Kellyville NSW 2155"     → "2-15-smith-street-kellyville-nsw-2155"
  */
 function addressToSlug(address) {
-  return address
-    .toLowerCase()
-    .replace(/,/g, "")
-    .replace(/\s+/g, "-")
-    .replace(/[^a-z0-9-]/g, "")
-    .replace(/-+/g, "-")
-    .replace(/^-|-$/g, "");
+  return toDomainSlug(address);
 }
 
 /**
@@ -65,6 +63,12 @@ function extractFromApolloState(apolloState) {
       result.streetNumber = addr.streetNumber || "";
       result.streetName = addr.streetName || "";
       result.streetType = addr.streetTypeLong || addr.streetType || "";
+      var geo = addr.geolocation || addr.location || null;
+      if (geo && geo.__ref) geo = apolloState[geo.__ref];
+      if (geo) {
+        result.latitude = geo.latitude || geo.lat || null;
+        result.longitude = geo.longitude || geo.lng || geo.lon || null;
+      }
     }
   }
 
@@ -196,46 +200,38 @@ function extractFromBodyText(text) {
  * Scrape comparable sales data from Domain for given addresses.
  *
  * @param {string[]} addresses - Array of full addresses
- * @param {object} [existingBrowser] - Optional shared Playwright browser
+ * @param {object} [options]
+ * @param {function} [options.onProgress] - (completed, total, address) after each address
  * @returns {object} { success, data: [{ address, bedrooms, bathrooms, parking, landSize, soldPrice, soldDate, ... }] }
  */
-async function scrapeDomainComparables(addresses, existingBrowser) {
-  var browser = existingBrowser;
-  var ownBrowser = false;
+async function scrapeDomainComparables(addresses, options) {
+  var onProgress = (options && options.onProgress) || null;
+  var context = null;
 
   try {
-    if (!browser) {
-      browser = await chromium.launch({
-        headless: true,
-        args: ["--no-sandbox", "--disable-blink-features=AutomationControlled"],
-      });
-      ownBrowser = true;
-    }
-
-    var context = await browser.newContext({
-      userAgent: "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36",
-      viewport: { width: 1440, height: 900 },
-      locale: "en-AU",
-      timezoneId: "Australia/Sydney",
-    });
-
-    await context.addInitScript(function() {
-      Object.defineProperty(navigator, "webdriver", { get: function() { return false; } });
-    });
+    var opened = await openDomainPage({ source: "domain", key: fixtureKey.apply(null, addresses) });
+    context = opened.context;
+    await opened.page.close();
 
     var results = [];
 
     for (var i = 0; i < addresses.length; i++) {
       var address = addresses[i];
-      var slug = addressToSlug(address);
-      var url = "https://www.domain.com.au/property-profile/" + slug;
+      var components = parseAddress(address);
+      var slug = toDomainSlug(components || address);
+      var url = DOMAIN_BASE + "/property-profile/" + slug;
 
       console.log("   Domain [" + (i + 1) + "/" + addresses.length + "]: " + address);
       console.log("   URL: " + url);
 
       try {
         var page = await context.newPage();
-        await page.goto(url, { waitUntil: "domcontentloaded", timeout: 30000 });
+        var response = await page.goto(url, { waitUntil: "domcontentloaded", timeout: 30000 });
+        // 404 = no property profile for this slug; 403/429 = bot block
+        if (response && !response.ok()) {
+          await page.close();
+          throw httpError({ status: response.status(), headers: response.headers() }, "domain", "Domain property profile");
+        }
         await page.waitForTimeout(4000);
 
         var pageData = await page.evaluate(function() {
@@ -338,6 +334,9 @@ async function scrapeDomainComparables(addresses, existingBrowser) {
           sold_method: soldMethod,
           estimated_value: propData ? propData.estimatedValue : null,
           sale_history: saleHistory,
+          latitude: (propData && propData.latitude) || null,
+          longitude: (propData && propData.longitude) || null,
+          address_components: components,
           source: "Domain",
         };
 
@@ -351,16 +350,11 @@ async function scrapeDomainComparables(addresses, existingBrowser) {
 
       } catch(err) {
         console.log("   ❌ Failed for " + address + ": " + err.message);
-        results.push({
-          success: false,
-          address: address,
-          error: err.message,
-        });
+        results.push(Object.assign({ address: address, address_components: components }, failure(err, "domain")));
       }
-    }
 
-    await context.close();
-    if (ownBrowser) await browser.close();
+      if (onProgress) onProgress(results.length, addresses.length, address);
+    }
 
     return {
       success: true,
@@ -368,12 +362,13 @@ async function scrapeDomainComparables(addresses, existingBrowser) {
     };
 
   } catch(err) {
-    if (ownBrowser && browser) {
-      try { await browser.close(); } catch(e) {}
-    }
     console.error("   ❌ Domain scraper error:", err.message);
-    return { success: false, error: err.message, data: [] };
+    return Object.assign(failure(err, "domain"), { data: [] });
+  } finally {
+    if (context) {
+      try { await context.close(); } catch(e) {}
+    }
   }
 }
 
-module.exports = { scrapeDomainComparables, addressToSlug };
\ No newline at end of file
+module.exports = { scrapeDomainComparables, addressToSlug, extractFromApolloState, extractFromBodyText };
\ No newline at end of file
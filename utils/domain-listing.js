@@ -0,0 +1,325 @@
+// ══════════════════════════════════════════════
+// Domain.com.au — Current for-sale listing
+//
+// For properties that are on the market: price guide, campaign and
+// agent details from the live listing page.
+//   listing URL given   → scraped directly
+//   address given       → property profile (same slug as the comparables
+//                         scraper) → its current listing (matched on
+//                         the address, not a nearby one) → scraped
+//
+// Like extractFromApolloState in domain-comparables.js, the data comes
+// from __NEXT_DATA__: the Apollo state's Listing entity (newer pages)
+// or pageProps.componentProps (older ones), with body text as the
+// last resort for the inspection / days-listed lines.
+//
+// Usage:
+//   const { scrapeDomainListing } = require("./utils/domain-listing");
+//   await scrapeDomainListing("3 Parsons Circuit, Kellyville, NSW 2155");
+//   await scrapeDomainListing("https://www.domain.com.au/3-parsons-circuit-kellyville-nsw-2155-2019123456");
+// ══════════════════════════════════════════════
+
+const { httpError, failure, AddressNotFoundError, UpstreamChangedError } = require("./errors");
+const { fixtureKey } = require("./replay");
+const { DOMAIN_BASE, openDomainPage } = require("./domain-page");
+const { parseAddress, toDomainSlug } = require("./address");
+const { parseDate } = require("./response-v2");
+
+const LISTING_URL = /^https?:\/\/(?:www\.)?domain\.com\.au\/.*?(\d{9,11})\/?(?:[?#].*)?$/i;
+
+
+/**
+ * Follow an Apollo `{ __ref }` (or return the value as-is).
+ */
+function deref(apolloState, value) {
+  if (value && typeof value === "object" && value.__ref) return apolloState[value.__ref] || null;
+  return value ?? null;
+}
+
+
+function pick(obj, ...keys) {
+  for (const key of keys) {
+    const value = key.split(".").reduce((node, k) => (node == null ? undefined : node[k]), obj);
+    if (value !== undefined && value !== null && value !== "") return value;
+  }
+  return null;
+}
+
+
+/**
+ * Load a page and return its body text + parsed __NEXT_DATA__.
+ */
+async function loadNextData(page, url, what) {
+  const response = await page.goto(url, { waitUntil: "domcontentloaded", timeout: 30000 });
+  if (response && !response.ok()) {
+    throw httpError({ status: response.status(), headers: response.headers() }, "domain", what);
+  }
+  await page.waitForTimeout(3000);
+
+  return page.evaluate(() => {
+    const result = { url: location.href, bodyText: (document.body.innerText || "").substring(0, 8000), nextData: null, links: [] };
+    const el = document.querySelector("#__NEXT_DATA__");
+    if (el) {
+      try { result.nextData = JSON.parse(el.textContent || ""); } catch (e) {}
+    }
+    result.links = [...document.querySelectorAll("a[href]")].map((a) => a.href);
+    return result;
+  });
+}
+
+
+/**
+ * Does a listing address or URL slug name the subject? Both go through
+ * toDomainSlug, so "3 Parsons Cct" and "3-parsons-circuit-…-2019123456"
+ * compare equal to the subject's slug.
+ */
+function isSubject(slug, addressOrUrl) {
+  if (!addressOrUrl) return false;
+  let text = String(addressOrUrl);
+  if (/^https?:\/\/|^\//i.test(text)) {
+    const last = text.replace(/[?#].*$/, "").replace(/\/+$/, "").split("/").pop() || "";
+    text = last.replace(/-\d{9,11}$/, "").replace(/-/g, " ");
+  }
+  return text.length > 0 && toDomainSlug(text) === slug;
+}
+
+
+function isRentalUrl(url) {
+  return /(?:^|\/)rent\//i.test(String(url || "").replace(/^https?:\/\/[^/]+/i, ""));
+}
+
+
+/**
+ * The subject's current listing URL from its property profile page, or
+ * null if it isn't on the market. Profiles also show nearby listings,
+ * so only a listing whose address or URL slug matches `slug` counts.
+ */
+function findListingUrl(profile, slug) {
+  const apollo = profile.nextData?.props?.pageProps?.__APOLLO_STATE__;
+  if (apollo) {
+    for (const entity of Object.values(apollo)) {
+      if (!entity || entity.__typename !== "Listing") continue;
+      const status = String(pick(entity, "status", "listingStatus") || "").toLowerCase();
+      const type = String(pick(entity, "listingType", "type", "channel") || "").toLowerCase();
+      if (/sold|leased|archived|offmarket/.test(status) || /^rent(al)?$/.test(type)) continue;
+
+      const url = pick(entity, "url", "listingUrl", "seoUrl");
+      if (url && isRentalUrl(url)) continue;
+      const address = deref(apollo, entity.address);
+      const displayAddress = typeof address === "string" ? address : pick(address || {}, "displayAddress", "fullAddress");
+      if (!isSubject(slug, displayAddress) && !isSubject(slug, url)) continue;
+
+      if (url) return url.startsWith("http") ? url : DOMAIN_BASE + url;
+      const id = pick(entity, "id", "listingId");
+      if (id) return `${DOMAIN_BASE}/${String(id).replace(/^Listing:/, "")}`;
+    }
+  }
+
+  // "View listing" link in the page
+  return profile.links.find((href) =>
+    LISTING_URL.test(href) && !/property-profile|sold-listings/i.test(href) && !isRentalUrl(href) && isSubject(slug, href)) || null;
+}
+
+
+/**
+ * Listing id from a listing URL ("…-kellyville-nsw-2155-2019123456"), or null.
+ */
+function listingIdFromUrl(url) {
+  const m = String(url || "").match(LISTING_URL);
+  return m ? m[1] : null;
+}
+
+
+/**
+ * Listing entity → our listing shape (newer, Apollo-state pages).
+ *
+ * Listing pages also carry entities for similar and nearby listings, so
+ * the one whose id matches `listingId` (from the URL) is used. Without
+ * an id only a page with a single Listing entity is trusted.
+ */
+function extractFromListingEntity(apollo, listingId) {
+  const entities = Object.entries(apollo).filter(([, e]) => e && e.__typename === "Listing");
+  const idOf = ([key, e]) => String(pick(e, "id", "listingId") || key).replace(/^Listing:/, "");
+  const match = listingId
+    ? entities.find((entry) => idOf(entry) === String(listingId))
+    : entities.length === 1 ? entities[0] : null;
+  if (!match) return null;
+  const listing = match[1];
+
+  const address = deref(apollo, listing.address) || {};
+  const features = deref(apollo, listing.features) || deref(apollo, listing.propertyFeatures) || {};
+  const auction = deref(apollo, listing.auctionDetails) || deref(apollo, listing.auction) || {};
+  const inspectionDetails = deref(apollo, listing.inspectionDetails) || deref(apollo, listing.inspection) || {};
+  const agents = [].concat(listing.agents || listing.advertiserAgents || []).map((a) => deref(apollo, a)).filter(Boolean);
+  const agency = deref(apollo, listing.agency) || deref(apollo, listing.advertiser) || null;
+
+  return {
+    listing_id: pick(listing, "id", "listingId"),
+    address: pick(address, "displayAddress", "fullAddress"),
+    status: pick(listing, "status", "listingStatus"),
+    price_guide: pick(listing, "priceDetails.displayPrice", "displayPrice", "price"),
+    listed_date: pick(listing, "dateListed", "listedDate", "dateFirstListed"),
+    sale_method: pick(listing, "saleMethod", "saleType", "listingMethod"),
+    auction_date: pick(auction, "auctionSchedule.openingDateTime", "auctionTime", "dateTime", "time"),
+    inspections: [].concat(inspectionDetails.inspections || inspectionDetails.times || []).map((i) => deref(apollo, i)),
+    agents: agents.map((a) => ({
+      name: pick(a, "name", "fullName") || [a.firstName, a.lastName].filter(Boolean).join(" ") || null,
+      phone: pick(a, "phone", "mobile", "phoneNumber"),
+      email: pick(a, "email"),
+    })),
+    agency: agency ? { name: pick(agency, "name", "brandName"), address: pick(agency, "address", "displayAddress") } : null,
+    features: {
+      bedrooms: pick(features, "beds", "bedrooms"),
+      bathrooms: pick(features, "baths", "bathrooms"),
+      car_spaces: pick(features, "parking", "parkingSpaces", "carspaces"),
+      land_size: pick(features, "landSize", "landArea"),
+      property_type: pick(features, "propertyTypeFormatted", "propertyType") || pick(listing, "propertyType"),
+      features: [].concat(pick(listing, "featureList", "features.features", "propertyFeatures.list") || []).filter((f) => typeof f === "string"),
+    },
+    headline: pick(listing, "headline", "title"),
+    description: pick(listing, "description"),
+  };
+}
+
+
+/**
+ * pageProps.componentProps → our listing shape (older pages).
+ */
+function extractFromComponentProps(props) {
+  if (!props || !(props.listingId || props.id)) return null;
+
+  const summary = props.listingSummary || {};
+  const inspection = props.inspection || {};
+  const agents = props.agents || (props.agent ? [props.agent] : []);
+
+  return {
+    listing_id: props.listingId || props.id,
+    address: pick(props, "address", "listingSummary.address"),
+    status: pick(summary, "status") || pick(props, "status"),
+    price_guide: pick(props, "price", "listingSummary.title", "priceDetails.displayPrice"),
+    listed_date: pick(props, "dateListed", "listedDate", "createdOn"),
+    sale_method: pick(props, "saleMethod", "saleType", "listingSummary.mode"),
+    auction_date: pick(inspection, "auctionTime") || pick(props, "auctionTime", "auction.time"),
+    inspections: [].concat(inspection.inspections || []),
+    agents: agents.map((a) => ({ name: a.name || null, phone: a.phone || a.mobile || null, email: a.email || null })),
+    agency: props.agencyName || props.agency
+      ? { name: props.agencyName || pick(props, "agency.name"), address: pick(props, "agencyAddress", "agency.address") }
+      : null,
+    features: {
+      bedrooms: pick(summary, "beds"),
+      bathrooms: pick(summary, "baths"),
+      car_spaces: pick(summary, "parking"),
+      land_size: pick(props, "landSize", "listingSummary.landSize"),
+      property_type: pick(props, "propertyType", "listingSummary.propertyType"),
+      features: [].concat(props.features || []).filter((f) => typeof f === "string"),
+    },
+    headline: pick(props, "headline"),
+    description: [].concat(props.description || []).join("\n") || null,
+  };
+}
+
+
+/**
+ * Normalise dates/inspections and fill gaps from the body text.
+ */
+function finishListing(listing, bodyText, url) {
+  const inspections = listing.inspections
+    .map((i) => ({
+      start: pick(i, "openingDateTime", "startTime", "start", "openTime"),
+      end: pick(i, "closingDateTime", "endTime", "end", "closeTime"),
+    }))
+    .filter((i) => i.start);
+
+  // "Inspection Sat 14 Jun, 10:00am - 10:30am"
+  if (inspections.length === 0) {
+    const pattern = /(?:Mon|Tue|Wed|Thu|Fri|Sat|Sun)[a-z]*,?\s+\d{1,2}\s+[A-Za-z]{3,9}[,\s]+\d{1,2}:\d{2}\s*[ap]m\s*[-–]\s*\d{1,2}:\d{2}\s*[ap]m/gi;
+    for (const match of bodyText.match(pattern) || []) {
+      const [start, end] = match.split(/\s*[-–]\s*/);
+      inspections.push({ start, end });
+    }
+  }
+
+  let daysListed = null;
+  const listed = parseDate(listing.listed_date);
+  if (listed) {
+    daysListed = Math.floor((Date.now() - new Date(listed.iso)) / (1000 * 60 * 60 * 24));
+  } else {
+    const m = bodyText.match(/listed\s+(\d+)\s+days?\s+ago/i) || bodyText.match(/(\d+)\s+days?\s+on\s+(?:domain|market)/i);
+    if (m) daysListed = parseInt(m[1], 10);
+  }
+
+  let saleMethod = listing.sale_method;
+  if (!saleMethod) {
+    if (listing.auction_date || /\bauction\b/i.test(listing.price_guide || "")) saleMethod = "Auction";
+    else if (/expressions? of interest|\bEOI\b/i.test(listing.price_guide || "")) saleMethod = "Expressions of interest";
+    else saleMethod = "Private treaty";
+  }
+
+  return {
+    url,
+    ...listing,
+    listing_id: listing.listing_id ? String(listing.listing_id).replace(/^Listing:/, "") : null,
+    listed_date: listed ? listed.iso : listing.listed_date,
+    days_listed: daysListed,
+    sale_method: saleMethod,
+    inspections,
+  };
+}
+
+
+/**
+ * Scrape the current Domain for-sale listing for an address or listing URL.
+ *
+ * @param {string} addressOrUrl
+ * @returns {object} { success, data: { url, listing_id, price_guide, listed_date, days_listed,
+ *   sale_method, auction_date, inspections, agents, agency, features, ... } }
+ */
+async function scrapeDomainListing(addressOrUrl) {
+  const isUrl = /^https?:\/\//i.test(addressOrUrl);
+  let context = null;
+
+  try {
+    const opened = await openDomainPage({ source: "domain", key: fixtureKey("listing", addressOrUrl) });
+    context = opened.context;
+    const page = opened.page;
+
+    let listingUrl = addressOrUrl;
+    if (!isUrl) {
+      const slug = toDomainSlug(parseAddress(addressOrUrl) || addressOrUrl);
+      console.log(`   Domain listing: profile ${slug}`);
+      const profile = await loadNextData(page, `${DOMAIN_BASE}/property-profile/${slug}`, "Domain property profile");
+      listingUrl = findListingUrl(profile, slug);
+      if (!listingUrl) {
+        throw new AddressNotFoundError(`No current Domain for-sale listing for "${addressOrUrl}"`, {
+          source: "domain",
+          details: { profile_url: profile.url },
+        });
+      }
+    }
+
+    console.log(`   Domain listing: ${listingUrl}`);
+    const listingPage = await loadNextData(page, listingUrl, "Domain listing");
+    const pageProps = listingPage.nextData?.props?.pageProps || {};
+
+    const listingId = listingIdFromUrl(listingPage.url) || listingIdFromUrl(listingUrl);
+    const listing = (pageProps.__APOLLO_STATE__ && extractFromListingEntity(pageProps.__APOLLO_STATE__, listingId)) ||
+      extractFromComponentProps(pageProps.componentProps);
+    if (!listing) {
+      throw new UpstreamChangedError("Domain listing page has no Listing entity or componentProps", { source: "domain" });
+    }
+
+    const data = finishListing(listing, listingPage.bodyText, listingPage.url);
+    console.log(`   ✅ Domain listing ${data.listing_id}: ${data.price_guide || "no price guide"} (${data.sale_method})`);
+    return { success: true, data };
+  } catch (err) {
+    console.error("   ❌ Domain listing error:", err.message);
+    return failure(err, "domain");
+  } finally {
+    if (context) {
+      try { await context.close(); } catch (e) {}
+    }
+  }
+}
+
+
+module.exports = { scrapeDomainListing, findListingUrl, extractFromListingEntity, listingIdFromUrl };
@@ -0,0 +1,76 @@
+// ══════════════════════════════════════════════
+// Domain.com.au — shared page setup for every Domain scraper
+//
+// Domain's bot checks are stricter than the other sources', so its
+// pages come from one opener: a local desktop browser profile, all
+// resources loaded, navigator.webdriver hidden. Search scrapers share
+// the property-type / bedroom query filters and the __NEXT_DATA__ read.
+// ══════════════════════════════════════════════
+
+const { getPage } = require("./browser");
+
+const DOMAIN_BASE = "https://www.domain.com.au";
+
+// Look like a local desktop browser
+const DOMAIN_CONTEXT = {
+  userAgent: "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36",
+  viewport: { width: 1440, height: 900 },
+  locale: "en-AU",
+  timezoneId: "Australia/Sydney",
+};
+
+// Our property types → Domain's ptype filter
+const PTYPES = {
+  house: "house",
+  unit: "apartment-unit-flat",
+  townhouse: "town-house",
+};
+
+
+/**
+ * Open a pooled page set up for Domain.
+ *
+ * @param {{ source: string, key: string }} fixture - record/replay key (utils/replay.js)
+ * @returns {Promise<{ page: import("playwright").Page, context: import("playwright").BrowserContext }>}
+ */
+async function openDomainPage(fixture) {
+  const { page, context } = await getPage({ contextOptions: DOMAIN_CONTEXT, blockResources: false, fixture });
+  try {
+    await context.addInitScript(() => {
+      Object.defineProperty(navigator, "webdriver", { get: () => false });
+    });
+  } catch (err) {
+    await context.close().catch(() => {});
+    throw err;
+  }
+  return { page, context };
+}
+
+
+/**
+ * Add the property-type and bedroom filters to a search URL's params.
+ *
+ * @param {URLSearchParams} params
+ * @param {{ propertyType?: string, bedrooms?: { min?: number, max?: number } }} filters
+ */
+function applySearchFilters(params, { propertyType, bedrooms } = {}) {
+  if (PTYPES[propertyType]) params.set("ptype", PTYPES[propertyType]);
+  if (bedrooms && (bedrooms.min || bedrooms.max)) {
+    params.set("bedrooms", `${bedrooms.min || 0}-${bedrooms.max || "any"}`);
+  }
+  return params;
+}
+
+
+/**
+ * The page's parsed __NEXT_DATA__, or null when it has none.
+ */
+function readNextData(page) {
+  return page.evaluate(() => {
+    const el = document.querySelector("#__NEXT_DATA__");
+    try { return el ? JSON.parse(el.textContent || "") : null; } catch (e) { return null; }
+  });
+}
+
+
+module.exports = { DOMAIN_BASE, DOMAIN_CONTEXT, PTYPES, openDomainPage, applySearchFilters, readNextData };
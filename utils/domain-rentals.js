@@ -0,0 +1,154 @@
+// ══════════════════════════════════════════════
+// Domain.com.au — Rental listings search
+//
+// URL: https://www.domain.com.au/rent/{suburb-state-postcode}/
+//      ?ptype=house&bedrooms=3-3&ssubs=1&excludedeposittaken=0&page=N
+//
+// Same __NEXT_DATA__ listingsMap as the sold search (domain-sold.js).
+// Deposit-taken listings are included — they're the recently leased
+// ones, tagged "Deposit taken" or "Leased 12 Mar 2025" (the date is
+// only there on some). Everything else is currently listed.
+//
+// Rents are normalised to $/week ("$850 per week", "$850pw", "$3,700 pcm",
+// "$44,200 p.a.").
+//
+// Usage:
+//   const { scrapeDomainRentals } = require("./utils/domain-rentals");
+//   const result = await scrapeDomainRentals(
+//     { suburb: "Kellyville", state: "NSW", postcode: "2155" },
+//     { propertyType: "house", bedrooms: { min: 4, max: 4 } }
+//   );
+// ══════════════════════════════════════════════
+
+const { httpError, failure, UpstreamChangedError } = require("./errors");
+const { fixtureKey } = require("./replay");
+const { toLocalitySlug } = require("./address");
+const { DOMAIN_BASE, openDomainPage, applySearchFilters, readNextData } = require("./domain-page");
+const { findListingsMap, listingFields } = require("./domain-sold");
+
+const MAX_PAGES = 3;
+
+
+/**
+ * Build the rental search URL.
+ */
+function buildRentUrl(location, filters = {}, page = 1) {
+  const params = applySearchFilters(new URLSearchParams({ ssubs: "1", excludedeposittaken: "0" }), filters);
+  if (page > 1) params.set("page", String(page));
+  return `${DOMAIN_BASE}/rent/${toLocalitySlug(location)}/?${params}`;
+}
+
+
+// Rent periods, matched against what follows the amount
+const PER_WEEK = /^(?:p\.?\s*w\.?|\/\s*w(?:ee)?k?\b|per\s+week|weekly|pw)/i;
+const PER_MONTH = /^(?:p\.?\s*c\.?\s*m\.?|\/\s*m(?:on)?th\b|\/\s*month|per\s+(?:calendar\s+)?month|monthly)/i;
+const PER_YEAR = /^(?:p\.?\s*a\.?|\/\s*(?:yr|year|annum)\b|per\s+(?:year|annum)|yearly|annually)/i;
+
+
+/**
+ * "$850pw" / "$850 p.w." / "$850/week" / "$3,700 pcm" / "$44,200 p.a."
+ * → 850 / 850 / 850 / 854 / 850. An amount with no period is taken as
+ * weekly. Null for "Contact agent" and the like.
+ */
+function toWeeklyRent(raw) {
+  const match = String(raw || "").replace(/,/g, "").match(/(\d*\.?\d+)\s*(k\b)?\s*(.*)$/i);
+  if (!match) return null;
+
+  const amount = parseFloat(match[1]) * (match[2] ? 1000 : 1);
+  if (!amount) return null;
+  const period = match[3];
+  if (PER_MONTH.test(period)) return Math.round((amount * 12) / 52);
+  if (PER_YEAR.test(period)) return Math.round(amount / 52);
+  if (PER_WEEK.test(period)) return Math.round(amount);
+  // No period next to the amount ("$850 - Available now"): look further along
+  if (/month|pcm/i.test(period)) return Math.round((amount * 12) / 52);
+  if (/annum|\byear/i.test(period)) return Math.round(amount / 52);
+  return Math.round(amount);
+}
+
+
+/**
+ * One listingsMap entry → our rental listing shape.
+ */
+function toRentalListing(entry) {
+  const model = entry && entry.listingModel;
+  if (!model || !model.address) return null;
+
+  const tag = (model.tags && model.tags.tagText) || "";
+  const leased = /deposit taken|leased/i.test(tag);
+  const leaseDate = leased ? (tag.match(/\d{1,2}\s+[A-Za-z]{3,9}\s+\d{4}/) || [])[0] || null : null;
+  const { address, ...attributes } = listingFields(model);
+
+  return {
+    address,
+    status: leased ? "leased" : "listed",
+    rent: model.price || "",
+    weekly_rent: toWeeklyRent(model.price),
+    lease_date: leaseDate,
+    ...attributes,
+  };
+}
+
+
+/**
+ * Current and recently leased rentals around a suburb (incl. surrounding suburbs).
+ *
+ * @param {{ suburb: string, state: string, postcode: string }} location
+ * @param {object} [filters]
+ * @param {string} [filters.propertyType] - "house", "unit", "townhouse" (omit for any)
+ * @param {{ min?: number, max?: number }} [filters.bedrooms]
+ * @returns {object} { success, data: [{ address, status, weekly_rent, lease_date, bedrooms, ... }] }
+ */
+async function scrapeDomainRentals(location, filters = {}) {
+  let context = null;
+
+  try {
+    const opened = await openDomainPage({
+      source: "domain",
+      key: fixtureKey("rent", location.suburb, location.state, location.postcode, filters.propertyType,
+        filters.bedrooms && `${filters.bedrooms.min}-${filters.bedrooms.max}`),
+    });
+    context = opened.context;
+    const page = opened.page;
+
+    const listings = [];
+
+    for (let pageNo = 1; pageNo <= MAX_PAGES; pageNo++) {
+      const url = buildRentUrl(location, filters, pageNo);
+      console.log(`   Domain rentals [page ${pageNo}]: ${url}`);
+
+      const response = await page.goto(url, { waitUntil: "domcontentloaded", timeout: 30000 });
+      if (response && !response.ok()) {
+        throw httpError({ status: response.status(), headers: response.headers() }, "domain", "Domain rental search");
+      }
+      await page.waitForTimeout(3000);
+
+      const nextData = await readNextData(page);
+
+      const listingsMap = findListingsMap(nextData);
+      if (!listingsMap) {
+        if (pageNo === 1) throw new UpstreamChangedError("Domain rental search has no listingsMap in __NEXT_DATA__", { source: "domain" });
+        break;
+      }
+
+      const pageListings = Object.values(listingsMap).map(toRentalListing).filter(Boolean);
+      listings.push(...pageListings);
+      if (pageListings.length === 0) break;
+
+      await page.waitForTimeout(1500);
+    }
+
+    console.log(`   ✅ Domain rentals: ${listings.length} listing(s)`);
+    return { success: true, data: listings };
+  } catch (err) {
+    console.error("   ❌ Domain rental search error:", err.message);
+    return failure(err, "domain");
+  } finally {
+    if (context) {
+      try { await context.close(); } catch (e) {}
+    }
+  }
+}
+
+
+module.exports = { scrapeDomainRentals, buildRentUrl, toWeeklyRent, toRentalListing };
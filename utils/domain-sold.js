@@ -0,0 +1,169 @@
+// ══════════════════════════════════════════════
+// Domain.com.au — Sold listings search
+//
+// URL: https://www.domain.com.au/sold-listings/{suburb-state-postcode}/
+//      ?ptype=house&bedrooms=3-4&ssubs=1&sort=solddate-desc&page=N
+//
+// Each results page carries __NEXT_DATA__ with a `listingsMap` of
+// listing models: address (+ lat/lng), features (beds, baths, parking,
+// land size, property type), price and a "Sold at auction 12 Mar 2025"
+// tag. Pages are newest first, so we stop once a page is older than
+// the cutoff.
+//
+// Usage:
+//   const { scrapeDomainSold } = require("./utils/domain-sold");
+//   const result = await scrapeDomainSold(
+//     { suburb: "Kellyville", state: "NSW", postcode: "2155" },
+//     { propertyType: "house", bedrooms: { min: 3, max: 5 }, months: 6 }
+//   );
+// ══════════════════════════════════════════════
+
+const { httpError, failure, UpstreamChangedError } = require("./errors");
+const { fixtureKey } = require("./replay");
+const { toLocalitySlug } = require("./address");
+const { DOMAIN_BASE, openDomainPage, applySearchFilters, readNextData } = require("./domain-page");
+const { parseNumber, parseDate } = require("./response-v2");
+
+const MAX_PAGES = 3;
+
+
+/**
+ * Build the sold-listings search URL.
+ */
+function buildSoldUrl(location, filters = {}, page = 1) {
+  const params = applySearchFilters(new URLSearchParams({ ssubs: "1", sort: "solddate-desc" }), filters);
+  if (page > 1) params.set("page", String(page));
+  return `${DOMAIN_BASE}/sold-listings/${toLocalitySlug(location)}/?${params}`;
+}
+
+
+/**
+ * Find the listingsMap anywhere under __NEXT_DATA__ (its position
+ * under pageProps has moved between Domain releases).
+ */
+function findListingsMap(node, depth = 0) {
+  if (!node || typeof node !== "object" || depth > 6) return null;
+  if (node.listingsMap && typeof node.listingsMap === "object") return node.listingsMap;
+  for (const value of Object.values(node)) {
+    const found = findListingsMap(value, depth + 1);
+    if (found) return found;
+  }
+  return null;
+}
+
+
+/**
+ * Address and attributes of a listing model — the part every
+ * listingsMap search (sold, rent) reads the same way.
+ */
+function listingFields(model) {
+  const { address, features = {} } = model;
+  const land = features.landSize ? `${features.landSize} ${features.landUnit || "m²"}` : "";
+
+  return {
+    address: [address.street, [address.suburb, address.state, address.postcode].filter(Boolean).join(" ")]
+      .filter(Boolean).join(", "),
+    bedrooms: features.beds ?? null,
+    bathrooms: features.baths ?? null,
+    car_spaces: features.parking ?? null,
+    land_size: land,
+    property_type: features.propertyTypeFormatted || features.propertyType || "",
+    latitude: address.lat ?? null,
+    longitude: address.lng ?? null,
+    url: model.url ? DOMAIN_BASE + model.url : null,
+  };
+}
+
+
+/**
+ * One listingsMap entry → our sold listing shape.
+ */
+function toSoldListing(entry) {
+  const model = entry && entry.listingModel;
+  if (!model || !model.address) return null;
+
+  const tag = (model.tags && model.tags.tagText) || "";
+  const soldDate = (tag.match(/\d{1,2}\s+[A-Za-z]{3,9}\s+\d{4}/) || [])[0] || null;
+  const method = /auction/i.test(tag) ? "Auction" : /private treaty/i.test(tag) ? "Private treaty" : "";
+  const { address, ...attributes } = listingFields(model);
+
+  return {
+    address,
+    sold_price: model.price || "",
+    price: parseNumber(model.price),
+    sold_date: soldDate,
+    sold_method: method,
+    ...attributes,
+  };
+}
+
+
+/**
+ * Recent sold listings around a suburb (incl. surrounding suburbs).
+ *
+ * @param {{ suburb: string, state: string, postcode: string }} location
+ * @param {object} [filters]
+ * @param {string} [filters.propertyType] - "house", "unit", "townhouse" (omit for any)
+ * @param {{ min?: number, max?: number }} [filters.bedrooms]
+ * @param {number} [filters.months=6] - stop paging past sales older than this
+ * @returns {object} { success, data: [{ address, sold_price, price, sold_date, bedrooms, ... }] }
+ */
+async function scrapeDomainSold(location, filters = {}) {
+  const months = filters.months || 6;
+  const cutoff = new Date();
+  cutoff.setMonth(cutoff.getMonth() - months);
+
+  let context = null;
+
+  try {
+    const opened = await openDomainPage({
+      source: "domain",
+      key: fixtureKey("sold", location.suburb, location.state, location.postcode, filters.propertyType,
+        filters.bedrooms && `${filters.bedrooms.min}-${filters.bedrooms.max}`, months),
+    });
+    context = opened.context;
+    const page = opened.page;
+
+    const listings = [];
+
+    for (let pageNo = 1; pageNo <= MAX_PAGES; pageNo++) {
+      const url = buildSoldUrl(location, filters, pageNo);
+      console.log(`   Domain sold [page ${pageNo}]: ${url}`);
+
+      const response = await page.goto(url, { waitUntil: "domcontentloaded", timeout: 30000 });
+      if (response && !response.ok()) {
+        throw httpError({ status: response.status(), headers: response.headers() }, "domain", "Domain sold search");
+      }
+      await page.waitForTimeout(3000);
+
+      const nextData = await readNextData(page);
+
+      const listingsMap = findListingsMap(nextData);
+      if (!listingsMap) {
+        if (pageNo === 1) throw new UpstreamChangedError("Domain sold search has no listingsMap in __NEXT_DATA__", { source: "domain" });
+        break;
+      }
+
+      const pageListings = Object.values(listingsMap).map(toSoldListing).filter(Boolean);
+      listings.push(...pageListings);
+
+      const oldest = pageListings.map((l) => parseDate(l.sold_date)).filter(Boolean).map((d) => new Date(d.iso)).sort((a, b) => a - b)[0];
+      if (pageListings.length === 0 || (oldest && oldest < cutoff)) break;
+
+      await page.waitForTimeout(1500);
+    }
+
+    console.log(`   ✅ Domain sold: ${listings.length} listing(s)`);
+    return { success: true, data: listings };
+  } catch (err) {
+    console.error("   ❌ Domain sold search error:", err.message);
+    return failure(err, "domain");
+  } finally {
+    if (context) {
+      try { await context.close(); } catch (e) {}
+    }
+  }
+}
+
+
+module.exports = { scrapeDomainSold, buildSoldUrl, findListingsMap, listingFields, toSoldListing };
@@ -0,0 +1,209 @@
+// ══════════════════════════════════════════════
+// Domain.com.au — Suburb profile
+//
+// URL: https://www.domain.com.au/suburb-profile/{suburb-state-postcode}
+//
+// Fallback for the DSR market stats: when the DSR session can't be
+// established /api/suburb fills its medians, days on market, clearance
+// rate and renter split from here instead.
+//
+// The page's __NEXT_DATA__ carries one market row per property
+// category and bedroom count:
+//   { propertyCategory: "House", bedrooms: 4, medianSoldPrice, medianRentPrice,
+//     avgDaysOnMarket, auctionClearanceRate, soldThisYear }
+// plus the owner / renter split in the demographics block. Its
+// position under pageProps (Apollo state vs componentProps) has moved
+// between Domain releases, so both are found by walking the tree.
+// Per type we report the row covering all bedrooms when there is one,
+// otherwise the busiest bedroom row (number sold is then summed) —
+// sourceLabel() then names that bedroom count in field_sources, so a
+// 4-bedroom median isn't passed off as the suburb's.
+//
+// Usage:
+//   const { scrapeDomainSuburb } = require("./utils/domain-suburb");
+//   const result = await scrapeDomainSuburb({ suburb: "Kellyville", state: "NSW", postcode: "2155" });
+//   // result.data.house.median_price → 1650000
+// ══════════════════════════════════════════════
+
+const { httpError, failure, AddressNotFoundError, UpstreamChangedError } = require("./errors");
+const { fixtureKey } = require("./replay");
+const { DOMAIN_BASE, openDomainPage, readNextData } = require("./domain-page");
+const { toLocalitySlug } = require("./address");
+const { parseNumber } = require("./response-v2");
+
+const MAX_DEPTH = 8;
+
+// Our field → Domain's key(s), first present wins
+const STAT_KEYS = {
+  median_price: ["medianSoldPrice", "medianPrice"],
+  median_rent: ["medianRentPrice", "medianRent"],
+  days_on_market: ["avgDaysOnMarket", "daysOnMarket"],
+  auction_clearance_rate: ["auctionClearanceRate", "clearanceRate"],
+  number_sold: ["soldThisYear", "numberSold", "salesVolume"],
+};
+
+
+function buildSuburbUrl(location) {
+  return `${DOMAIN_BASE}/suburb-profile/${toLocalitySlug(location)}`;
+}
+
+
+function firstValue(obj, keys) {
+  for (const key of keys) {
+    const value = parseNumber(obj[key]);
+    if (value !== null) return value;
+  }
+  return null;
+}
+
+// Domain sends shares as 0.65 on some pages and 65 on others
+function toPercent(n) {
+  if (n === null) return null;
+  return Math.round((n <= 1 ? n * 100 : n) * 10) / 10;
+}
+
+
+function categoryOf(row) {
+  const raw = String(row.propertyCategory || row.propertyType || "");
+  if (/house/i.test(raw)) return "house";
+  if (/unit|apartment/i.test(raw)) return "unit";
+  return null;
+}
+
+
+/**
+ * Collect every market row (an object with a property category and at
+ * least one of the STAT_KEYS) anywhere under __NEXT_DATA__.
+ */
+function findMarketRows(node, rows = [], depth = 0) {
+  if (!node || typeof node !== "object" || depth > MAX_DEPTH) return rows;
+  if (!Array.isArray(node) && categoryOf(node) && Object.values(STAT_KEYS).some((keys) => keys.some((k) => k in node))) {
+    rows.push(node);
+    return rows;
+  }
+  for (const value of Object.values(node)) findMarketRows(value, rows, depth + 1);
+  return rows;
+}
+
+
+/**
+ * The owner / renter split — the first object with both.
+ */
+function findTenure(node, depth = 0) {
+  if (!node || typeof node !== "object" || depth > MAX_DEPTH) return null;
+  const keys = Object.keys(node);
+  const owner = keys.find((k) => /^owner/i.test(k));
+  const renter = keys.find((k) => /^renter/i.test(k));
+  if (owner && renter) {
+    return { owner_percentage: toPercent(parseNumber(node[owner])), renters_percentage: toPercent(parseNumber(node[renter])) };
+  }
+  for (const value of Object.values(node)) {
+    const found = findTenure(value, depth + 1);
+    if (found) return found;
+  }
+  return null;
+}
+
+
+/**
+ * One property type's rows → { median_price, median_rent, ... }.
+ */
+function summariseRows(rows) {
+  if (rows.length === 0) return null;
+  const stats = (row) => Object.fromEntries(Object.entries(STAT_KEYS).map(([field, keys]) => [field, firstValue(row, keys)]));
+
+  const all = rows.find((r) => r.bedrooms === null || r.bedrooms === undefined || r.bedrooms === 0 || /all/i.test(String(r.bedrooms)));
+  if (all) {
+    const s = stats(all);
+    return { ...s, auction_clearance_rate: toPercent(s.auction_clearance_rate), bedrooms: "all" };
+  }
+
+  const byRow = rows.map((row) => ({ row, stats: stats(row) }));
+  byRow.sort((a, b) => (b.stats.number_sold || 0) - (a.stats.number_sold || 0));
+  const busiest = byRow[0];
+  const sold = byRow.reduce((sum, r) => sum + (r.stats.number_sold || 0), 0);
+
+  return {
+    ...busiest.stats,
+    auction_clearance_rate: toPercent(busiest.stats.auction_clearance_rate),
+    number_sold: sold || null,
+    bedrooms: busiest.row.bedrooms ?? null,
+  };
+}
+
+
+/**
+ * field_sources entry for one type's figures: "domain" for the
+ * all-bedrooms row, "domain (4 bed)" when they are the busiest
+ * bedroom row's. Number sold is summed over every row, so it is
+ * always plain "domain".
+ */
+function sourceLabel(stats) {
+  if (!stats || stats.bedrooms === "all" || stats.bedrooms === null || stats.bedrooms === undefined) return "domain";
+  return `domain (${stats.bedrooms} bed)`;
+}
+
+
+/**
+ * Parsed __NEXT_DATA__ → { house, unit, owner_percentage, renters_percentage }.
+ */
+function extractSuburbProfile(nextData) {
+  const rows = findMarketRows(nextData?.props?.pageProps);
+  const tenure = findTenure(nextData?.props?.pageProps) || { owner_percentage: null, renters_percentage: null };
+
+  return {
+    house: summariseRows(rows.filter((r) => categoryOf(r) === "house")),
+    unit: summariseRows(rows.filter((r) => categoryOf(r) === "unit")),
+    ...tenure,
+  };
+}
+
+
+/**
+ * Median price / rent, days on market, clearance rate, number sold
+ * (houses and units) and the owner / renter split for a suburb.
+ *
+ * @param {{ suburb: string, state: string, postcode: string }} location
+ * @returns {object} { success, data: { house, unit, owner_percentage, renters_percentage, url } }
+ */
+async function scrapeDomainSuburb(location) {
+  const url = buildSuburbUrl(location);
+  let context = null;
+
+  try {
+    const opened = await openDomainPage({ source: "domain", key: fixtureKey("suburb", location.suburb, location.state, location.postcode) });
+    context = opened.context;
+    const page = opened.page;
+
+    console.log(`   Domain suburb profile: ${url}`);
+    const response = await page.goto(url, { waitUntil: "domcontentloaded", timeout: 30000 });
+    if (response && response.status() === 404) {
+      throw new AddressNotFoundError(`No Domain suburb profile for ${location.suburb} ${location.state} ${location.postcode}`, { source: "domain" });
+    }
+    if (response && !response.ok()) {
+      throw httpError({ status: response.status(), headers: response.headers() }, "domain", "Domain suburb profile");
+    }
+    await page.waitForTimeout(3000);
+
+    const nextData = await readNextData(page);
+    if (!nextData) throw new UpstreamChangedError("Domain suburb profile has no __NEXT_DATA__", { source: "domain" });
+
+    const profile = extractSuburbProfile(nextData);
+    if (!profile.house && !profile.unit) {
+      throw new UpstreamChangedError("No market statistics found on the Domain suburb profile", { source: "domain" });
+    }
+
+    console.log(`   ✅ Domain suburb profile: house ${profile.house ? "✓" : "–"}, unit ${profile.unit ? "✓" : "–"}`);
+    return { success: true, data: { ...profile, url } };
+  } catch (err) {
+    console.error("   ❌ Domain suburb profile error:", err.message);
+    return failure(err, "domain");
+  } finally {
+    if (context) {
+      try { await context.close(); } catch (e) {}
+    }
+  }
+}
+
+
+module.exports = { scrapeDomainSuburb, extractSuburbProfile, buildSuburbUrl, sourceLabel };
@@ -0,0 +1,183 @@
+// ══════════════════════════════════════════════
+// DSR History — monthly snapshots + trend analysis
+//
+// Every successful DSR fetch records its numeric metrics as a monthly
+// snapshot (DSR_SNAPSHOT_FILE, default ./data/dsr-snapshots.json):
+//   "NSW:2155:KELLYVILLE:house" → { "202405": { dom: 36, ... }, ... }
+//
+// These back-fill /api/suburb/history wherever DSR itself can't
+// return a past month, and computeTrends() turns any series into
+// 3/6/12-month changes with a direction per metric.
+// ══════════════════════════════════════════════
+
+const fs = require("fs");
+const path = require("path");
+
+const SNAPSHOT_FILE = process.env.DSR_SNAPSHOT_FILE || path.join(__dirname, "..", "data", "dsr-snapshots.json");
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+// Which way is "stronger market" for each metric. Vendor discount is
+// negative, so closer to zero (higher) is stronger.
+const METRICS = {
+  dsr_score: { label: "DSR score", higherIsStronger: true },
+  days_on_market: { label: "Days on market", higherIsStronger: false },
+  stock_on_market: { label: "Stock on market (%)", higherIsStronger: false },
+  vacancy_rate: { label: "Vacancy rate (%)", higherIsStronger: false },
+  gross_rental_yield: { label: "Gross rental yield (%)", higherIsStronger: true },
+  vendor_discount: { label: "Vendor discount (%)", higherIsStronger: true },
+  median_12_months: { label: "Median price (12 months)", higherIsStronger: true },
+  typical_value: { label: "Typical value", higherIsStronger: true },
+  auction_clearance_rate: { label: "Auction clearance rate (%)", higherIsStronger: true },
+  online_search_interest: { label: "Online search interest", higherIsStronger: true },
+};
+
+const FLAT_THRESHOLD = 0.02; // changes under 2% count as flat
+
+let store = null;
+
+
+/**
+ * DSR month/year → sortable number (e.g. 202405).
+ * DSR has returned both month names and month numbers.
+ */
+function periodNumber(month, year) {
+  const y = parseInt(year, 10);
+  if (!y) return 0;
+  let m = parseInt(month, 10);
+  if (!m) m = MONTHS.indexOf(String(month || "").slice(0, 3).toLowerCase()) + 1;
+  return m ? y * 100 + m : 0;
+}
+
+
+/**
+ * Step a period number back by n months (202402, 3 → 202311).
+ */
+function shiftPeriod(period, n) {
+  const total = Math.floor(period / 100) * 12 + (period % 100) - 1 - n;
+  return Math.floor(total / 12) * 100 + (total % 12) + 1;
+}
+
+
+function periodLabel(period) {
+  return `${Math.floor(period / 100)}-${String(period % 100).padStart(2, "0")}`;
+}
+
+
+function load() {
+  if (store) return store;
+  try {
+    store = JSON.parse(fs.readFileSync(SNAPSHOT_FILE, "utf8"));
+  } catch (e) {
+    store = {};
+  }
+  return store;
+}
+
+
+function seriesKey(suburb, state, postcode, propertyType) {
+  return [state.toUpperCase(), postcode, suburb.toUpperCase(), propertyType].join(":");
+}
+
+
+/**
+ * Record one month of DSR metrics for a suburb.
+ */
+function recordSnapshot(suburb, state, postcode, propertyType, period, metrics) {
+  if (!period || !metrics) return;
+  load();
+  const key = seriesKey(suburb, state, postcode, propertyType);
+  store[key] = store[key] || {};
+  store[key][period] = metrics;
+
+  try {
+    fs.mkdirSync(path.dirname(SNAPSHOT_FILE), { recursive: true });
+    fs.writeFileSync(SNAPSHOT_FILE, JSON.stringify(store));
+  } catch (err) {
+    console.log("   ⚠️ Could not write DSR snapshot:", err.message);
+  }
+}
+
+
+/**
+ * Stored snapshots for a suburb → { [period]: metrics }.
+ */
+function getSnapshots(suburb, state, postcode, propertyType) {
+  load();
+  return store[seriesKey(suburb, state, postcode, propertyType)] || {};
+}
+
+
+/**
+ * Turn { [period]: metrics } into per-metric series and trends.
+ *
+ * @param {object} monthly - { 202405: { days_on_market: 36, ... }, ... }
+ * @returns {{ series: object, trends: object }}
+ */
+function computeTrends(monthly) {
+  const periods = Object.keys(monthly).map(Number).sort((a, b) => a - b);
+  const series = {};
+  const trends = {};
+
+  for (const [metric, meta] of Object.entries(METRICS)) {
+    const points = periods
+      .filter((p) => typeof monthly[p][metric] === "number" && !isNaN(monthly[p][metric]))
+      .map((p) => ({ period: periodLabel(p), value: monthly[p][metric] }));
+
+    series[metric] = points;
+    if (points.length === 0) continue;
+
+    const latestPeriod = periods.filter((p) => typeof monthly[p][metric] === "number").pop();
+    const latest = monthly[latestPeriod][metric];
+
+    const changeOver = (months) => {
+      const past = monthly[shiftPeriod(latestPeriod, months)];
+      if (!past || typeof past[metric] !== "number") return null;
+      return round(latest - past[metric]);
+    };
+
+    const change3 = changeOver(3);
+    const change6 = changeOver(6);
+    const change12 = changeOver(12);
+
+    // Direction from the longest window we have, else first → latest
+    const basis = [change12, change6, change3].find((c) => c !== null);
+    const delta = basis !== undefined ? basis : latest - points[0].value;
+    const reference = Math.abs(latest - delta) || Math.abs(latest) || 1;
+
+    let direction = "flat";
+    if (points.length > 1 && Math.abs(delta) / reference >= FLAT_THRESHOLD) {
+      direction = delta > 0 ? "rising" : "falling";
+    }
+
+    trends[metric] = {
+      label: meta.label,
+      latest,
+      latest_period: periodLabel(latestPeriod),
+      change_3m: change3,
+      change_6m: change6,
+      change_12m: change12,
+      direction,
+      signal: direction === "flat" ? "steady"
+        : (direction === "rising") === meta.higherIsStronger ? "strengthening" : "weakening",
+    };
+  }
+
+  return { series, trends };
+}
+
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+
+module.exports = {
+  METRICS,
+  periodNumber,
+  shiftPeriod,
+  periodLabel,
+  recordSnapshot,
+  getSnapshots,
+  computeTrends,
+};
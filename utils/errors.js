@@ -0,0 +1,240 @@
+// ══════════════════════════════════════════════
+// Error taxonomy — stable codes for every scraper failure
+//
+// Scrapers throw these internally and return them to callers as
+//   { success: false, error, code, retryable, source }
+// so Make.com can branch on `code` / `retryable` instead of parsing
+// free text. server.js maps `code` to an HTTP status.
+//
+//   code                  status  retryable  typical cause
+//   AUTH_FAILED           502     no         bad credentials, no DSR token
+//   ADDRESS_NOT_FOUND     404     no         unknown address / suburb / slug
+//   AMBIGUOUS_ADDRESS     409     no         no confident match; details.candidates to pick from
+//   SELECTOR_MISSING      502     yes        page didn't render the element we wait for
+//   RATE_LIMITED          429     yes        upstream 429/403 bot block, browser pool busy
+//   UPSTREAM_CHANGED      502     no         response/page shape no longer what we parse
+//   UPSTREAM_UNAVAILABLE  503     yes        timeouts, network errors, upstream 5xx
+//   AI_PARSE_ERROR        502     yes        Claude returned something that isn't our JSON
+//   NOT_CONFIGURED        500     no         missing env credentials / API key
+//   INTERNAL_ERROR        500     no         anything unclassified
+//
+// Request-level failures use the same fields without a class:
+//   VALIDATION_ERROR 400 (utils/validate.js), UNAUTHORIZED 401 (utils/auth.js),
+//   NOT_FOUND 404 (unknown or expired job id).
+//
+// `retryable` can be overridden per throw when the cause is known
+// (e.g. a login that timed out rather than being rejected).
+// ══════════════════════════════════════════════
+
+class ScraperError extends Error {
+  static code = "INTERNAL_ERROR";
+  static status = 500;
+  static retryable = false;
+
+  /**
+   * @param {string} message
+   * @param {object} [options]
+   * @param {string} [options.source] - "corelogic", "dsr", "domain", "sqm", "claude", "browser", "server"
+   * @param {boolean} [options.retryable] - overrides the class default
+   * @param {object} [options.details] - extra context returned to the client
+   * @param {Error} [options.cause]
+   */
+  constructor(message, { source = "server", retryable, details, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = new.target.name;
+    this.code = new.target.code;
+    this.status = new.target.status;
+    this.retryable = retryable ?? new.target.retryable;
+    this.source = source;
+    if (details) this.details = details;
+  }
+}
+
+class AuthFailedError extends ScraperError {
+  static code = "AUTH_FAILED";
+  static status = 502;
+}
+
+class AddressNotFoundError extends ScraperError {
+  static code = "ADDRESS_NOT_FOUND";
+  static status = 404;
+}
+
+class AmbiguousAddressError extends ScraperError {
+  static code = "AMBIGUOUS_ADDRESS";
+  static status = 409;
+}
+
+class SelectorMissingError extends ScraperError {
+  static code = "SELECTOR_MISSING";
+  static status = 502;
+  static retryable = true;
+}
+
+class RateLimitedError extends ScraperError {
+  static code = "RATE_LIMITED";
+  static status = 429;
+  static retryable = true;
+}
+
+class UpstreamChangedError extends ScraperError {
+  static code = "UPSTREAM_CHANGED";
+  static status = 502;
+}
+
+class UpstreamUnavailableError extends ScraperError {
+  static code = "UPSTREAM_UNAVAILABLE";
+  static status = 503;
+  static retryable = true;
+}
+
+class AiParseError extends ScraperError {
+  static code = "AI_PARSE_ERROR";
+  static status = 502;
+  static retryable = true;
+}
+
+class NotConfiguredError extends ScraperError {
+  static code = "NOT_CONFIGURED";
+  static status = 500;
+}
+
+const ERROR_CLASSES = [
+  ScraperError, AuthFailedError, AddressNotFoundError, AmbiguousAddressError, SelectorMissingError, RateLimitedError,
+  UpstreamChangedError, UpstreamUnavailableError, AiParseError, NotConfiguredError,
+];
+
+const STATUS_BY_CODE = {
+  VALIDATION_ERROR: 400,
+  UNAUTHORIZED: 401,
+  NOT_FOUND: 404,
+  ...Object.fromEntries(ERROR_CLASSES.map((cls) => [cls.code, cls.status])),
+};
+
+const ERROR_CODES = Object.keys(STATUS_BY_CODE);
+
+
+/**
+ * Classify any thrown value into a ScraperError.
+ *
+ * Playwright timeouts waiting for a selector become SELECTOR_MISSING;
+ * navigation timeouts and fetch/network failures become UPSTREAM_UNAVAILABLE.
+ */
+function toScraperError(err, source = "server") {
+  if (err instanceof ScraperError) return err;
+
+  const message = err?.message || String(err);
+
+  if (err?.name === "TimeoutError") {
+    if (/waitForSelector|locator|selector/i.test(message)) {
+      return new SelectorMissingError(message, { source, cause: err });
+    }
+    return new UpstreamUnavailableError(message, { source, cause: err });
+  }
+  if (/fetch failed|ECONNRESET|ECONNREFUSED|ENOTFOUND|ETIMEDOUT|net::ERR_/i.test(message)) {
+    return new UpstreamUnavailableError(message, { source, cause: err });
+  }
+
+  return new ScraperError(message, { source, cause: err });
+}
+
+
+/**
+ * Error for a non-2xx upstream HTTP response.
+ *
+ * @param {Response|{ status: number, headers?: object }} response - fetch or Playwright response
+ * @param {string} source
+ * @param {string} [what] - what was requested, for the message
+ */
+function httpError(response, source, what = `${source} request`) {
+  const status = response.status;
+  const retryAfter = readHeader(response, "retry-after");
+  const message = `${what} returned ${status}`;
+
+  if (status === 401) return new AuthFailedError(message, { source });
+  if (status === 404 || status === 410) return new AddressNotFoundError(message, { source });
+  if (status === 429 || status === 403) {
+    return new RateLimitedError(message, { source, details: retryAfter ? { retry_after: retryAfter } : undefined });
+  }
+  if (status >= 500) return new UpstreamUnavailableError(message, { source });
+  return new UpstreamChangedError(message, { source });
+}
+
+
+function readHeader(response, name) {
+  const headers = typeof response.headers === "function" ? response.headers() : response.headers;
+  if (!headers) return null;
+  return typeof headers.get === "function" ? headers.get(name) : headers[name] || null;
+}
+
+
+/**
+ * The { success: false, ... } result scrapers return on failure.
+ */
+function failure(err, source) {
+  const e = toScraperError(err, source);
+  return {
+    success: false,
+    error: e.message,
+    code: e.code,
+    retryable: e.retryable,
+    source: e.source,
+    ...(e.details ? { details: e.details } : {}),
+  };
+}
+
+
+/**
+ * Rebuild the error carried by a { success: false } result, so a
+ * caller can rethrow it with its code intact.
+ */
+function fromFailure(result) {
+  const ErrorClass = ERROR_CLASSES.find((cls) => cls.code === result.code) || ScraperError;
+  return new ErrorClass(result.error || "Unknown failure", {
+    source: result.source,
+    retryable: result.retryable,
+    details: result.details,
+  });
+}
+
+
+/**
+ * Entry for the `errors` list of a partial result (one failed source).
+ */
+function describeFailure(result) {
+  return {
+    source: result.source,
+    error: result.error,
+    code: result.code || "INTERNAL_ERROR",
+    retryable: result.retryable ?? false,
+  };
+}
+
+
+/**
+ * HTTP status for a failure result or error (500 when unclassified).
+ */
+function statusFor(result) {
+  return STATUS_BY_CODE[result?.code] || 500;
+}
+
+
+module.exports = {
+  ERROR_CODES,
+  ScraperError,
+  AuthFailedError,
+  AddressNotFoundError,
+  AmbiguousAddressError,
+  SelectorMissingError,
+  RateLimitedError,
+  UpstreamChangedError,
+  UpstreamUnavailableError,
+  AiParseError,
+  NotConfiguredError,
+  toScraperError,
+  httpError,
+  failure,
+  fromFailure,
+  describeFailure,
+  statusFor,
+};
@@ -0,0 +1,214 @@
+// ══════════════════════════════════════════════
+// Deep health check — is each upstream source still scrapeable?
+//
+// GET /health only says the process is up. GET /health/deep runs each
+// source in turn against a known canary and checks what we actually
+// depend on:
+//   corelogic  login, search box, property page attributes (canary address)
+//   dsr        login + access token, getAllMktStats metrics (canary suburb)
+//   sqm        Highcharts vacancy series (canary postcode)
+//   domain     property profile page data (canary address)
+//   claude     API key accepted (models list — no tokens spent)
+//
+// A full run takes a minute or more and logs in everywhere, so the
+// result is cached for HEALTH_CACHE_MINUTES (default 15) and concurrent
+// callers share one run. `refresh` forces a new run at most once per
+// HEALTH_MIN_REFRESH_SECONDS (default 60).
+//
+// Overall status: "ok" only when every source passes, "down" when all
+// fail, otherwise "degraded" — a source with missing credentials
+// (not_configured) counts against it like a failure.
+//
+// Canaries: HEALTH_CANARY_ADDRESS, HEALTH_CANARY_SUBURB / _STATE / _POSTCODE.
+// ══════════════════════════════════════════════
+
+const { scrapeProperty } = require("../scrapers/corelogic");
+const { scrapeStockOnMarket } = require("../scrapers/dsr");
+const { scrapeSqmVacancy } = require("./sqm-vacancy");
+const { scrapeDomainComparables } = require("./domain-comparables");
+const { trackContexts } = require("./browser");
+const { NotConfiguredError, UpstreamChangedError, UpstreamUnavailableError, httpError, failure, fromFailure } = require("./errors");
+const { isReplaying, fixtureKey, replayableFetch } = require("./replay");
+
+const CACHE_TTL = (parseFloat(process.env.HEALTH_CACHE_MINUTES) || 15) * 60 * 1000;
+const MIN_REFRESH = (parseFloat(process.env.HEALTH_MIN_REFRESH_SECONDS) || 60) * 1000;
+const CHECK_TIMEOUT = 120000; // per source
+
+const CANARY = {
+  address: process.env.HEALTH_CANARY_ADDRESS || "3 Parsons Circuit, Kellyville, NSW 2155",
+  suburb: process.env.HEALTH_CANARY_SUBURB || "Kellyville",
+  state: process.env.HEALTH_CANARY_STATE || "NSW",
+  postcode: process.env.HEALTH_CANARY_POSTCODE || "2155",
+};
+
+let lastReport = null;
+let runInFlight = null;
+const lastSuccess = {};  // source → ISO time of last passing check (survives cache expiry)
+
+
+/**
+ * Throw the failure carried by a { success: false } scraper result.
+ */
+function assertSuccess(result) {
+  if (!result.success) throw fromFailure(result);
+  return result;
+}
+
+
+/**
+ * Check that the named fields came back non-empty.
+ * @returns {object} { field: true|false }
+ */
+function fieldsPresent(data, fields, source) {
+  const present = Object.fromEntries(fields.map((f) => [f, data?.[f] !== null && data?.[f] !== undefined && data?.[f] !== ""]));
+  if (!Object.values(present).some(Boolean)) {
+    throw new UpstreamChangedError(`No ${fields.join(" / ")} extracted from the canary`, { source, details: present });
+  }
+  return present;
+}
+
+
+const SOURCES = {
+  async corelogic() {
+    const result = assertSuccess(await scrapeProperty(CANARY.address));
+    return {
+      canary: CANARY.address,
+      fields: fieldsPresent(result.data, ["bedrooms", "bathrooms", "land_size", "valuation_estimate"], "corelogic"),
+    };
+  },
+
+  async dsr() {
+    const { suburb, state, postcode } = CANARY;
+    const result = assertSuccess(await scrapeStockOnMarket(suburb, state, postcode, "house"));
+    return {
+      canary: `${suburb} ${state} ${postcode}`,
+      data_month: `${result.data.data_month} ${result.data.data_year}`,
+      fields: fieldsPresent(result.data.metrics, ["dsr_score", "days_on_market", "stock_on_market", "gross_rental_yield"], "dsr"),
+    };
+  },
+
+  async sqm() {
+    const result = assertSuccess(await scrapeSqmVacancy(CANARY.postcode));
+    return {
+      canary: CANARY.postcode,
+      period: result.data.period,
+      months_of_data: result.data.vacancy_trend?.months_of_data ?? null,
+    };
+  },
+
+  async domain() {
+    const result = assertSuccess(await scrapeDomainComparables([CANARY.address]));
+    const entry = assertSuccess(result.data[0] || { success: false, error: "No result for canary", source: "domain" });
+    return {
+      canary: CANARY.address,
+      fields: fieldsPresent(entry, ["bedrooms", "bathrooms", "sold_price", "property_type"], "domain"),
+    };
+  },
+
+  async claude() {
+    if (!process.env.ANTHROPIC_API_KEY && !isReplaying()) throw new NotConfiguredError("ANTHROPIC_API_KEY not configured", { source: "claude" });
+    const response = await replayableFetch({ source: "claude", key: fixtureKey("health", "models") }, "https://api.anthropic.com/v1/models", {
+      headers: { "x-api-key": process.env.ANTHROPIC_API_KEY, "anthropic-version": "2023-06-01" },
+    });
+    if (!response.ok) throw httpError(response, "claude", "Anthropic models API");
+    return { api: "reachable" };
+  },
+};
+
+
+/**
+ * Run a source check, failing it after `ms`. A timed-out check's browser
+ * contexts are closed so it stops holding pool slots in the background.
+ */
+function withTimeout(check, ms, source) {
+  const { result, abandon } = trackContexts(check);
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      abandon();
+      reject(new UpstreamUnavailableError(`Health check timed out after ${ms / 1000}s`, { source }));
+    }, ms);
+  });
+  return Promise.race([result, timeout]).finally(() => clearTimeout(timer));
+}
+
+
+async function checkSource(name) {
+  const started = Date.now();
+  const entry = { status: "ok", latency_ms: 0, checked_at: null, last_success: null };
+
+  try {
+    entry.checks = await withTimeout(SOURCES[name], CHECK_TIMEOUT, name);
+    lastSuccess[name] = new Date().toISOString();
+  } catch (err) {
+    const failed = failure(err, name);
+    entry.status = failed.code === "NOT_CONFIGURED" ? "not_configured" : "fail";
+    entry.error = failed.error;
+    entry.code = failed.code;
+    entry.retryable = failed.retryable;
+    if (failed.details) entry.details = failed.details;
+  }
+
+  entry.latency_ms = Date.now() - started;
+  entry.checked_at = new Date().toISOString();
+  entry.last_success = lastSuccess[name] || null;
+  console.log(`   ${entry.status === "ok" ? "✅" : "❌"} health/${name}: ${entry.status} (${entry.latency_ms}ms)`);
+  return entry;
+}
+
+
+async function runChecks() {
+  console.log("🩺 Deep health check...");
+  const started = Date.now();
+  const sources = {};
+
+  // One at a time: they share the browser pool and we don't want to
+  // look like a burst of logins
+  for (const name of Object.keys(SOURCES)) {
+    sources[name] = await checkSource(name);
+  }
+
+  const statuses = Object.values(sources).map((s) => s.status);
+  const failing = statuses.filter((s) => s === "fail").length;
+  return {
+    status: statuses.every((s) => s === "ok") ? "ok" : failing === statuses.length ? "down" : "degraded",
+    checked_at: new Date().toISOString(),
+    duration_ms: Date.now() - started,
+    sources,
+  };
+}
+
+
+/**
+ * Latest deep health report, running the checks only when the cached
+ * one has expired (or on `refresh`, rate-limited).
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.refresh]
+ * @returns {Promise<object>} report + { cached, expires_at }
+ */
+async function getDeepHealth({ refresh = false } = {}) {
+  const age = lastReport ? Date.now() - new Date(lastReport.checked_at).getTime() : Infinity;
+  const stale = age > CACHE_TTL || (refresh && age > MIN_REFRESH);
+
+  if (!stale) return withCacheInfo(lastReport, true);
+
+  if (!runInFlight) {
+    runInFlight = runChecks()
+      .then((report) => { lastReport = report; return report; })
+      .finally(() => { runInFlight = null; });
+  }
+  return withCacheInfo(await runInFlight, false);
+}
+
+
+function withCacheInfo(report, cached) {
+  return {
+    ...report,
+    cached,
+    expires_at: new Date(new Date(report.checked_at).getTime() + CACHE_TTL).toISOString(),
+  };
+}
+
+
+module.exports = { getDeepHealth };
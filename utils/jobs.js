@@ -0,0 +1,218 @@
+// ══════════════════════════════════════════════
+// Background Jobs — async mode for long-running scrapes
+//
+// Make.com scenarios time out long before a CoreLogic run finishes,
+// so any endpoint can hand its work to a job instead:
+//   1. POST with { async: true } or a callbackUrl → 202 + jobId
+//   2. Poll GET /api/jobs/:id for status, progress and result
+//   3. Optionally receive the finished job at callbackUrl
+//
+// Callbacks are signed with HMAC-SHA256 over "{timestamp}.{body}"
+// using WEBHOOK_SECRET, sent as:
+//   X-PropWealth-Timestamp: 1718000000
+//   X-PropWealth-Signature: sha256=<hex digest>
+//
+// Jobs live in memory only — a restart loses them.
+// ══════════════════════════════════════════════
+
+const crypto = require("crypto");
+const { failure } = require("./errors");
+
+const JOB_TTL = 60 * 60 * 1000; // keep finished jobs for 1 hour
+const CALLBACK_ATTEMPTS = 5;
+const CALLBACK_BASE_DELAY = 2000; // doubled after each failed attempt
+const CALLBACK_TIMEOUT = 15000;
+
+const jobs = new Map();
+
+
+/**
+ * Create a job and start running it in the background.
+ *
+ * The runner receives the job so it can report progress, and should
+ * resolve to the same { success, data | error } shape the scrapers return.
+ *
+ * @param {string} type - e.g. "property", "comparables", "suburb"
+ * @param {object} input - request body, stored for reference
+ * @param {function} runner - async (job) => { success, data, error }
+ * @param {object} [options]
+ * @param {string} [options.callbackUrl] - URL to POST the finished job to
+ */
+function createJob(type, input, runner, options = {}) {
+  pruneJobs();
+
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: "queued",
+    input,
+    progress: { completed: 0, total: null, message: "" },
+    result: null,
+    error: null,
+    error_code: null,  // see utils/errors.js
+    error_details: null,
+    retryable: null,
+    callback: options.callbackUrl
+      ? { url: options.callbackUrl, status: "pending", attempts: 0, last_error: null }
+      : null,
+    created_at: new Date().toISOString(),
+    started_at: null,
+    finished_at: null,
+  };
+
+  job.setProgress = (completed, total, message) => {
+    job.progress = {
+      completed,
+      total: total ?? job.progress.total,
+      message: message || "",
+    };
+  };
+
+  jobs.set(job.id, job);
+
+  // Run on the next tick so the caller can respond with the jobId first
+  setImmediate(() => runJob(job, runner));
+
+  return job;
+}
+
+
+async function runJob(job, runner) {
+  job.status = "running";
+  job.started_at = new Date().toISOString();
+  console.log(`⚙️ Job ${job.id} (${job.type}) started`);
+
+  try {
+    const result = await runner(job);
+    if (result && result.success === false) {
+      failJob(job, result);
+    } else {
+      job.status = "completed";
+      job.result = result;
+      if (job.progress.total) job.progress.completed = job.progress.total;
+    }
+  } catch (err) {
+    failJob(job, failure(err));
+  }
+
+  job.finished_at = new Date().toISOString();
+  console.log(`${job.status === "completed" ? "✅" : "❌"} Job ${job.id} ${job.status}`);
+
+  if (job.callback) {
+    await deliverCallback(job);
+  }
+}
+
+
+function failJob(job, result) {
+  job.status = "failed";
+  job.error = result.error || "Job failed";
+  job.error_code = result.code || "INTERNAL_ERROR";
+  job.retryable = result.retryable ?? false;
+  job.error_details = result.details || null;
+}
+
+
+/**
+ * POST the finished job to its callbackUrl, retrying with
+ * exponential backoff on network errors and non-2xx responses.
+ */
+async function deliverCallback(job) {
+  const body = JSON.stringify(serializeJob(job));
+
+  for (let attempt = 1; attempt <= CALLBACK_ATTEMPTS; attempt++) {
+    job.callback.attempts = attempt;
+    try {
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const response = await fetch(job.callback.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-PropWealth-Job-Id": job.id,
+          "X-PropWealth-Timestamp": timestamp,
+          "X-PropWealth-Signature": signPayload(timestamp, body),
+        },
+        body,
+        signal: AbortSignal.timeout(CALLBACK_TIMEOUT),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Callback returned ${response.status}`);
+      }
+
+      job.callback.status = "delivered";
+      job.callback.last_error = null;
+      console.log(`   📬 Job ${job.id} callback delivered (attempt ${attempt})`);
+      return;
+    } catch (err) {
+      job.callback.last_error = err.message;
+      console.log(`   ⚠️ Job ${job.id} callback attempt ${attempt} failed: ${err.message}`);
+      if (attempt < CALLBACK_ATTEMPTS) {
+        await new Promise((r) => setTimeout(r, CALLBACK_BASE_DELAY * 2 ** (attempt - 1)));
+      }
+    }
+  }
+
+  job.callback.status = "failed";
+}
+
+
+/**
+ * HMAC-SHA256 signature for a callback body.
+ * Receivers recompute this over "{timestamp}.{raw body}" to verify.
+ */
+function signPayload(timestamp, body) {
+  const secret = process.env.WEBHOOK_SECRET;
+  if (!secret) {
+    console.warn("⚠️ WEBHOOK_SECRET not set — sending unsigned callback");
+    return "";
+  }
+  const digest = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `sha256=${digest}`;
+}
+
+
+/**
+ * Public view of a job (no functions, no internal state).
+ */
+function serializeJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    progress: job.progress,
+    result: job.result,
+    error: job.error,
+    error_code: job.error_code,
+    retryable: job.retryable,
+    error_details: job.error_details,
+    callback: job.callback
+      ? { status: job.callback.status, attempts: job.callback.attempts, last_error: job.callback.last_error }
+      : null,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+  };
+}
+
+
+function getJob(id) {
+  const job = jobs.get(id);
+  return job ? serializeJob(job) : null;
+}
+
+
+/**
+ * Drop finished jobs older than JOB_TTL.
+ */
+function pruneJobs() {
+  const cutoff = Date.now() - JOB_TTL;
+  for (const [id, job] of jobs) {
+    if (job.finished_at && new Date(job.finished_at).getTime() < cutoff) {
+      jobs.delete(id);
+    }
+  }
+}
+
+
+module.exports = { createJob, getJob, signPayload };
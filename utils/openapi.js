@@ -0,0 +1,1041 @@
+// ══════════════════════════════════════════════
+// OpenAPI 3.0 document for every route in server.js
+//
+// Served at GET /openapi.json, and the single source of truth for
+// request validation: utils/validate.js builds each route's validator
+// from the requestBody / parameters declared here. Add a route here
+// when you add one to server.js.
+// ══════════════════════════════════════════════
+
+const { version } = require("../package.json");
+const { ERROR_CODES } = require("./errors");
+
+const STATES = ["NSW", "VIC", "QLD", "SA", "WA", "TAS", "ACT", "NT"];
+
+// Case-insensitive match for the state codes (the scrapers upper-case them)
+const STATE_PATTERN = "^(?:" + STATES.map((s) =>
+  s.split("").map((c) => `[${c}${c.toLowerCase()}]`).join("")
+).join("|") + ")$";
+
+const MAX_ADDRESSES = 20;
+const MAX_SUBURBS = 50;
+
+
+// ─── Shared schema fragments ───
+
+const suburbName = { type: "string", minLength: 2, maxLength: 60, description: "Suburb / locality name" };
+const state = { type: "string", pattern: STATE_PATTERN, description: `One of ${STATES.join(", ")}`, "x-pattern-message": `must be one of ${STATES.join(", ")}` };
+const postcode = { type: "string", pattern: "^\\d{4}$", description: "4-digit Australian postcode", "x-pattern-message": "must be a 4-digit postcode" };
+const address = { type: "string", minLength: 5, maxLength: 200, description: "Full street address incl. suburb, state, postcode" };
+
+const propertyType = { type: "string", enum: ["house", "unit"], default: "house" };
+const suburbPropertyType = { type: "string", enum: ["house", "unit", "both"], default: "house" };
+
+const jobOptions = {
+  async: { type: "boolean", description: "Run as a background job and return 202 + jobId" },
+  callbackUrl: { type: "string", format: "uri", pattern: "^https?://", description: "POST the finished job here (HMAC-signed)", "x-pattern-message": "must be an http(s) URL" },
+};
+
+const suburbLocation = {
+  type: "object",
+  required: ["suburb", "state", "postcode"],
+  properties: { suburb: suburbName, state, postcode },
+};
+
+const addressList = {
+  type: "array",
+  minItems: 1,
+  maxItems: MAX_ADDRESSES,
+  items: address,
+};
+
+const mergeSource = { type: "string", enum: ["corelogic", "domain"] };
+
+const versionParams = [
+  { name: "version", in: "query", required: false, schema: { type: "string", enum: ["1", "2"] }, description: "Response schema version (or Accept-Version header)" },
+  { name: "Accept-Version", in: "header", required: false, schema: { type: "string", enum: ["1", "2", "v1", "v2"] } },
+];
+
+
+// ─── Response helpers ───
+
+function ok(description, dataSchema = { type: "object" }) {
+  return {
+    description,
+    content: {
+      "application/json": {
+        schema: {
+          type: "object",
+          required: ["success"],
+          properties: { success: { type: "boolean", enum: [true] }, data: dataSchema },
+        },
+      },
+    },
+  };
+}
+
+const errorResponse = (description) => ({
+  description,
+  content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+});
+
+const jobAccepted = {
+  description: "Queued as a background job (when async or callbackUrl is given)",
+  content: { "application/json": { schema: { $ref: "#/components/schemas/JobAccepted" } } },
+};
+
+// Scrape failures are mapped from their error code (utils/errors.js)
+const standardErrors = {
+  400: errorResponse("Invalid request (VALIDATION_ERROR)"),
+  401: errorResponse("Missing or wrong API key (UNAUTHORIZED)"),
+  404: errorResponse("Address or suburb not found upstream (ADDRESS_NOT_FOUND)"),
+  409: errorResponse("No confident address match; resend with one of details.candidates (AMBIGUOUS_ADDRESS)"),
+  429: errorResponse("Upstream rate limit or browser pool busy (RATE_LIMITED)"),
+  500: errorResponse("Unclassified failure or missing configuration (INTERNAL_ERROR, NOT_CONFIGURED)"),
+  502: errorResponse("Upstream login, page or AI output problem (AUTH_FAILED, SELECTOR_MISSING, UPSTREAM_CHANGED, AI_PARSE_ERROR)"),
+  503: errorResponse("Upstream timed out or unavailable (UPSTREAM_UNAVAILABLE)"),
+};
+
+function jsonBody(schema) {
+  return { required: true, content: { "application/json": { schema } } };
+}
+
+
+const openApiDocument = {
+  openapi: "3.0.3",
+  info: {
+    title: "PropWealth Scraper API",
+    version,
+    description: "Property, suburb and comparable-sales data from CoreLogic, DSR Data, SQM Research and Domain.",
+  },
+  security: [{ ApiKeyHeader: [] }, { BearerAuth: [] }],
+  components: {
+    securitySchemes: {
+      ApiKeyHeader: { type: "apiKey", in: "header", name: "x-api-key" },
+      BearerAuth: { type: "http", scheme: "bearer" },
+    },
+    schemas: {
+      Error: {
+        type: "object",
+        required: ["success", "error"],
+        properties: {
+          success: { type: "boolean", enum: [false] },
+          error: { type: "string", description: "Human-readable message" },
+          code: { type: "string", enum: ERROR_CODES },
+          retryable: { type: "boolean", description: "Worth retrying later with the same input" },
+          source: { type: "string", description: "corelogic, dsr, domain, sqm, claude, browser or server" },
+          details: {
+            description: "VALIDATION_ERROR: [{ field, message }]; AMBIGUOUS_ADDRESS: { requested, candidates: [{ address, score, mismatches }] }; otherwise upstream context",
+            oneOf: [
+              {
+                type: "array",
+                items: {
+                  type: "object",
+                  properties: { field: { type: "string" }, message: { type: "string" } },
+                },
+              },
+              { type: "object" },
+            ],
+          },
+        },
+      },
+      DeepHealth: {
+        type: "object",
+        properties: {
+          status: { type: "string", enum: ["ok", "degraded", "down"] },
+          checked_at: { type: "string", format: "date-time" },
+          duration_ms: { type: "integer" },
+          cached: { type: "boolean" },
+          expires_at: { type: "string", format: "date-time" },
+          sources: {
+            type: "object",
+            additionalProperties: {
+              type: "object",
+              properties: {
+                status: { type: "string", enum: ["ok", "fail", "not_configured"] },
+                latency_ms: { type: "integer" },
+                checked_at: { type: "string", format: "date-time" },
+                last_success: { type: "string", format: "date-time", nullable: true },
+                checks: { type: "object" },
+                error: { type: "string" },
+                code: { type: "string", enum: ERROR_CODES },
+                retryable: { type: "boolean" },
+              },
+            },
+          },
+        },
+      },
+      JobAccepted: {
+        type: "object",
+        properties: {
+          success: { type: "boolean" },
+          jobId: { type: "string", format: "uuid" },
+          status: { type: "string", enum: ["queued"] },
+          statusUrl: { type: "string" },
+        },
+      },
+      Job: {
+        type: "object",
+        properties: {
+          id: { type: "string" },
+          type: { type: "string" },
+          status: { type: "string", enum: ["queued", "running", "completed", "failed"] },
+          progress: {
+            type: "object",
+            properties: { completed: { type: "integer" }, total: { type: "integer", nullable: true }, message: { type: "string" } },
+          },
+          result: { type: "object", nullable: true },
+          error: { type: "string", nullable: true },
+          error_code: { type: "string", enum: ERROR_CODES, nullable: true },
+          retryable: { type: "boolean", nullable: true },
+          error_details: { nullable: true, description: "The failure's details, e.g. AMBIGUOUS_ADDRESS candidates" },
+          callback: { type: "object", nullable: true },
+          created_at: { type: "string", format: "date-time" },
+          started_at: { type: "string", format: "date-time", nullable: true },
+          finished_at: { type: "string", format: "date-time", nullable: true },
+        },
+      },
+      SuburbData: {
+        type: "object",
+        description: "v1: formatted strings. v2: every field is { value, unit, display }.",
+        properties: {
+          city_name: { type: "string" },
+          city_overview: { type: "string" },
+          suburb_overview: { type: "string" },
+          highlights: { type: "array", items: { type: "string" } },
+          future_prospects: { type: "string" },
+          suburb_demographics: { type: "string" },
+          stock_on_market: { type: "string", example: "0.95%" },
+          stock_rating: { type: "string" },
+          days_on_market: { type: "string", example: "36" },
+          dom_rating: { type: "string" },
+          vendor_discounting: { type: "string", example: "-0.56%" },
+          gross_rental_yield: { type: "string", example: "2.41%" },
+          yield_rating: { type: "string" },
+          median_house_price: { type: "string", example: "$1,926,610" },
+          median_unit_price: { type: "string" },
+          typical_value: { type: "string" },
+          renters_percentage: { type: "string" },
+          dsr_score: { type: "string" },
+          auction_clearance_rate: { type: "string" },
+          online_search_interest: { type: "string" },
+          median_rent: { type: "string", example: "$850/w", description: "Domain suburb profile; empty unless Domain was fetched for another field" },
+          number_sold: { type: "string", description: "Domain suburb profile; sales in the last 12 months" },
+          owner_percentage: { type: "string", description: "Domain suburb profile" },
+          vacancy_rate: { type: "string" },
+          vacancy_source: { type: "string" },
+          vacancy_period: { type: "string" },
+          vacancy_rating: { type: "string" },
+          vacancy_trend: { type: "object", nullable: true },
+          data_month: { type: "string" },
+          data_year: { type: "string" },
+          rating_profile: { type: "string" },
+          rating_details: { type: "object" },
+          property_type: { type: "string" },
+          market_stats: { type: "object", description: "DSR stats keyed by property type" },
+          domain_stats: {
+            type: "object",
+            description: "Domain suburb profile, present when Domain was fetched (a field's earlier providers had no value)",
+            properties: {
+              house: { $ref: "#/components/schemas/DomainSuburbStats" },
+              unit: { $ref: "#/components/schemas/DomainSuburbStats" },
+              owner_percentage: { type: "string", example: "72%" },
+              renters_percentage: { type: "string", example: "28%" },
+              url: { type: "string" },
+            },
+          },
+          trends: { type: "object", description: "Present when includeTrends is set" },
+          field_sources: {
+            type: "object",
+            description: "Provider of each numeric field (\"dsr\", \"sqm\", \"domain\"; null when no provider had it; \"domain (4 bed)\" when Domain had no all-bedrooms row and the figure is the busiest bedroom row's). See GET /api/suburb/providers",
+            additionalProperties: { type: "string", nullable: true },
+            example: { median_house_price: "domain (4 bed)", days_on_market: "domain (4 bed)", number_sold: "domain", vacancy_rate: "sqm", dsr_score: null },
+          },
+        },
+      },
+      DomainSuburbStats: {
+        type: "object",
+        description: "The all-bedrooms row, or the busiest bedroom count when Domain has none (number_sold is then the total)",
+        properties: {
+          median_price: { type: "string", example: "$1,650,000" },
+          median_rent: { type: "string", example: "$850/w" },
+          days_on_market: { type: "string", example: "28" },
+          auction_clearance_rate: { type: "string", example: "70%" },
+          number_sold: { type: "string", example: "130" },
+          bedrooms: { nullable: true, example: 4 },
+        },
+      },
+      AddressComponents: {
+        type: "object",
+        nullable: true,
+        description: "Parsed input address (utils/address.js); null when it couldn't be parsed",
+        properties: {
+          unit: { type: "string", nullable: true },
+          lot: { type: "string", nullable: true },
+          street_number: { type: "string", example: "3" },
+          street_name: { type: "string", example: "Parsons" },
+          street_type: { type: "string", nullable: true, example: "Circuit" },
+          street_type_abbr: { type: "string", nullable: true, example: "Cct" },
+          suburb: { type: "string", nullable: true, example: "Kellyville" },
+          state: { type: "string", nullable: true, example: "NSW" },
+          postcode: { type: "string", nullable: true, example: "2155" },
+          valid: { type: "boolean" },
+          warnings: { type: "array", items: { type: "string" } },
+          formatted: { type: "string", example: "3 Parsons Circuit, Kellyville NSW 2155" },
+        },
+      },
+      SaleHistoryEntry: {
+        type: "object",
+        description: "One past sale, newest first (same shape from CoreLogic and Domain)",
+        properties: {
+          price: { type: "number", nullable: true, example: 1250000 },
+          date: { type: "string", nullable: true, example: "12 Mar 2019" },
+          method: { type: "string", example: "Auction" },
+          days_on_market: { type: "integer", nullable: true, description: "CoreLogic only" },
+          agency: { type: "string", nullable: true },
+        },
+      },
+      ListingHistoryEntry: {
+        type: "object",
+        description: "One past for-sale or for-rent campaign, newest first",
+        properties: {
+          type: { type: "string", enum: ["sale", "rent"] },
+          advertised_price: { type: "string", nullable: true, example: "$650 per week" },
+          price: { type: "number", nullable: true, description: "Lower bound of the advertised price" },
+          price_period: { type: "string", nullable: true, enum: ["week", null] },
+          date: { type: "string", nullable: true, description: "First listed" },
+          end_date: { type: "string", nullable: true, description: "Last listed / leased" },
+          days_on_market: { type: "integer", nullable: true },
+          agency: { type: "string", nullable: true },
+          agent: { type: "string", nullable: true },
+        },
+      },
+      ComparableDiscovery: {
+        type: "object",
+        properties: {
+          subject: {
+            type: "object",
+            properties: {
+              address: { type: "string" },
+              bedrooms: { type: "integer", nullable: true },
+              bathrooms: { type: "integer", nullable: true },
+              car_spaces: { type: "integer", nullable: true },
+              land_size: { type: "number", nullable: true, description: "m²" },
+              property_type: { type: "string", nullable: true },
+              latitude: { type: "number", nullable: true },
+              longitude: { type: "number", nullable: true },
+            },
+          },
+          filters: { type: "object", description: "Filters after defaults were applied" },
+          candidates: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                rank: { type: "integer" },
+                score: { type: "number", description: "Similarity to the subject, 0–100" },
+                match: { type: "object", description: "Per-attribute similarity, 0–1" },
+                address: { type: "string" },
+                sources: { type: "array", items: { type: "string", enum: ["corelogic", "domain"] } },
+                sold_price: { type: "number", nullable: true },
+                sold_date: { type: "string", nullable: true, example: "2026-08-12" },
+                sold_method: { type: "string", nullable: true },
+                bedrooms: { type: "integer", nullable: true },
+                bathrooms: { type: "integer", nullable: true },
+                car_spaces: { type: "integer", nullable: true },
+                land_size: { type: "number", nullable: true, description: "m²" },
+                property_type: { type: "string", nullable: true },
+                distance_km: { type: "number", nullable: true },
+                url: { type: "string", nullable: true },
+              },
+            },
+          },
+          total_found: { type: "integer" },
+          excluded: { type: "object", description: "Candidates dropped per filter, e.g. { distance: 4 }" },
+          errors: { type: "array", items: { type: "object" }, description: "Sources that failed (the rest still ranked)" },
+        },
+      },
+      RentalComparables: {
+        type: "object",
+        properties: {
+          subject: { type: "object", description: "As in ComparableDiscovery, from the Domain property profile" },
+          filters: { type: "object", description: "Filters after defaults were applied" },
+          rentals: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                rank: { type: "integer" },
+                address: { type: "string" },
+                status: { type: "string", enum: ["leased", "listed"] },
+                weekly_rent: { type: "number", description: "$/week (monthly and annual rents converted)" },
+                rent: { type: "string", nullable: true, example: "$850 per week", description: "As advertised" },
+                lease_date: { type: "string", nullable: true, example: "2026-08-12", description: "Only when Domain shows one" },
+                bedrooms: { type: "integer", nullable: true },
+                bathrooms: { type: "integer", nullable: true },
+                car_spaces: { type: "integer", nullable: true },
+                land_size: { type: "number", nullable: true, description: "m²" },
+                property_type: { type: "string", nullable: true },
+                distance_km: { type: "number", nullable: true },
+                url: { type: "string", nullable: true },
+              },
+            },
+          },
+          summary: {
+            type: "object",
+            nullable: true,
+            description: "Weekly rent across the returned rentals; null when none were kept",
+            properties: {
+              count: { type: "integer" },
+              leased: { type: "integer" },
+              listed: { type: "integer" },
+              median: { type: "number" },
+              low: { type: "number", description: "25th percentile" },
+              high: { type: "number", description: "75th percentile" },
+              min: { type: "number" },
+              max: { type: "number" },
+              corelogic: {
+                type: "object",
+                description: "Present when corelogicEstimate was given",
+                properties: {
+                  low: { type: "number", nullable: true },
+                  mid: { type: "number" },
+                  high: { type: "number", nullable: true },
+                  difference: { type: "number", description: "CoreLogic mid − median, $/week" },
+                  difference_percent: { type: "number" },
+                  within_range: { type: "boolean", description: "CoreLogic mid within the 25th–75th percentile range" },
+                },
+              },
+            },
+          },
+          total_found: { type: "integer" },
+          excluded: { type: "object", description: "Rentals dropped per filter, e.g. { distance: 4, no_rent: 2 }" },
+          errors: { type: "array", items: { type: "object" }, description: "Subject lookup failures (rentals still returned)" },
+        },
+      },
+      Valuation: {
+        type: "object",
+        properties: {
+          subject: { type: "object" },
+          adjustments: { type: "object", description: "Rates used (defaults + overrides)" },
+          valuation: {
+            type: "object",
+            properties: {
+              low: { type: "number" },
+              mid: { type: "number" },
+              high: { type: "number" },
+              median_adjusted: { type: "number" },
+              price_per_sqm: { type: "number", nullable: true, description: "Weighted adjusted $/m² of the subject's land" },
+              land_size: { type: "number", nullable: true },
+              comparables_used: { type: "integer" },
+              spread_percent: { type: "number", description: "Weighted std dev / mean" },
+              confidence: { type: "string", enum: ["high", "medium", "low"] },
+            },
+          },
+          comparables: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                rank: { type: "integer" },
+                address: { type: "string", nullable: true },
+                sold_price: { type: "number" },
+                sold_date: { type: "string", nullable: true },
+                price_per_sqm: { type: "number", nullable: true },
+                adjustments: {
+                  type: "array",
+                  items: {
+                    type: "object",
+                    properties: {
+                      attribute: { type: "string", enum: ["time", "land_size", "bedrooms", "bathrooms", "car_spaces"] },
+                      subject: {},
+                      comparable: {},
+                      difference: { type: "number" },
+                      amount: { type: "number" },
+                    },
+                  },
+                },
+                net_adjustment: { type: "number" },
+                gross_adjustment_percent: { type: "number" },
+                adjusted_price: { type: "number" },
+                adjusted_price_per_sqm: { type: "number", nullable: true },
+                similarity: { type: "number", description: "0–100, before adjustment" },
+                similarity_breakdown: { type: "object" },
+                weight: { type: "number" },
+                explanation: { type: "array", items: { type: "string" }, example: ["Sold $1,500,000 on 12 Aug 2025", "-$20,000 land (subject 650 m² vs 700 m²)", "= $1,480,000 (net -$20,000, gross 1.3% of sale price)"] },
+              },
+            },
+          },
+          skipped: { type: "array", items: { type: "object", properties: { address: { type: "string", nullable: true }, reason: { type: "string" } } } },
+        },
+      },
+      MergedComparable: {
+        type: "object",
+        properties: {
+          address: { type: "string" },
+          success: { type: "boolean" },
+          bedrooms: { type: "integer", nullable: true },
+          bathrooms: { type: "integer", nullable: true },
+          car_spaces: { type: "integer", nullable: true },
+          land_size: { type: "number", nullable: true, description: "m²" },
+          property_type: { type: "string", nullable: true },
+          sold_price: { type: "number", nullable: true },
+          sold_date: { type: "string", nullable: true, description: "ISO date" },
+          sold_method: { type: "string", nullable: true },
+          sale_history: { type: "array", items: { $ref: "#/components/schemas/SaleHistoryEntry" } },
+          provenance: {
+            type: "object",
+            description: "Field → source that supplied it (null when neither had it)",
+            additionalProperties: { type: "string", nullable: true, enum: ["corelogic", "domain", null] },
+          },
+          conflicts: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                field: { type: "string" },
+                values: { type: "object", description: "Normalised value per source" },
+                raw: { type: "object", description: "Value as each source returned it" },
+                chosen: { type: "string" },
+                difference: { type: "number", nullable: true },
+                tolerance: { type: "number", nullable: true },
+              },
+            },
+          },
+          fallback: { type: "string", nullable: true, description: "The only source that returned data, when the other failed" },
+          sources: { type: "object", description: "Per-source { success, error?, code? }" },
+        },
+      },
+      Listing: {
+        type: "object",
+        properties: {
+          url: { type: "string" },
+          listing_id: { type: "string", nullable: true },
+          address: { type: "string", nullable: true },
+          status: { type: "string", nullable: true },
+          price_guide: { type: "string", nullable: true, example: "$1.4m - $1.5m" },
+          listed_date: { type: "string", nullable: true },
+          days_listed: { type: "integer", nullable: true },
+          sale_method: { type: "string", example: "Auction" },
+          auction_date: { type: "string", nullable: true },
+          inspections: { type: "array", items: { type: "object", properties: { start: { type: "string" }, end: { type: "string", nullable: true } } } },
+          agents: { type: "array", items: { type: "object", properties: { name: { type: "string" }, phone: { type: "string", nullable: true }, email: { type: "string", nullable: true } } } },
+          agency: { type: "object", nullable: true, properties: { name: { type: "string" }, address: { type: "string", nullable: true } } },
+          features: {
+            type: "object",
+            properties: {
+              bedrooms: {}, bathrooms: {}, car_spaces: {}, land_size: {},
+              property_type: { type: "string", nullable: true },
+              features: { type: "array", items: { type: "string" } },
+            },
+          },
+          headline: { type: "string", nullable: true },
+          description: { type: "string", nullable: true },
+        },
+      },
+      PropertyData: {
+        type: "object",
+        properties: {
+          matched_address: { type: "string", description: "CoreLogic suggestion that was followed", example: "3 Parsons Cct Kellyville NSW 2155" },
+          address_components: { $ref: "#/components/schemas/AddressComponents" },
+          bedrooms: { type: "string" },
+          bathrooms: { type: "string" },
+          car_spaces: { type: "string" },
+          land_size: { type: "string", example: "650 m²" },
+          floor_area: { type: "string" },
+          year_built: { type: "string" },
+          property_type: { type: "string" },
+          listing_description: { type: "string" },
+          sold_price: { type: "string" },
+          sold_date: { type: "string" },
+          schools: { type: "array", items: { type: "object" } },
+          valuation_estimate: { type: "string" },
+          rental_low: { type: "string" },
+          rental_mid: { type: "string" },
+          rental_high: { type: "string" },
+          rental_yield: { type: "string" },
+          market_status: { type: "string", enum: ["ON Market", "OFF Market"] },
+          sale_history: { type: "array", items: { $ref: "#/components/schemas/SaleHistoryEntry" } },
+          listing_history: { type: "array", items: { $ref: "#/components/schemas/ListingHistoryEntry" } },
+          listing: {
+            nullable: true,
+            description: "includeListing only: live Domain listing, or null when not listed",
+            allOf: [{ $ref: "#/components/schemas/Listing" }],
+          },
+        },
+      },
+      Comparable: {
+        type: "object",
+        properties: {
+          success: { type: "boolean" },
+          address: { type: "string" },
+          address_components: { $ref: "#/components/schemas/AddressComponents" },
+          matched_address: { type: "string", description: "CoreLogic only: suggestion that was followed" },
+          error: { type: "string" },
+          code: { type: "string" },
+          details: { type: "object", description: "AMBIGUOUS_ADDRESS: { requested, candidates: [{ address, score, mismatches }] }" },
+          bedrooms: {},
+          bathrooms: {},
+          car_spaces: {},
+          land_size: {},
+          sold_price: { type: "string" },
+          sold_date: { type: "string" },
+          sale_history: { type: "array", description: "Domain only", items: { $ref: "#/components/schemas/SaleHistoryEntry" } },
+        },
+      },
+    },
+  },
+
+  paths: {
+    "/health": {
+      get: {
+        summary: "Liveness check",
+        responses: { 200: { description: "Service is up" } },
+      },
+    },
+
+    "/health/deep": {
+      get: {
+        summary: "Check every upstream source against a canary (cached)",
+        parameters: [
+          { name: "refresh", in: "query", required: false, schema: { type: "string", enum: ["true", "false"] }, description: "Re-run now (at most once a minute)" },
+        ],
+        responses: {
+          200: ok("All sources healthy", { $ref: "#/components/schemas/DeepHealth" }),
+          503: {
+            description: "One or more sources failing or not configured",
+            content: { "application/json": { schema: { type: "object", properties: { success: { type: "boolean" }, data: { $ref: "#/components/schemas/DeepHealth" } } } } },
+          },
+        },
+      },
+    },
+
+    "/openapi.json": {
+      get: {
+        summary: "This document",
+        responses: {
+          200: { description: "OpenAPI 3.0 document" },
+          401: errorResponse("Missing or wrong API key"),
+        },
+      },
+    },
+
+    "/api/browser/stats": {
+      get: {
+        summary: "Browser context pool usage and queue depth",
+        responses: { 200: ok("Pool stats") },
+      },
+    },
+
+    "/api/jobs/{id}": {
+      get: {
+        summary: "Status, progress and result of a background job",
+        parameters: [{ name: "id", in: "path", required: true, schema: { type: "string", minLength: 1 } }],
+        responses: {
+          200: ok("Job", { $ref: "#/components/schemas/Job" }),
+          404: errorResponse("Unknown or expired job (NOT_FOUND)"),
+        },
+      },
+    },
+
+    "/api/suburb": {
+      post: {
+        summary: "Suburb report data: numbers from the provider registry (DSR, SQM, Domain) and AI text",
+        parameters: versionParams,
+        requestBody: jsonBody({
+          type: "object",
+          required: ["suburb", "state", "postcode"],
+          properties: {
+            suburb: suburbName,
+            state,
+            postcode,
+            propertyType: suburbPropertyType,
+            skipAiText: { type: "boolean" },
+            refresh: { type: "boolean", description: "Bypass the suburb cache" },
+            includeTrends: { type: "boolean" },
+            ratingProfile: { type: "string" },
+            ...jobOptions,
+          },
+        }),
+        responses: {
+          200: ok("Suburb data", { $ref: "#/components/schemas/SuburbData" }),
+          202: jobAccepted,
+          ...standardErrors,
+        },
+      },
+    },
+
+    "/api/suburbs/batch": {
+      post: {
+        summary: "Run /api/suburb for many suburbs in one call",
+        parameters: versionParams,
+        requestBody: jsonBody({
+          type: "object",
+          required: ["suburbs"],
+          properties: {
+            suburbs: {
+              type: "array",
+              minItems: 1,
+              maxItems: MAX_SUBURBS,
+              items: {
+                ...suburbLocation,
+                properties: {
+                  ...suburbLocation.properties,
+                  propertyType: suburbPropertyType,
+                  skipAiText: { type: "boolean" },
+                  refresh: { type: "boolean" },
+                  ratingProfile: { type: "string" },
+                },
+              },
+            },
+            concurrency: { type: "integer", minimum: 1, maximum: 5, default: 3 },
+            propertyType: suburbPropertyType,
+            skipAiText: { type: "boolean" },
+            refresh: { type: "boolean" },
+            ratingProfile: { type: "string" },
+            ...jobOptions,
+          },
+        }),
+        responses: {
+          200: ok("Per-suburb results", { type: "array", items: { type: "object" } }),
+          202: jobAccepted,
+          ...standardErrors,
+        },
+      },
+    },
+
+    "/api/suburbs/rank/profiles": {
+      get: {
+        summary: "Built-in ranking weight profiles",
+        responses: { 200: ok("Profiles") },
+      },
+    },
+
+    "/api/suburbs/rank": {
+      post: {
+        summary: "Rank suburbs by a weighted composite of DSR metrics",
+        requestBody: jsonBody({
+          type: "object",
+          required: ["suburbs"],
+          properties: {
+            suburbs: {
+              type: "array",
+              minItems: 2,
+              maxItems: MAX_SUBURBS,
+              items: {
+                type: "object",
+                required: ["suburb"],
+                properties: {
+                  suburb: suburbName,
+                  state,
+                  postcode,
+                  metrics: { type: "object", additionalProperties: { type: "number" } },
+                },
+                anyOf: [{ required: ["metrics"] }, { required: ["state", "postcode"] }],
+              },
+            },
+            profile: { type: "string", enum: ["growth", "yield", "balanced"], default: "balanced" },
+            weights: { type: "object", additionalProperties: { type: "number", minimum: 0 } },
+            propertyType,
+            refresh: { type: "boolean" },
+          },
+        }),
+        responses: { 200: ok("Ranked suburbs"), ...standardErrors },
+      },
+    },
+
+    "/api/suburb/history": {
+      post: {
+        summary: "Monthly DSR metrics with 3/6/12-month trends",
+        requestBody: jsonBody({
+          type: "object",
+          required: ["suburb", "state", "postcode"],
+          properties: {
+            suburb: suburbName,
+            state,
+            postcode,
+            propertyType,
+            months: { type: "integer", minimum: 1, maximum: 24, default: 12 },
+          },
+        }),
+        responses: { 200: ok("Series and trends"), ...standardErrors },
+      },
+    },
+
+    "/api/suburb/providers": {
+      get: {
+        summary: "Suburb data providers (fields, cost, reliability) and the priority chain per field",
+        responses: { 200: ok("Providers and priorities") },
+      },
+    },
+
+    "/api/rating-profiles": {
+      get: {
+        summary: "Configured rating threshold profiles",
+        responses: { 200: ok("Profiles") },
+      },
+    },
+
+    "/api/cache/suburbs": {
+      get: {
+        summary: "Suburb cache statistics",
+        responses: { 200: ok("Cache stats") },
+      },
+      delete: {
+        summary: "Purge suburb cache entries",
+        parameters: [
+          { name: "suburb", in: "query", required: false, schema: suburbName },
+          { name: "state", in: "query", required: false, schema: state },
+          { name: "postcode", in: "query", required: false, schema: postcode },
+          { name: "source", in: "query", required: false, schema: { type: "string", enum: ["dsr", "dsr_history", "sqm", "domain", "ai"] } },
+          { name: "all", in: "query", required: false, schema: { type: "string", enum: ["true"] } },
+        ],
+        responses: { 200: ok("Entries removed"), 400: errorResponse("No filter given") },
+      },
+    },
+
+    "/api/property": {
+      post: {
+        summary: "CoreLogic property data for one address",
+        parameters: versionParams,
+        requestBody: jsonBody({
+          type: "object",
+          required: ["address"],
+          properties: {
+            address,
+            includeListing: { type: "boolean", description: "Also fetch the live Domain for-sale listing (sets market_status from it)" },
+            ...jobOptions,
+          },
+        }),
+        responses: {
+          200: ok("Property data", { $ref: "#/components/schemas/PropertyData" }),
+          202: jobAccepted,
+          ...standardErrors,
+        },
+      },
+    },
+
+    "/api/property/listing": {
+      post: {
+        summary: "Current Domain for-sale listing for an address or listing URL",
+        parameters: versionParams,
+        requestBody: jsonBody({
+          type: "object",
+          properties: {
+            address,
+            url: {
+              type: "string",
+              pattern: "^https?://(www\\.)?domain\\.com\\.au/",
+              description: "Domain listing URL (skips the address lookup)",
+              "x-pattern-message": "must be a domain.com.au URL",
+            },
+            ...jobOptions,
+          },
+          anyOf: [{ required: ["address"] }, { required: ["url"] }],
+        }),
+        responses: {
+          200: ok("Listing", { $ref: "#/components/schemas/Listing" }),
+          202: jobAccepted,
+          ...standardErrors,
+          404: errorResponse("Not currently listed for sale, or unknown address (ADDRESS_NOT_FOUND)"),
+        },
+      },
+    },
+
+    "/api/property/comparables/discover": {
+      post: {
+        summary: "Find and rank recent nearby sales for a subject property (CoreLogic + Domain)",
+        parameters: versionParams,
+        requestBody: jsonBody({
+          type: "object",
+          required: ["address"],
+          properties: {
+            address,
+            months: { type: "integer", minimum: 1, maximum: 36, default: 6, description: "Sold within this many months" },
+            radiusKm: { type: "number", minimum: 0.1, maximum: 50, default: 2 },
+            bedrooms: {
+              type: "object",
+              description: "Defaults to the subject's bedrooms ± 1",
+              properties: { min: { type: "integer", minimum: 0, maximum: 20 }, max: { type: "integer", minimum: 0, maximum: 20 } },
+            },
+            landSizeTolerance: { type: "number", minimum: 0, maximum: 500, default: 25, description: "± % of the subject's land size" },
+            propertyType: { type: "string", enum: ["house", "unit", "townhouse", "any"], description: "Defaults to the subject's type" },
+            limit: { type: "integer", minimum: 1, maximum: 50, default: 10 },
+            sources: { type: "array", minItems: 1, items: { type: "string", enum: ["corelogic", "domain"] } },
+            ...jobOptions,
+          },
+        }),
+        responses: {
+          200: ok("Subject, resolved filters and ranked candidates", { $ref: "#/components/schemas/ComparableDiscovery" }),
+          202: jobAccepted,
+          ...standardErrors,
+        },
+      },
+    },
+
+    "/api/property/rental-comparables": {
+      post: {
+        summary: "Recently leased and listed rentals near a subject property (Domain), with a weekly rent median and range",
+        parameters: versionParams,
+        requestBody: jsonBody({
+          type: "object",
+          required: ["address"],
+          properties: {
+            address,
+            bedrooms: {
+              type: "object",
+              description: "Defaults to the subject's bedrooms",
+              properties: { min: { type: "integer", minimum: 0, maximum: 20 }, max: { type: "integer", minimum: 0, maximum: 20 } },
+            },
+            propertyType: { type: "string", enum: ["house", "unit", "townhouse", "any"], description: "Defaults to the subject's type" },
+            radiusKm: { type: "number", minimum: 0.1, maximum: 50, default: 3 },
+            months: { type: "integer", minimum: 1, maximum: 36, default: 6, description: "Leased within this many months (when Domain shows a date)" },
+            limit: { type: "integer", minimum: 1, maximum: 50, default: 20 },
+            corelogicEstimate: {
+              type: "object",
+              description: "CoreLogic rental AVM to compare against, e.g. /api/property's rental_low / rental_mid / rental_high",
+              required: ["mid"],
+              properties: {
+                low: { description: "\"$800/W\" or a number" },
+                mid: { description: "\"$850/W\" or a number" },
+                high: { description: "\"$900/W\" or a number" },
+              },
+            },
+            ...jobOptions,
+          },
+        }),
+        responses: {
+          200: ok("Subject, resolved filters, rentals and rent summary", { $ref: "#/components/schemas/RentalComparables" }),
+          202: jobAccepted,
+          ...standardErrors,
+        },
+      },
+    },
+
+    "/api/property/valuation/adjustments": {
+      get: {
+        summary: "Default valuation adjustment rates",
+        responses: { 200: ok("Adjustment name → default value") },
+      },
+    },
+
+    "/api/property/valuation": {
+      post: {
+        summary: "Adjust comparables to the subject and return an indicative value range",
+        parameters: versionParams,
+        requestBody: jsonBody({
+          type: "object",
+          required: ["subject", "comparables"],
+          properties: {
+            subject: {
+              type: "object",
+              properties: {
+                address: { type: "string", maxLength: 200 },
+                land_size: { description: "m² — number or text like \"650 m²\"" },
+                bedrooms: {},
+                bathrooms: {},
+                car_spaces: {},
+              },
+            },
+            comparables: {
+              type: "array",
+              minItems: 1,
+              maxItems: 50,
+              description: "Results from /api/comparables, /api/domain-comparables or discovery candidates",
+              items: {
+                type: "object",
+                properties: {
+                  address: { type: "string" },
+                  sold_price: { description: "Number or text like \"$1,250,000\"" },
+                  sold_date: { type: "string", nullable: true },
+                  land_size: {},
+                  bedrooms: {},
+                  bathrooms: {},
+                  car_spaces: {},
+                },
+              },
+            },
+            adjustments: {
+              type: "object",
+              description: "Overrides for the defaults (GET /api/property/valuation/adjustments)",
+              additionalProperties: { type: "number", minimum: 0 },
+            },
+            valuationDate: { type: "string", pattern: "^\\d{4}-\\d{2}-\\d{2}$", "x-pattern-message": "must be a YYYY-MM-DD date" },
+          },
+        }),
+        responses: {
+          200: ok("Adjusted comparables and value range", { $ref: "#/components/schemas/Valuation" }),
+          400: errorResponse("Invalid request, unknown adjustment or no usable comparables (VALIDATION_ERROR)"),
+          401: errorResponse("Missing or wrong API key (UNAUTHORIZED)"),
+        },
+      },
+    },
+
+    "/api/domain-comparables": {
+      post: {
+        summary: "Domain sold data for comparable addresses",
+        parameters: versionParams,
+        requestBody: jsonBody({
+          type: "object",
+          required: ["addresses"],
+          properties: { addresses: addressList, ...jobOptions },
+        }),
+        responses: {
+          200: ok("Per-address results", { type: "array", items: { $ref: "#/components/schemas/Comparable" } }),
+          202: jobAccepted,
+          ...standardErrors,
+        },
+      },
+    },
+
+    "/api/comparables/merged": {
+      post: {
+        summary: "CoreLogic + Domain data for comparable addresses, merged per field with provenance and conflicts",
+        parameters: versionParams,
+        requestBody: jsonBody({
+          type: "object",
+          required: ["addresses"],
+          properties: {
+            addresses: addressList,
+            priorities: {
+              type: "object",
+              description: "Source order per field (or `default`); sources left out are the last fallback",
+              additionalProperties: { type: "array", minItems: 1, items: mergeSource },
+            },
+            tolerances: {
+              type: "object",
+              description: "Conflict tolerance per field: counts in units, land_size / sold_price in %, sold_date in days",
+              additionalProperties: { type: "number", minimum: 0 },
+            },
+            ...jobOptions,
+          },
+        }),
+        responses: {
+          200: ok("Per-address merged results", { type: "array", items: { $ref: "#/components/schemas/MergedComparable" } }),
+          202: jobAccepted,
+          ...standardErrors,
+        },
+      },
+    },
+
+    "/api/comparables": {
+      post: {
+        summary: "CoreLogic sold data for comparable addresses",
+        parameters: versionParams,
+        requestBody: jsonBody({
+          type: "object",
+          required: ["addresses"],
+          properties: { addresses: addressList, ...jobOptions },
+        }),
+        responses: {
+          200: ok("Per-address results", { type: "array", items: { $ref: "#/components/schemas/Comparable" } }),
+          202: jobAccepted,
+          ...standardErrors,
+        },
+      },
+    },
+  },
+};
+
+
+module.exports = { openApiDocument, STATES };
@@ -0,0 +1,135 @@
+// ══════════════════════════════════════════════
+// Rating Profiles — thresholds for stock / DOM / vacancy / yield ratings
+//
+// Thresholds live in config/rating-profiles.json (or RATING_PROFILES_FILE)
+// so regional markets and units can be rated against their own norms.
+//
+// Profile selection, first match wins:
+//   1. explicit profile name (per-request override)
+//   2. first profile whose `match` fits { states, region, propertyType }
+//   3. the configured default
+//
+// region is "metro" or "regional", from the metro_postcodes ranges.
+//
+// Each band list is checked in order; a band matches when the value
+// is ≤ max and/or ≥ min. The last band normally has neither (catch-all).
+// ══════════════════════════════════════════════
+
+const fs = require("fs");
+const path = require("path");
+
+const PROFILES_FILE = process.env.RATING_PROFILES_FILE || path.join(__dirname, "..", "config", "rating-profiles.json");
+
+let config = null;
+
+
+function loadConfig() {
+  if (config) return config;
+
+  const parsed = JSON.parse(fs.readFileSync(PROFILES_FILE, "utf8"));
+  if (!Array.isArray(parsed.profiles) || parsed.profiles.length === 0) {
+    throw new Error(`${PROFILES_FILE}: "profiles" must be a non-empty array`);
+  }
+  if (!parsed.profiles.some((p) => p.name === parsed.default)) {
+    throw new Error(`${PROFILES_FILE}: default profile "${parsed.default}" is not defined`);
+  }
+
+  config = parsed;
+  return config;
+}
+
+
+/**
+ * "metro" if the postcode falls in one of the state's capital-city ranges.
+ */
+function classifyRegion(state, postcode) {
+  const ranges = loadConfig().metro_postcodes?.[String(state || "").toUpperCase()] || [];
+  const pc = parseInt(postcode, 10);
+  if (isNaN(pc)) return "metro";
+  return ranges.some(([lo, hi]) => pc >= lo && pc <= hi) ? "metro" : "regional";
+}
+
+
+/**
+ * Pick the rating profile for a location.
+ *
+ * @param {object} ctx - { state, postcode, propertyType, profile? }
+ * @returns {object} profile from config
+ */
+function selectProfile({ state, postcode, propertyType = "house", profile } = {}) {
+  const { profiles } = loadConfig();
+
+  if (profile) {
+    const named = profiles.find((p) => p.name === profile);
+    if (!named) {
+      throw new Error(`Unknown rating profile "${profile}". Available: ${profiles.map((p) => p.name).join(", ")}`);
+    }
+    return named;
+  }
+
+  const region = classifyRegion(state, postcode);
+  const st = String(state || "").toUpperCase();
+
+  const matched = profiles.find(({ match = {} }) =>
+    (!match.states || match.states.includes(st)) &&
+    (!match.region || match.region === region) &&
+    (!match.propertyType || match.propertyType === propertyType)
+  );
+
+  return matched || profiles.find((p) => p.name === config.default);
+}
+
+
+function describeBand(band) {
+  if (band.min !== undefined && band.max !== undefined) return `${band.min}–${band.max}`;
+  if (band.max !== undefined) return `≤ ${band.max}`;
+  if (band.min !== undefined) return `≥ ${band.min}`;
+  return "otherwise";
+}
+
+
+/**
+ * Rate numeric metrics against the selected profile.
+ *
+ * @param {object} metrics - { stock_on_market, days_on_market, vacancy_rate, gross_rental_yield, ... }
+ * @param {object} ctx - { state, postcode, propertyType, profile? }
+ * @returns {{ profile: string, region: string, ratings: object, details: object }}
+ *   ratings: { stock_rating: "Low", ... }
+ *   details: { stock_rating: { label, profile, metric, value, threshold } }
+ */
+function rateMetrics(metrics, ctx = {}) {
+  const profile = selectProfile(ctx);
+  const ratings = {};
+  const details = {};
+
+  for (const [ratingName, rule] of Object.entries(profile.ratings)) {
+    const value = metrics?.[rule.metric];
+    if (typeof value !== "number" || isNaN(value)) {
+      ratings[ratingName] = "";
+      continue;
+    }
+
+    const band = rule.bands.find((b) =>
+      (b.max === undefined || value <= b.max) && (b.min === undefined || value >= b.min)
+    );
+    ratings[ratingName] = band ? band.label : "";
+    details[ratingName] = {
+      label: ratings[ratingName],
+      profile: profile.name,
+      metric: rule.metric,
+      value,
+      threshold: band ? describeBand(band) : null,
+    };
+  }
+
+  return { profile: profile.name, region: classifyRegion(ctx.state, ctx.postcode), ratings, details };
+}
+
+
+function listRatingProfiles() {
+  const { profiles, default: def } = loadConfig();
+  return { default: def, profiles };
+}
+
+
+module.exports = { rateMetrics, selectProfile, classifyRegion, listRatingProfiles };
@@ -0,0 +1,219 @@
+// ══════════════════════════════════════════════
+// Rental comparables — leased and listed rentals near a subject
+//
+// Rent evidence alongside the CoreLogic rental AVM (rental_low/mid/high):
+//   subject   Domain property profile (attributes, lat/lng)
+//   rentals   Domain rental search for its suburb + surrounds, both
+//             recently leased (deposit taken) and currently listed
+// Filtered, sorted nearest first, and summarised as a median and an
+// interquartile range of weekly rent. When the caller passes the
+// CoreLogic estimate, the summary says how it compares.
+//
+// Filters (defaults in brackets):
+//   bedrooms       { min, max } [subject's bedrooms]
+//   propertyType   house / unit / townhouse / any [subject's type]
+//   radiusKm       distance from the subject [3]
+//   months         leased within N months, when Domain gives a date [6]
+//   limit          [20]
+// As in comparable discovery, a rental missing an attribute is kept —
+// except distance, where it must at least be in the subject's suburb
+// (a rental with neither coordinates nor a suburb is dropped).
+// ══════════════════════════════════════════════
+
+const { scrapeDomainComparables } = require("./domain-comparables");
+const { scrapeDomainRentals } = require("./domain-rentals");
+const { parseAddress } = require("./address");
+const { parseNumber, parseDate } = require("./response-v2");
+const {
+  toCount, toSquareMetres, toPropertyType, haversineKm, monthsSince, addressKey, round,
+  resolvePropertyType, attributeExclusion,
+} = require("./comparables");
+
+const DEFAULTS = { radiusKm: 3, months: 6, limit: 20 };
+
+
+/**
+ * Value at fraction p (0–1) of a sorted list, interpolated.
+ */
+function percentile(sorted, p) {
+  const idx = (sorted.length - 1) * p;
+  const lo = Math.floor(idx);
+  const hi = Math.ceil(idx);
+  return Math.round(sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo));
+}
+
+
+function resolveFilters(filters, subject) {
+  let bedrooms = null;
+  if (filters.bedrooms) {
+    bedrooms = { min: filters.bedrooms.min ?? null, max: filters.bedrooms.max ?? null };
+  } else if (subject.bedrooms !== null) {
+    bedrooms = { min: subject.bedrooms, max: subject.bedrooms };
+  }
+
+  return {
+    bedrooms,
+    propertyType: resolvePropertyType(filters, subject),
+    radiusKm: filters.radiusKm ?? DEFAULTS.radiusKm,
+    months: filters.months ?? DEFAULTS.months,
+    limit: filters.limit ?? DEFAULTS.limit,
+  };
+}
+
+
+function toRental(raw, subject) {
+  const leaseDate = parseDate(raw.lease_date);
+  return {
+    address: raw.address,
+    status: raw.status,
+    weekly_rent: raw.weekly_rent,
+    rent: raw.rent || null,
+    lease_date: leaseDate ? leaseDate.iso : null,
+    bedrooms: toCount(raw.bedrooms),
+    bathrooms: toCount(raw.bathrooms),
+    car_spaces: toCount(raw.car_spaces),
+    land_size: toSquareMetres(raw.land_size),
+    property_type: toPropertyType(raw.property_type),
+    distance_km: round(haversineKm(subject, raw)),
+    suburb: parseAddress(raw.address)?.suburb || null,
+    url: raw.url || null,
+  };
+}
+
+
+function exclusionReason(r, filters, subject, subjectKey) {
+  if (addressKey(r.address) === subjectKey) return "subject";
+  if (!r.weekly_rent) return "no_rent";
+  const reason = attributeExclusion(r, filters, subject);
+  if (reason) return reason;
+  if (r.lease_date && monthsSince(r.lease_date) > filters.months) return "lease_date";
+  return null;
+}
+
+
+/**
+ * Median and interquartile range of weekly rent, plus how the
+ * CoreLogic estimate sits against it.
+ *
+ * @param {object[]} rentals - kept rentals
+ * @param {object} [estimate] - CoreLogic { low, mid, high } ("$850/W" or numbers)
+ */
+function summariseRents(rentals, estimate) {
+  const rents = rentals.map((r) => r.weekly_rent).sort((a, b) => a - b);
+  if (rents.length === 0) return null;
+
+  const summary = {
+    count: rents.length,
+    leased: rentals.filter((r) => r.status === "leased").length,
+    listed: rentals.filter((r) => r.status === "listed").length,
+    median: percentile(rents, 0.5),
+    low: percentile(rents, 0.25),
+    high: percentile(rents, 0.75),
+    min: rents[0],
+    max: rents[rents.length - 1],
+  };
+
+  const mid = estimate ? parseNumber(estimate.mid) : null;
+  if (mid) {
+    const low = parseNumber(estimate.low);
+    const high = parseNumber(estimate.high);
+    const difference = mid - summary.median;
+    summary.corelogic = {
+      low,
+      mid,
+      high,
+      difference,
+      difference_percent: round((difference / summary.median) * 100, 1),
+      within_range: mid >= summary.low && mid <= summary.high,
+    };
+  }
+
+  return summary;
+}
+
+
+/**
+ * Leased and listed rentals near a subject, with a weekly rent summary.
+ *
+ * @param {string} address - subject address incl. suburb, state and postcode
+ * @param {object} [filters] - see header
+ * @param {object} [options]
+ * @param {object} [options.corelogicEstimate] - { low, mid, high } from /api/property's rental_*
+ * @param {function} [options.onProgress] - (completed, total, step)
+ * @returns {object} { success, data: { subject, filters, rentals, summary, total_found, excluded, errors } }
+ */
+async function findRentalComparables(address, filters = {}, options = {}) {
+  const onProgress = options.onProgress || (() => {});
+  const components = parseAddress(address);
+  const location = { suburb: components.suburb, state: components.state, postcode: components.postcode };
+
+  console.log(`🏘️ Rental comparables for ${address}`);
+
+  // ── Subject: Domain property profile ──
+  const errors = [];
+  const profile = await scrapeDomainComparables([address]);
+  onProgress(1, 2, "Domain property profile");
+  const dm = profile.success && profile.data[0] && profile.data[0].success ? profile.data[0] : null;
+  if (!dm) {
+    const failed = profile.success ? profile.data[0] || {} : profile;
+    errors.push({ source: "domain", error: failed.error || "Subject not found on Domain", code: failed.code || null, retryable: failed.retryable ?? null });
+  }
+
+  const subject = {
+    address,
+    suburb: components.suburb,
+    bedrooms: dm ? toCount(dm.bedrooms) : null,
+    bathrooms: dm ? toCount(dm.bathrooms) : null,
+    car_spaces: dm ? toCount(dm.car_spaces) : null,
+    land_size: dm ? toSquareMetres(dm.land_size) : null,
+    property_type: dm ? toPropertyType(dm.property_type) : null,
+    latitude: dm ? dm.latitude ?? null : null,
+    longitude: dm ? dm.longitude ?? null : null,
+  };
+
+  const resolved = resolveFilters(filters, subject);
+
+  // ── Rentals ──
+  const search = await scrapeDomainRentals(location, {
+    propertyType: resolved.propertyType || undefined,
+    bedrooms: resolved.bedrooms || undefined,
+  });
+  onProgress(2, 2, "Domain rental search");
+  if (!search.success) return search;
+
+  const subjectKey = addressKey(address);
+  const excluded = {};
+  const kept = [];
+  for (const raw of search.data) {
+    const rental = toRental(raw, subject);
+    const reason = exclusionReason(rental, resolved, subject, subjectKey);
+    if (reason) excluded[reason] = (excluded[reason] || 0) + 1;
+    else kept.push(rental);
+  }
+
+  // Nearest first; leased before listed at the same distance
+  kept.sort((a, b) =>
+    (a.distance_km ?? Infinity) - (b.distance_km ?? Infinity) ||
+    (a.status === b.status ? 0 : a.status === "leased" ? -1 : 1));
+
+  const rentals = kept.slice(0, resolved.limit).map(({ suburb, ...r }, i) => ({ rank: i + 1, ...r }));
+  const summary = summariseRents(rentals, options.corelogicEstimate);
+
+  console.log(`✅ ${rentals.length} rental comparable(s) from ${search.data.length} listing(s)`);
+
+  return {
+    success: true,
+    data: {
+      subject,
+      filters: resolved,
+      rentals,
+      summary,
+      total_found: search.data.length,
+      excluded,
+      errors,
+    },
+  };
+}
+
+
+module.exports = { findRentalComparables, summariseRents, resolveFilters, exclusionReason, DEFAULTS };
@@ -0,0 +1,160 @@
+// ══════════════════════════════════════════════
+// Record / replay — capture scraper traffic, run it back offline
+//
+//   SCRAPER_MODE=record   live scrape; every source's traffic is saved
+//   SCRAPER_MODE=replay   no network: pages and fetches are served from disk
+//   (unset / "live")      normal behaviour
+//
+// Fixtures live in SCRAPER_FIXTURES_DIR (default data/fixtures), one
+// per source and request:
+//   corelogic/<address>.har         Playwright HAR (routeFromHAR)
+//   domain/<addresses>.har
+//   sqm/<postcode>.har
+//   dsr/<suburb-state-postcode-type[-period]>.json    fetch response
+//   claude/<suburb-state-postcode-type>.json
+//
+// Logins are never recorded; in replay mode the CoreLogic / DSR
+// sessions are skipped entirely, so no credentials are needed.
+// Recorded HARs contain the live session cookies — scrub them before
+// sharing fixtures outside data/ (which is gitignored).
+//
+// Scrubbed fixtures the regression tests replay are committed under
+// test/fixtures; each replay test points SCRAPER_FIXTURES_DIR there.
+//
+// The suburb cache sits in front of the scrapers, so pass
+// { refresh: true } when recording or replaying /api/suburb.
+// ══════════════════════════════════════════════
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { NotConfiguredError } = require("./errors");
+
+const MODES = ["live", "record", "replay"];
+const MODE = (process.env.SCRAPER_MODE || "live").toLowerCase();
+const FIXTURES_DIR = process.env.SCRAPER_FIXTURES_DIR || path.join(__dirname, "..", "data", "fixtures");
+
+if (!MODES.includes(MODE)) {
+  throw new Error(`SCRAPER_MODE must be one of: ${MODES.join(", ")} (got "${MODE}")`);
+}
+
+// Never written to fixtures
+const SECRET_PARAMS = ["access_token", "captchaResponse"];
+const SECRET_HEADERS = ["set-cookie", "cookie", "authorization", "x-api-key"];
+// Body is stored decoded, so these no longer describe it
+const ENCODING_HEADERS = ["content-encoding", "content-length", "transfer-encoding"];
+
+
+function isReplaying() {
+  return MODE === "replay";
+}
+
+
+/**
+ * Stable, filesystem-safe fixture key for a request.
+ * "3 Parsons Circuit, Kellyville" → "3-parsons-circuit-kellyville-1a2b3c4d"
+ */
+function fixtureKey(...parts) {
+  const raw = parts.filter((p) => p !== undefined && p !== null && p !== "").join(" ");
+  const slug = raw.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 60);
+  const hash = crypto.createHash("sha1").update(raw).digest("hex").slice(0, 8);
+  return `${slug}-${hash}`;
+}
+
+
+function fixturePath(source, key, ext) {
+  return path.join(FIXTURES_DIR, source, `${key}.${ext}`);
+}
+
+
+function missingFixture(source, file) {
+  return new NotConfiguredError(`Replay mode: no recorded fixture at ${path.relative(process.cwd(), file)}`, {
+    source,
+    details: { fixture: file },
+  });
+}
+
+
+/**
+ * Record or replay a browser context's traffic as a HAR.
+ * No-op in live mode. Recording is flushed when the context closes.
+ *
+ * @param {import("playwright").BrowserContext} context
+ * @param {{ source: string, key: string }} fixture
+ */
+async function attachHar(context, { source, key }) {
+  if (MODE === "live") return;
+
+  const file = fixturePath(source, key, "har");
+
+  if (MODE === "record") {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    await context.routeFromHAR(file, { update: true, updateContent: "embed" });
+    console.log(`   ⏺ Recording ${source} traffic → ${file}`);
+    return;
+  }
+
+  if (!fs.existsSync(file)) throw missingFixture(source, file);
+  await context.routeFromHAR(file, { notFound: "abort" });
+  console.log(`   ⏵ Replaying ${source} traffic ← ${file}`);
+}
+
+
+/**
+ * fetch() that records the response to a JSON fixture, or serves it
+ * from one in replay mode. Request headers/bodies are never saved.
+ *
+ * @param {{ source: string, key: string }} fixture
+ * @param {string} url
+ * @param {object} [init] - fetch options
+ * @returns {Promise<Response>}
+ */
+async function replayableFetch({ source, key }, url, init) {
+  if (MODE === "live") return fetch(url, init);
+
+  const file = fixturePath(source, key, "json");
+
+  if (MODE === "replay") {
+    if (!fs.existsSync(file)) throw missingFixture(source, file);
+    const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+    console.log(`   ⏵ Replaying ${source} response ← ${file}`);
+    return new Response(saved.body, { status: saved.status, headers: saved.headers });
+  }
+
+  const response = await fetch(url, init);
+  const body = await response.text();
+  const headers = Object.fromEntries(
+    [...response.headers].filter(([name]) => !SECRET_HEADERS.includes(name) && !ENCODING_HEADERS.includes(name))
+  );
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({
+    recorded_at: new Date().toISOString(),
+    method: init?.method || "GET",
+    url: redactUrl(url),
+    status: response.status,
+    headers,
+    body,
+  }, null, 2));
+  console.log(`   ⏺ Recorded ${source} response → ${file}`);
+
+  return new Response(body, { status: response.status, headers });
+}
+
+
+function redactUrl(url) {
+  const parsed = new URL(url);
+  for (const param of SECRET_PARAMS) {
+    if (parsed.searchParams.has(param)) parsed.searchParams.set(param, "REDACTED");
+  }
+  return parsed.toString();
+}
+
+
+module.exports = {
+  SCRAPER_MODE: MODE,
+  isReplaying,
+  fixtureKey,
+  attachHar,
+  replayableFetch,
+};
@@ -0,0 +1,281 @@
+// ══════════════════════════════════════════════
+// Response schema v2 — typed fields alongside display strings
+//
+// v1 (default) returns preformatted strings ("$1,926,610", "2.41%",
+// "650 m²") and each source has its own quirks (Domain returns
+// car_spaces as a number and sold_date as "Feb 2017").
+//
+// v2 turns every data field into the same shape, whatever the source:
+//   { value: 1926610, unit: "AUD", display: "$1,926,610" }
+//   { value: 2.41, unit: "%", display: "2.41%" }
+//   { value: "2017-02-01", unit: "date", precision: "month", display: "Feb 2017" }
+//   { value: "Kellyville", unit: null, display: "Kellyville" }
+// Nested objects and arrays are converted recursively.
+//
+// Clients opt in per request with `Accept-Version: 2` or `?version=2`;
+// v1 stays the default for existing Make.com scenarios.
+// ══════════════════════════════════════════════
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+// Keys that describe the response rather than the property/suburb —
+// passed through untouched at any depth.
+const ENVELOPE_KEYS = new Set([
+  "success", "error", "errors", "cache", "summary",
+  // per-item failure fields (utils/errors.js) and address matching
+  "code", "retryable", "source", "details", "address_components", "matched_address",
+  // which source supplied each suburb field
+  "field_sources",
+]);
+
+// Field name → type. Shared by CoreLogic, Domain, DSR and SQM results.
+const FIELD_TYPES = {
+  // Money (AUD; weekly rents detected from "/W", or always weekly for "rent")
+  sold_price: "money",
+  price: "money",
+  valuation_estimate: "money",
+  estimated_value: "money",
+  median_house_price: "money",
+  median_unit_price: "money",
+  median_12_months: "money",
+  median_price: "money",
+  median_rent: "money",
+  typical_value: "money",
+  rental_low: "money",
+  rental_mid: "money",
+  rental_high: "money",
+  weekly_rent: "rent",
+
+  // Percentages
+  stock_on_market: "percent",
+  vendor_discounting: "percent",
+  vendor_discount: "percent",
+  gross_rental_yield: "percent",
+  rental_yield: "percent",
+  renters_percentage: "percent",
+  owner_percentage: "percent",
+  auction_clearance_rate: "percent",
+  vacancy_rate: "percent",
+  current_rate: "percent",
+  rate_12_months_ago: "percent",
+  five_year_low: "percent",
+  five_year_high: "percent",
+  rolling_avg_3m: "percent",
+  rolling_avg_12m: "percent",
+  yoy_change: "percentage_points",
+
+  // Counts / scores
+  bedrooms: "count",
+  bathrooms: "count",
+  car_spaces: "count",
+  parking: "count",
+  vacancies: "count",
+  months_of_data: "count",
+  number_sold: "count",
+  dsr_score: "score",
+  online_search_interest: "score",
+  statistical_reliability: "score",
+
+  days_on_market: "days",
+  land_size: "area",
+  floor_area: "area",
+  year_built: "year",
+
+  // Dates
+  sold_date: "date",
+  date: "date",
+  end_date: "date",
+  lease_date: "date",
+  vacancy_period: "date",
+  period: "date",
+  current_period: "date",
+  five_year_low_period: "date",
+  five_year_high_period: "date",
+};
+
+const UNITS = {
+  money: "AUD",
+  rent: "AUD/week",
+  percent: "%",
+  percentage_points: "pp",
+  count: "count",
+  score: "score",
+  days: "days",
+  area: "m2",
+  year: "year",
+};
+
+
+/**
+ * Pull a number out of a display string ("$1,926,610", "-.56%", "$975k").
+ * Area units ("650m²", "650sqm") are read as units, not millions; a
+ * number glued to any other word ("2.5km") isn't taken at all.
+ */
+function parseNumber(raw) {
+  if (typeof raw === "number") return isNaN(raw) ? null : raw;
+  if (raw === null || raw === undefined) return null;
+
+  const match = String(raw).replace(/,/g, "")
+    .match(/(-?\d*\.?\d+)\s*(k|m[²2]|sq\.?\s*m|m)?(?![a-z\d]|\.\d)/i);
+  if (!match) return null;
+
+  let n = parseFloat(match[1]);
+  const suffix = (match[2] || "").toLowerCase();
+  if (suffix === "k") n *= 1000;
+  if (suffix === "m") n *= 1000000;
+  return n;
+}
+
+
+/**
+ * Parse the date formats our sources use into ISO + precision:
+ *   "12 Feb 2017", "12/02/2017" (AU), "Feb 2017", "2024-05", ISO timestamps.
+ */
+function parseDate(raw) {
+  if (!raw) return null;
+  const s = String(raw).trim();
+  let m;
+
+  if ((m = s.match(/^(\d{4})-(\d{2})-(\d{2})/))) {
+    return { iso: `${m[1]}-${m[2]}-${m[3]}`, precision: "day" };
+  }
+  if ((m = s.match(/^(\d{4})-(\d{2})$/))) {
+    return { iso: `${m[1]}-${m[2]}-01`, precision: "month" };
+  }
+  if ((m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) {
+    return { iso: `${m[3]}-${pad(m[2])}-${pad(m[1])}`, precision: "day" };
+  }
+  if ((m = s.match(/^(\d{1,2})\s+([A-Za-z]{3})[a-z]*\s+(\d{4})$/))) {
+    const month = MONTHS.indexOf(m[2].toLowerCase()) + 1;
+    if (month) return { iso: `${m[3]}-${pad(month)}-${pad(m[1])}`, precision: "day" };
+  }
+  if ((m = s.match(/^([A-Za-z]{3})[a-z]*\s+(\d{4})$/))) {
+    const month = MONTHS.indexOf(m[1].toLowerCase()) + 1;
+    if (month) return { iso: `${m[2]}-${pad(month)}-01`, precision: "month" };
+  }
+  return null;
+}
+
+
+function formatDate({ iso, precision }) {
+  const [y, m, d] = iso.split("-").map(Number);
+  const month = MONTHS[m - 1].charAt(0).toUpperCase() + MONTHS[m - 1].slice(1);
+  return precision === "day" ? `${d} ${month} ${y}` : `${month} ${y}`;
+}
+
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+
+function isEmpty(raw) {
+  return raw === null || raw === undefined || raw === "";
+}
+
+
+/**
+ * Convert one raw value into a typed v2 field.
+ */
+function typedField(type, raw) {
+  const display = isEmpty(raw) ? "" : String(raw);
+
+  if (type === "date") {
+    const parsed = parseDate(raw);
+    if (!parsed) return { value: null, unit: "date", precision: null, display };
+    // ISO inputs (Domain, SQM periods) get a human display like the others
+    const shown = /^\d{4}-\d{2}/.test(display) ? formatDate(parsed) : display;
+    return { value: parsed.iso, unit: "date", precision: parsed.precision, display: shown };
+  }
+
+  if (type === "area") {
+    let value = parseNumber(raw);
+    if (value !== null && /\bha\b/i.test(display)) value *= 10000;
+    return { value, unit: UNITS.area, display: display || "" };
+  }
+
+  if (type === "money" || type === "rent") {
+    const weekly = type === "rent" || /\/\s*w|p\/?w\b|per week/i.test(display);
+    const value = parseNumber(raw);
+    const shown = typeof raw === "number" ? "$" + raw.toLocaleString() : display;
+    return { value, unit: weekly ? "AUD/week" : UNITS.money, display: shown };
+  }
+
+  if (type === "percent" || type === "percentage_points") {
+    const value = parseNumber(raw);
+    const suffix = type === "percent" ? "%" : " pp";
+    const shown = typeof raw === "number" ? raw.toFixed(2) + suffix : display;
+    return { value, unit: UNITS[type], display: shown };
+  }
+
+  return { value: parseNumber(raw), unit: UNITS[type], display };
+}
+
+
+function plainField(raw) {
+  if (typeof raw === "number") return { value: raw, unit: null, display: String(raw) };
+  if (typeof raw === "boolean") return { value: raw, unit: null, display: String(raw) };
+  return { value: isEmpty(raw) ? null : raw, unit: null, display: isEmpty(raw) ? "" : String(raw) };
+}
+
+
+/**
+ * Recursively convert a v1 data payload to v2.
+ */
+function toV2(data) {
+  if (Array.isArray(data)) {
+    return data.map((item) => (item && typeof item === "object" ? toV2(item) : plainField(item)));
+  }
+  if (!data || typeof data !== "object") return plainField(data);
+
+  const out = {};
+  for (const [key, raw] of Object.entries(data)) {
+    if (ENVELOPE_KEYS.has(key)) {
+      out[key] = raw;
+    } else if (FIELD_TYPES[key] && (raw === null || typeof raw !== "object")) {
+      out[key] = typedField(FIELD_TYPES[key], raw);
+    } else if (raw && typeof raw === "object") {
+      out[key] = toV2(raw);
+    } else {
+      out[key] = plainField(raw);
+    }
+  }
+  return out;
+}
+
+
+/**
+ * Convert a { success, data, ... } response body; other keys untouched.
+ */
+function toV2Response(body) {
+  if (!body || !body.success || body.data === undefined) return body;
+  return { ...body, version: 2, data: toV2(body.data) };
+}
+
+
+/**
+ * Requested response version: `Accept-Version: 2` / `v2`, or `?version=2`.
+ */
+function requestedVersion(req) {
+  const raw = String(req.get("accept-version") || req.query.version || "1").replace(/^v/i, "");
+  return raw === "2" ? 2 : 1;
+}
+
+
+/**
+ * Per-route middleware: sets req.apiVersion and, for v2, converts the
+ * JSON body on the way out.
+ */
+function versionedResponse(req, res, next) {
+  req.apiVersion = requestedVersion(req);
+  res.set("API-Version", String(req.apiVersion));
+
+  if (req.apiVersion === 2) {
+    const json = res.json.bind(res);
+    res.json = (body) => json(toV2Response(body));
+  }
+  next();
+}
+
+
+module.exports = { toV2, toV2Response, versionedResponse, parseDate, parseNumber };
@@ -7,89 +7,52 @@
 //   - "Vacancies" (column) — count of vacant properties
 //   - "Vacancy Rate" (line) — percentage vacancy rate
 //
-// We extract the last data point from the "Vacancy Rate" line series.
+// We read both series in full: the last "Vacancy Rate" point is the
+// headline figure, and the monthly history feeds buildVacancyTrend()
+// (12-months-ago rate, year-on-year change, 5-year low/high, rolling
+// averages).
 // ══════════════════════════════════════════════
 
-const { chromium } = require("playwright");
+const { getPage } = require("./browser");
+const { AddressNotFoundError, SelectorMissingError, httpError, failure } = require("./errors");
+const { fixtureKey } = require("./replay");
 
-async function scrapeSqmVacancy(postcode, existingBrowser) {
+async function scrapeSqmVacancy(postcode) {
   var url = "https://sqmresearch.com.au/property/vacancy-rates?postcode=" + postcode;
-  var browser = existingBrowser;
-  var ownBrowser = false;
+  var context = null;
 
   try {
-    if (!browser) {
-      browser = await chromium.launch({
-        headless: true,
-        args: ["--no-sandbox", "--disable-setuid-sandbox"],
-      });
-      ownBrowser = true;
-    }
-
-    var context = await browser.newContext({
-      userAgent:
-        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-    });
-    var page = await context.newPage();
+    var opened = await getPage({ fixture: { source: "sqm", key: fixtureKey(postcode) } });
+    var page = opened.page;
+    context = opened.context;
 
     console.log("   SQM: Fetching vacancy rate for postcode " + postcode + "...");
-    await page.goto(url, { waitUntil: "domcontentloaded", timeout: 30000 });
+    var response = await page.goto(url, { waitUntil: "domcontentloaded", timeout: 30000 });
+    if (response && !response.ok()) {
+      throw httpError({ status: response.status(), headers: response.headers() }, "sqm", "SQM vacancy page");
+    }
 
     // Wait for Highcharts to render
     await page.waitForTimeout(5000);
 
-    var result = await page.evaluate(function() {
-      var vacancyRate = null;
-      var vacancyCount = null;
-      var period = null;
-
-      // Access Highcharts charts array
-      if (!window.Highcharts || !window.Highcharts.charts) {
-        return { vacancy_rate: null, error: "Highcharts not found on page" };
-      }
-
-      var charts = window.Highcharts.charts.filter(function(c) { return c; });
-      if (charts.length === 0) {
-        return { vacancy_rate: null, error: "No charts found" };
-      }
-
-      var chart = charts[0];
-      var series = chart.series || [];
-
-      for (var i = 0; i < series.length; i++) {
-        var s = series[i];
-        var name = (s.name || "").toLowerCase();
-        var points = s.data || [];
-
-        if (points.length === 0) continue;
-
-        var lastPoint = points[points.length - 1];
-
-        if (name === "vacancy rate") {
-          // This is the percentage line series
-          vacancyRate = lastPoint.y;
-
-          // Convert timestamp to month/year
-          if (lastPoint.x) {
-            var d = new Date(lastPoint.x);
-            var months = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
-            period = months[d.getMonth()] + " " + d.getFullYear();
-          }
-        } else if (name === "vacancies") {
-          // This is the count column series
-          vacancyCount = lastPoint.y;
-        }
-      }
-
-      return {
-        vacancy_rate: vacancyRate,
-        vacancies: vacancyCount,
-        period: period,
-      };
+    // Copy the chart series out of the page; readVacancyCharts() does
+    // the parsing so it can run against saved dumps in the tests
+    var charts = await page.evaluate(function() {
+      if (!window.Highcharts || !window.Highcharts.charts) return null;
+      return window.Highcharts.charts
+        .filter(function(c) { return c; })
+        .map(function(c) {
+          return {
+            series: (c.series || []).map(function(s) {
+              return {
+                name: s.name,
+                data: (s.data || []).map(function(p) { return p ? { x: p.x, y: p.y } : null; }),
+              };
+            }),
+          };
+        });
     });
-
-    await context.close();
-    if (ownBrowser) await browser.close();
+    var result = readVacancyCharts(charts);
 
     if (result.vacancy_rate !== null && result.vacancy_rate !== undefined) {
       var rateStr = result.vacancy_rate.toFixed(2) + "%";
@@ -98,6 +61,7 @@ async function scrapeSqmVacancy(postcode, existingBrowser) {
         " (" + (result.period || "latest") + ")" +
         (result.vacancies ? " — " + result.vacancies + " vacancies" : "")
       );
+      var history = buildVacancyHistory(result.rate_series, result.count_series);
       return {
         success: true,
         data: {
@@ -106,23 +70,164 @@ async function scrapeSqmVacancy(postcode, existingBrowser) {
           postcode: postcode,
           period: result.period,
           source: "SQM Research",
+          vacancy_history: history,
+          vacancy_trend: buildVacancyTrend(history),
         },
       };
     } else {
       console.log("   SQM: Could not extract vacancy rate for " + postcode);
       console.log("   Error: " + (result.error || "unknown"));
-      return {
-        success: false,
-        error: result.error || "Could not extract vacancy rate",
-      };
+      // A chart that never rendered may just be slow; a chart with no
+      // vacancy series means SQM has no data for the postcode
+      var err = result.reason === "no_chart"
+        ? new SelectorMissingError(result.error, { source: "sqm" })
+        : new AddressNotFoundError("SQM has no vacancy rate series for postcode " + postcode, { source: "sqm" });
+      return failure(err);
     }
   } catch (err) {
-    if (ownBrowser && browser) {
-      try { await browser.close(); } catch (e) {}
-    }
     console.error("   SQM scrape error:", err.message);
-    return { success: false, error: err.message };
+    return failure(err, "sqm");
+  } finally {
+    if (context) {
+      try { await context.close(); } catch (e) {}
+    }
+  }
+}
+
+/**
+ * Read the headline rate, vacancy count and both full series from the
+ * page's Highcharts charts, as copied out by scrapeSqmVacancy():
+ *   [{ series: [{ name: "Vacancy Rate", data: [{ x, y }, ...] }, ...] }]
+ * `reason: "no_chart"` means the chart never rendered.
+ */
+function readVacancyCharts(charts) {
+  var vacancyRate = null;
+  var vacancyCount = null;
+  var period = null;
+  var rateSeries = [];
+  var countSeries = [];
+
+  if (!charts) {
+    return { vacancy_rate: null, error: "Highcharts not found on page", reason: "no_chart" };
   }
+  if (charts.length === 0) {
+    return { vacancy_rate: null, error: "No charts found", reason: "no_chart" };
+  }
+
+  var series = charts[0].series || [];
+
+  for (var i = 0; i < series.length; i++) {
+    var s = series[i];
+    var name = (s.name || "").toLowerCase();
+    var points = (s.data || []).filter(function(p) { return p && typeof p.y === "number"; });
+
+    if (points.length === 0) continue;
+
+    var lastPoint = points[points.length - 1];
+
+    if (name === "vacancy rate") {
+      // This is the percentage line series
+      vacancyRate = lastPoint.y;
+      rateSeries = points;
+
+      // Convert timestamp to month/year
+      if (lastPoint.x) {
+        var d = new Date(lastPoint.x);
+        var months = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
+        period = months[d.getMonth()] + " " + d.getFullYear();
+      }
+    } else if (name === "vacancies") {
+      // This is the count column series
+      vacancyCount = lastPoint.y;
+      countSeries = points;
+    }
+  }
+
+  return {
+    vacancy_rate: vacancyRate,
+    vacancies: vacancyCount,
+    period: period,
+    rate_series: rateSeries,
+    count_series: countSeries,
+  };
+}
+
+
+/**
+ * Merge the two Highcharts series into one monthly list, oldest first:
+ *   [{ period: "2024-05", vacancy_rate: 1.32, vacancies: 41 }, ...]
+ */
+function buildVacancyHistory(rateSeries, countSeries) {
+  var byPeriod = {};
+
+  function periodOf(x) {
+    var d = new Date(x);
+    return d.getFullYear() + "-" + String(d.getMonth() + 1).padStart(2, "0");
+  }
+
+  (rateSeries || []).forEach(function(p) {
+    if (!p.x) return;
+    var key = periodOf(p.x);
+    byPeriod[key] = byPeriod[key] || { period: key, vacancy_rate: null, vacancies: null };
+    byPeriod[key].vacancy_rate = round2(p.y);
+  });
+  (countSeries || []).forEach(function(p) {
+    if (!p.x) return;
+    var key = periodOf(p.x);
+    byPeriod[key] = byPeriod[key] || { period: key, vacancy_rate: null, vacancies: null };
+    byPeriod[key].vacancies = p.y;
+  });
+
+  return Object.keys(byPeriod).sort().map(function(k) { return byPeriod[k]; });
+}
+
+
+/**
+ * Trend metrics from the monthly history (rates in percentage points).
+ */
+function buildVacancyTrend(history) {
+  var rated = history.filter(function(h) { return typeof h.vacancy_rate === "number"; });
+  if (rated.length === 0) return null;
+
+  var latest = rated[rated.length - 1];
+  var latestYear = parseInt(latest.period.slice(0, 4), 10);
+  var latestMonth = latest.period.slice(5);
+
+  // Same month last year
+  var yearAgoPeriod = (latestYear - 1) + "-" + latestMonth;
+  var yearAgo = rated.find(function(h) { return h.period === yearAgoPeriod; }) || null;
+
+  // Last 5 years (60 months including the latest)
+  var fiveYearCutoff = (latestYear - 5) + "-" + latestMonth;
+  var fiveYears = rated.filter(function(h) { return h.period > fiveYearCutoff; });
+  var low = fiveYears.reduce(function(a, b) { return b.vacancy_rate < a.vacancy_rate ? b : a; });
+  var high = fiveYears.reduce(function(a, b) { return b.vacancy_rate > a.vacancy_rate ? b : a; });
+
+  function rollingAverage(months) {
+    var recent = rated.slice(-months);
+    if (recent.length < months) return null;
+    var sum = recent.reduce(function(t, h) { return t + h.vacancy_rate; }, 0);
+    return round2(sum / recent.length);
+  }
+
+  return {
+    current_rate: latest.vacancy_rate,
+    current_period: latest.period,
+    rate_12_months_ago: yearAgo ? yearAgo.vacancy_rate : null,
+    yoy_change: yearAgo ? round2(latest.vacancy_rate - yearAgo.vacancy_rate) : null,
+    five_year_low: low.vacancy_rate,
+    five_year_low_period: low.period,
+    five_year_high: high.vacancy_rate,
+    five_year_high_period: high.period,
+    rolling_avg_3m: rollingAverage(3),
+    rolling_avg_12m: rollingAverage(12),
+    months_of_data: rated.length,
+  };
+}
+
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
 }
 
-module.exports = { scrapeSqmVacancy };
\ No newline at end of file
+module.exports = { scrapeSqmVacancy, readVacancyCharts, buildVacancyHistory, buildVacancyTrend };
\ No newline at end of file
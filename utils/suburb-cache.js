@@ -0,0 +1,202 @@
+// ══════════════════════════════════════════════
+// Suburb Data Cache — DSR, SQM, Domain and Claude results on local disk
+//
+// DSR and SQM only publish monthly, so repeated /api/suburb calls for
+// the same suburb don't need to hit them (or Claude) again.
+//
+// Storage: a single JSON file (SUBURB_CACHE_FILE, default
+// ./data/suburb-cache.json), loaded on first use and rewritten on
+// every change. Entries:
+//   "dsr:NSW:2155:KELLYVILLE:house" → { value, source, suburb, state, postcode,
+//                                       property_type, cached_at, expires_at, period }
+//   "dsr_history:NSW:2155:KELLYVILLE:house:12"   (12 months of DSR history)
+//
+// Invalidation:
+//   - per-source TTL (CACHE_TTL_<SOURCE>_HOURS overrides the defaults)
+//   - DSR entries (stats and history) go stale as soon as any fresh DSR response reports a
+//     newer data month than the one they were cached with
+//   - and, since a cached suburb may never be refetched to learn that,
+//     once the calendar is two months past an entry's data month (the
+//     next month's figures are due) — rechecked at most every
+//     DSR_RECHECK_HOURS until they land
+//   - purge() for the admin endpoints
+// ══════════════════════════════════════════════
+
+const fs = require("fs");
+const path = require("path");
+const { periodNumber } = require("./dsr-history");
+
+const CACHE_FILE = process.env.SUBURB_CACHE_FILE || path.join(__dirname, "..", "data", "suburb-cache.json");
+
+const HOUR = 60 * 60 * 1000;
+const DEFAULT_TTL_HOURS = {
+  dsr: 31 * 24,  // monthly data — the period check below usually expires it first
+  dsr_history: 31 * 24,
+  sqm: 7 * 24,
+  domain: 7 * 24,  // suburb profile fallback
+  ai: 90 * 24,
+};
+const DSR_RECHECK_HOURS = 24;
+// Sources carrying a DSR data month (data_month / data_year)
+const DSR_SOURCES = ["dsr", "dsr_history"];
+
+let store = null;
+
+
+function load() {
+  if (store) return store;
+  try {
+    store = JSON.parse(fs.readFileSync(CACHE_FILE, "utf8"));
+  } catch (e) {
+    store = {};
+  }
+  if (!store.entries) store = { entries: {}, latest_dsr_period: 0 };
+  return store;
+}
+
+
+function save() {
+  try {
+    fs.mkdirSync(path.dirname(CACHE_FILE), { recursive: true });
+    fs.writeFileSync(CACHE_FILE, JSON.stringify(store));
+  } catch (err) {
+    console.log("   ⚠️ Could not write suburb cache:", err.message);
+  }
+}
+
+
+function ttlFor(source) {
+  const override = parseFloat(process.env[`CACHE_TTL_${source.toUpperCase()}_HOURS`]);
+  return (isNaN(override) ? DEFAULT_TTL_HOURS[source] || 24 : override) * HOUR;
+}
+
+
+/**
+ * Cache key for a source + location. SQM is per-postcode, so it
+ * passes no suburb; DSR and AI text also vary by property type, and
+ * `variant` separates other request options (history length, trends).
+ */
+function cacheKey(source, { suburb, state, postcode, propertyType, variant }) {
+  const parts = [source, (state || "").toUpperCase(), postcode || "", (suburb || "").toUpperCase()];
+  if (propertyType) parts.push(propertyType);
+  if (variant) parts.push(variant);
+  return parts.join(":");
+}
+
+
+// Calendar months from a period number to today (202404 in June 2025 → 14)
+function monthsSincePeriod(period) {
+  const now = new Date();
+  return now.getFullYear() * 12 + now.getMonth() - (Math.floor(period / 100) * 12 + (period % 100) - 1);
+}
+
+
+function isFresh(entry) {
+  const now = Date.now();
+  if (now >= entry.expires_at) return false;
+  if (DSR_SOURCES.includes(entry.source) && entry.period) {
+    if (entry.period < store.latest_dsr_period) return false;
+    if (monthsSincePeriod(entry.period) >= 2 && now - entry.cached_at >= DSR_RECHECK_HOURS * HOUR) return false;
+  }
+  return true;
+}
+
+
+/**
+ * Return a cached result for this source/location, or call fetcher()
+ * and cache its result if it succeeded.
+ *
+ * @param {string} source - "dsr" | "sqm" | "domain" | "ai"
+ * @param {object} location - { suburb, state, postcode, propertyType }
+ * @param {function} fetcher - async () => { success, data, error }
+ * @param {object} [options]
+ * @param {boolean} [options.refresh] - ignore any cached entry
+ * @returns {{ result: object, cache: { hit: boolean, cached_at: string|null, expires_at: string|null } }}
+ */
+async function withCache(source, location, fetcher, options = {}) {
+  load();
+  const key = cacheKey(source, location);
+  const entry = store.entries[key];
+
+  if (entry && !options.refresh && isFresh(entry)) {
+    return {
+      result: { success: true, data: entry.value },
+      cache: { hit: true, cached_at: new Date(entry.cached_at).toISOString(), expires_at: new Date(entry.expires_at).toISOString() },
+    };
+  }
+
+  const result = await fetcher();
+  if (!result || !result.success) {
+    return { result, cache: { hit: false, cached_at: null, expires_at: null } };
+  }
+
+  const now = Date.now();
+  const newEntry = {
+    value: result.data,
+    source,
+    suburb: (location.suburb || "").toUpperCase(),
+    state: (location.state || "").toUpperCase(),
+    postcode: String(location.postcode || ""),
+    property_type: location.propertyType || null,
+    cached_at: now,
+    expires_at: now + ttlFor(source),
+  };
+
+  if (DSR_SOURCES.includes(source)) {
+    newEntry.period = periodNumber(result.data.data_month, result.data.data_year);
+    if (newEntry.period > store.latest_dsr_period) {
+      if (store.latest_dsr_period) console.log(`   🗓️ New DSR data month ${newEntry.period} — older DSR cache entries are now stale`);
+      store.latest_dsr_period = newEntry.period;
+    }
+  }
+
+  store.entries[key] = newEntry;
+  save();
+
+  return { result, cache: { hit: false, cached_at: new Date(now).toISOString(), expires_at: new Date(newEntry.expires_at).toISOString() } };
+}
+
+
+/**
+ * Remove cache entries matching every filter given.
+ * With no filters, clears the whole cache.
+ *
+ * @param {object} filters - { suburb, state, postcode, source }
+ * @returns {number} entries removed
+ */
+function purge(filters = {}) {
+  load();
+  let removed = 0;
+  for (const [key, entry] of Object.entries(store.entries)) {
+    if (filters.source && entry.source !== filters.source) continue;
+    if (filters.suburb && entry.suburb !== filters.suburb.toUpperCase()) continue;
+    if (filters.state && entry.state !== filters.state.toUpperCase()) continue;
+    if (filters.postcode && entry.postcode !== String(filters.postcode)) continue;
+    delete store.entries[key];
+    removed++;
+  }
+  if (removed > 0) save();
+  return removed;
+}
+
+
+function cacheStats() {
+  load();
+  const bySource = {};
+  let stale = 0;
+  for (const entry of Object.values(store.entries)) {
+    bySource[entry.source] = (bySource[entry.source] || 0) + 1;
+    if (!isFresh(entry)) stale++;
+  }
+  return {
+    file: CACHE_FILE,
+    entries: Object.keys(store.entries).length,
+    stale,
+    by_source: bySource,
+    latest_dsr_period: store.latest_dsr_period || null,
+    ttl_hours: Object.fromEntries(Object.keys(DEFAULT_TTL_HOURS).map((s) => [s, ttlFor(s) / HOUR])),
+  };
+}
+
+
+module.exports = { withCache, purge, cacheStats };
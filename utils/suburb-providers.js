@@ -0,0 +1,343 @@
+// ══════════════════════════════════════════════
+// Suburb data providers — which source supplies which field
+//
+// Every source of suburb numbers registers itself as a provider:
+//   { name, label, description, cost, reliability, fields, fetch }
+//     cost         relative price of one fetch (1 = API call, 3 = browser scrape)
+//     reliability  0–1, how often it returns data
+//     fields       the /api/suburb fields it can supply
+//     fetch        async (location, options) → { success, data: { field: value },
+//                    sources?, failures?, cache?, raw? }
+//                  sources names a field's source more precisely than the
+//                  provider name, e.g. "domain (4 bed)"; it becomes that
+//                  field's field_sources entry
+//
+// Each field is taken from the first provider in its priority chain
+// that has a value for it. Chains live in config/suburb-providers.json
+// (or SUBURB_PROVIDERS_FILE):
+//   { "fields": { "vacancy_rate": ["sqm", "dsr"], ... } }
+// Providers that supply a field but aren't in its chain come after it,
+// most reliable first, then cheapest.
+//
+// Providers are fetched lazily — at most once per resolve, and only
+// when a field needs them — so a fallback like Domain costs nothing
+// while DSR is answering. `opportunistic` fields never trigger a fetch;
+// they're filled only from providers that were already called.
+//
+// Built in: dsr, sqm, domain (below). New sources call registerProvider().
+// ══════════════════════════════════════════════
+
+const fs = require("fs");
+const path = require("path");
+const { scrapeStockOnMarket } = require("../scrapers/dsr");
+const { scrapeSqmVacancy } = require("./sqm-vacancy");
+const { scrapeDomainSuburb, sourceLabel } = require("./domain-suburb");
+const { withCache } = require("./suburb-cache");
+const { rateMetrics } = require("./rating-profiles");
+const { failure, describeFailure } = require("./errors");
+
+const PROVIDERS_FILE = process.env.SUBURB_PROVIDERS_FILE || path.join(__dirname, "..", "config", "suburb-providers.json");
+
+const providers = new Map();
+let config = null;
+
+
+/**
+ * Add (or replace) a provider.
+ */
+function registerProvider(provider) {
+  const { name, fields, fetch } = provider || {};
+  if (!name || !Array.isArray(fields) || typeof fetch !== "function") {
+    throw new Error("A provider needs a name, a fields array and a fetch function");
+  }
+  providers.set(name, { label: name, description: "", cost: 1, reliability: 0.5, ...provider });
+}
+
+
+function loadConfig() {
+  if (config) return config;
+
+  const parsed = JSON.parse(fs.readFileSync(PROVIDERS_FILE, "utf8"));
+  for (const [field, chain] of Object.entries(parsed.fields || {})) {
+    if (!Array.isArray(chain)) throw new Error(`${PROVIDERS_FILE}: chain for "${field}" must be an array`);
+  }
+
+  config = { fields: {}, ...parsed };
+  return config;
+}
+
+
+/**
+ * Provider names to try for a field, in order. Unknown names in the
+ * config (a provider that was removed) are skipped.
+ */
+function chainFor(field) {
+  const configured = (loadConfig().fields[field] || [])
+    .filter((name) => providers.has(name) && providers.get(name).fields.includes(field));
+
+  const rest = [...providers.values()]
+    .filter((p) => p.fields.includes(field) && !configured.includes(p.name))
+    .sort((a, b) => b.reliability - a.reliability || a.cost - b.cost)
+    .map((p) => p.name);
+
+  return [...configured, ...rest];
+}
+
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === "";
+}
+
+
+/**
+ * Resolve suburb fields through the provider chains.
+ *
+ * @param {string[]} fields - fields to fill, fetching providers as needed
+ * @param {object} location - { suburb, state, postcode }
+ * @param {object} [options] - passed to every provider's fetch ({ types, refresh, ratingProfile })
+ * @param {string[]} [options.opportunistic] - fields filled only from providers already fetched
+ * @returns {object} { values, provenance, failures, cache, raw }
+ *   values      field → value ("" when no provider had it)
+ *   provenance  field → provider name, or the provider's own `sources`
+ *               entry for it (null when no provider had it)
+ *   failures    [{ source, error, code, retryable, ... }] per failed provider
+ *   cache       provider → its cache info
+ *   raw         provider → its extra output (e.g. DSR market_stats)
+ */
+async function resolveFields(fields, location, options = {}) {
+  const results = {};
+
+  const call = async (name) => {
+    if (!results[name]) {
+      console.log(`   🔌 Provider ${name}`);
+      results[name] = await providers.get(name).fetch(location, options).catch((err) => failure(err, name));
+    }
+    return results[name];
+  };
+
+  const values = {};
+  const provenance = {};
+
+  const fill = async (field, fetchMissing) => {
+    values[field] = "";
+    provenance[field] = null;
+    for (const name of chainFor(field)) {
+      if (!fetchMissing && !results[name]) continue;
+      const result = await call(name);
+      const value = result.success ? result.data[field] : undefined;
+      if (!isEmpty(value)) {
+        values[field] = value;
+        provenance[field] = (result.sources && result.sources[field]) || name;
+        return;
+      }
+    }
+  };
+
+  for (const field of fields) await fill(field, true);
+  for (const field of options.opportunistic || []) await fill(field, false);
+
+  const failures = [];
+  const cache = {};
+  const raw = {};
+  for (const [name, result] of Object.entries(results)) {
+    if (result.failures) failures.push(...result.failures);
+    else if (!result.success) failures.push(describeFailure(result));
+    if (result.cache) cache[name] = result.cache;
+    if (result.raw) raw[name] = result.raw;
+  }
+
+  return { values, provenance, failures, cache, raw };
+}
+
+
+/**
+ * Registered providers and the resolved chain for every field.
+ */
+function listProviders() {
+  const fields = [...new Set([...providers.values()].flatMap((p) => p.fields))];
+  return {
+    providers: [...providers.values()].map(({ name, label, description, cost, reliability, fields: supplied }) =>
+      ({ name, label, description, cost, reliability, fields: supplied })),
+    priorities: Object.fromEntries(fields.map((field) => [field, chainFor(field)])),
+  };
+}
+
+
+function providerLabel(name) {
+  return name && providers.has(name) ? providers.get(name).label : "";
+}
+
+
+// ══════════════════════════════════════════════
+// Built-in providers
+// ══════════════════════════════════════════════
+
+// ── DSR Data — monthly market stats, one API call per property type ──
+async function fetchDsr(location, { types = ["house"], refresh, ratingProfile } = {}) {
+  const { suburb, state, postcode } = location;
+  const marketStats = {};
+  const failures = [];
+  const cache = {};
+
+  for (const type of types) {
+    const dsrCached = await withCache("dsr", { ...location, propertyType: type }, () =>
+      scrapeStockOnMarket(suburb, state, postcode, type).catch((err) => failure(err, "dsr")),
+      { refresh }
+    );
+    cache[type] = dsrCached.cache;
+    if (!dsrCached.result.success) {
+      failures.push({ ...describeFailure(dsrCached.result), property_type: type });
+      continue;
+    }
+
+    // Re-rate with the current profile config (cached stats may predate it)
+    const stats = dsrCached.result.data;
+    const { profile, ratings, details } = rateMetrics(stats.metrics, {
+      state, postcode, propertyType: type, profile: ratingProfile,
+    });
+    marketStats[type] = { ...stats, ...ratings, rating_profile: profile, rating_details: details };
+  }
+
+  const primary = marketStats[types[0]];
+  if (Object.keys(marketStats).length === 0) {
+    return { success: false, source: "dsr", error: failures[0].error, failures, cache };
+  }
+
+  return {
+    success: true,
+    data: {
+      ...(primary ? pickFields(primary, DSR_FIELDS) : {}),
+      median_house_price: marketStats.house?.median_12_months,
+      median_unit_price: marketStats.unit?.median_12_months,
+    },
+    failures,
+    cache,
+    raw: { market_stats: marketStats },
+  };
+}
+
+const DSR_FIELDS = [
+  "stock_on_market", "days_on_market", "vendor_discounting", "gross_rental_yield", "typical_value",
+  "renters_percentage", "dsr_score", "auction_clearance_rate", "online_search_interest", "vacancy_rate",
+];
+
+function pickFields(obj, fields) {
+  return Object.fromEntries(fields.map((f) => [f, obj[f]]));
+}
+
+registerProvider({
+  name: "dsr",
+  label: "DSR Data",
+  description: "DSR Data API — monthly market stats per property type",
+  cost: 1,
+  reliability: 0.8,
+  fields: [...DSR_FIELDS, "median_house_price", "median_unit_price"],
+  fetch: fetchDsr,
+});
+
+
+// ── SQM Research — vacancy rate per postcode ──
+async function fetchSqm({ state, postcode }, { refresh } = {}) {
+  const sqmCached = await withCache("sqm", { state, postcode }, () => scrapeSqmVacancy(postcode), { refresh });
+  const result = sqmCached.result;
+  if (!result.success) return { ...result, cache: sqmCached.cache };
+
+  return {
+    success: true,
+    data: {
+      vacancy_rate: result.data?.vacancy_rate,
+      vacancy_period: result.data?.period,
+      vacancy_trend: result.data?.vacancy_trend,
+    },
+    cache: sqmCached.cache,
+  };
+}
+
+registerProvider({
+  name: "sqm",
+  label: "SQM Research",
+  description: "SQM Research vacancy rates (more accurate than DSR)",
+  cost: 2,
+  reliability: 0.9,
+  fields: ["vacancy_rate", "vacancy_period", "vacancy_trend"],
+  fetch: fetchSqm,
+});
+
+
+// ── Domain — suburb profile (browser scrape) ──
+async function fetchDomain(location, { types = ["house"], refresh } = {}) {
+  const domainCached = await withCache("domain", location, () => scrapeDomainSuburb(location), { refresh });
+  if (!domainCached.result.success) return { ...domainCached.result, cache: domainCached.cache };
+
+  const stats = formatDomainStats(domainCached.result.data);
+  const primary = stats[types[0]] || {};
+  const primarySource = sourceLabel(primary);
+  return {
+    success: true,
+    data: {
+      days_on_market: primary.days_on_market,
+      auction_clearance_rate: primary.auction_clearance_rate,
+      median_rent: primary.median_rent,
+      number_sold: primary.number_sold,
+      median_house_price: stats.house?.median_price,
+      median_unit_price: stats.unit?.median_price,
+      renters_percentage: stats.renters_percentage,
+      owner_percentage: stats.owner_percentage,
+    },
+    sources: {
+      days_on_market: primarySource,
+      auction_clearance_rate: primarySource,
+      median_rent: primarySource,
+      median_house_price: sourceLabel(stats.house),
+      median_unit_price: sourceLabel(stats.unit),
+    },
+    cache: domainCached.cache,
+    raw: { domain_stats: stats },
+  };
+}
+
+/**
+ * Domain suburb profile numbers → the display strings DSR uses.
+ */
+function formatDomainStats(profile) {
+  const format = (value, fn) => (value === null || value === undefined ? "" : fn(value));
+  const dollars = (n) => "$" + Number(n).toLocaleString();
+  const percent = (n) => n + "%";
+
+  const byType = {};
+  for (const type of ["house", "unit"]) {
+    const stats = profile[type];
+    if (!stats) continue;
+    byType[type] = {
+      median_price: format(stats.median_price, dollars),
+      median_rent: format(stats.median_rent, (n) => dollars(n) + "/w"),
+      days_on_market: format(stats.days_on_market, String),
+      auction_clearance_rate: format(stats.auction_clearance_rate, percent),
+      number_sold: format(stats.number_sold, String),
+      bedrooms: stats.bedrooms,
+    };
+  }
+
+  return {
+    ...byType,
+    owner_percentage: format(profile.owner_percentage, percent),
+    renters_percentage: format(profile.renters_percentage, percent),
+    url: profile.url,
+  };
+}
+
+registerProvider({
+  name: "domain",
+  label: "Domain",
+  description: "Domain suburb profile — medians, days on market, clearance rate, owner / renter split",
+  cost: 3,
+  reliability: 0.7,
+  fields: [
+    "median_house_price", "median_unit_price", "days_on_market", "auction_clearance_rate",
+    "renters_percentage", "median_rent", "number_sold", "owner_percentage",
+  ],
+  fetch: fetchDomain,
+});
+
+
+module.exports = { registerProvider, resolveFields, listProviders, providerLabel, chainFor };
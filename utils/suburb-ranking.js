@@ -0,0 +1,143 @@
+// ══════════════════════════════════════════════
+// Suburb Ranking — weighted composite score across a shortlist
+//
+// Replaces the spreadsheet ranking. For each metric:
+//   1. min-max normalise across the set to 0–1
+//      (inverted where lower is better, e.g. days on market)
+//   2. multiply by the profile weight
+// Composite = weighted average × 100. A suburb missing a metric is
+// scored on the remaining metrics (weights re-normalised), and the
+// breakdown shows exactly what each metric contributed.
+// ══════════════════════════════════════════════
+
+// Metric keys match DSR `metrics` (see formatResponse in scrapers/dsr.js)
+const RANK_METRICS = {
+  dsr_score: { label: "DSR score", higherIsBetter: true },
+  days_on_market: { label: "Days on market", higherIsBetter: false },
+  stock_on_market: { label: "Stock on market", higherIsBetter: false },
+  vacancy_rate: { label: "Vacancy rate", higherIsBetter: false },
+  gross_rental_yield: { label: "Gross rental yield", higherIsBetter: true },
+  vendor_discount: { label: "Vendor discount", higherIsBetter: true }, // negative; nearer 0 is better
+};
+
+const PROFILES = {
+  growth: {
+    description: "Capital growth — demand, absorption and low supply",
+    weights: { dsr_score: 0.3, days_on_market: 0.2, stock_on_market: 0.2, vacancy_rate: 0.1, gross_rental_yield: 0.05, vendor_discount: 0.15 },
+  },
+  yield: {
+    description: "Cash flow — rental yield and tight rental market",
+    weights: { dsr_score: 0.15, days_on_market: 0.05, stock_on_market: 0.05, vacancy_rate: 0.25, gross_rental_yield: 0.4, vendor_discount: 0.1 },
+  },
+  balanced: {
+    description: "Even mix of growth and yield indicators",
+    weights: { dsr_score: 0.2, days_on_market: 0.15, stock_on_market: 0.15, vacancy_rate: 0.15, gross_rental_yield: 0.2, vendor_discount: 0.15 },
+  },
+};
+
+
+/**
+ * Resolve a profile name + per-request overrides into final weights.
+ * Throws on unknown profiles/metrics or invalid weights.
+ */
+function resolveWeights(profile = "balanced", overrides = {}) {
+  const base = PROFILES[profile];
+  if (!base) {
+    throw new Error(`Unknown profile "${profile}". Available: ${Object.keys(PROFILES).join(", ")}`);
+  }
+
+  const weights = { ...base.weights };
+  for (const [metric, weight] of Object.entries(overrides || {})) {
+    if (!RANK_METRICS[metric]) {
+      throw new Error(`Unknown metric "${metric}". Available: ${Object.keys(RANK_METRICS).join(", ")}`);
+    }
+    if (typeof weight !== "number" || weight < 0 || !isFinite(weight)) {
+      throw new Error(`Weight for ${metric} must be a non-negative number`);
+    }
+    weights[metric] = weight;
+  }
+
+  if (Object.values(weights).every((w) => w === 0)) {
+    throw new Error("At least one weight must be greater than zero");
+  }
+
+  return weights;
+}
+
+
+/**
+ * Rank suburbs by weighted, normalised metrics.
+ *
+ * @param {object[]} entries - [{ suburb, state, postcode, metrics: { dsr_score, ... } }]
+ * @param {object} weights - from resolveWeights()
+ * @returns {object[]} entries with score, rank and breakdown, best first
+ */
+function rankSuburbs(entries, weights) {
+  // Range of each metric across the set
+  const ranges = {};
+  for (const metric of Object.keys(RANK_METRICS)) {
+    const values = entries.map((e) => e.metrics?.[metric]).filter(isNumber);
+    ranges[metric] = values.length ? { min: Math.min(...values), max: Math.max(...values) } : null;
+  }
+
+  const scored = entries.map((entry) => {
+    const breakdown = {};
+    let weighted = 0;
+    let weightUsed = 0;
+
+    for (const [metric, meta] of Object.entries(RANK_METRICS)) {
+      const weight = weights[metric] || 0;
+      const value = entry.metrics?.[metric];
+      const range = ranges[metric];
+
+      if (!isNumber(value) || !range) {
+        breakdown[metric] = { label: meta.label, value: null, normalised: null, weight, contribution: 0 };
+        continue;
+      }
+
+      // All suburbs equal on this metric → neutral midpoint
+      let normalised = range.max === range.min ? 0.5 : (value - range.min) / (range.max - range.min);
+      if (!meta.higherIsBetter) normalised = 1 - normalised;
+
+      weighted += normalised * weight;
+      weightUsed += weight;
+      breakdown[metric] = { label: meta.label, value, normalised: round(normalised, 3), weight, contribution: 0 };
+    }
+
+    // Contributions are in final score points (they sum to the score)
+    const score = weightUsed > 0 ? (weighted / weightUsed) * 100 : null;
+    if (weightUsed > 0) {
+      for (const item of Object.values(breakdown)) {
+        if (item.normalised !== null) item.contribution = round((item.normalised * item.weight / weightUsed) * 100, 2);
+      }
+    }
+
+    return { ...entry, score: score === null ? null : round(score, 2), breakdown };
+  });
+
+  scored.sort((a, b) => (b.score ?? -1) - (a.score ?? -1));
+  scored.forEach((s, i) => { s.rank = s.score === null ? null : i + 1; });
+
+  return scored;
+}
+
+
+function listProfiles() {
+  return Object.fromEntries(
+    Object.entries(PROFILES).map(([name, p]) => [name, { description: p.description, weights: p.weights }])
+  );
+}
+
+
+function isNumber(v) {
+  return typeof v === "number" && !isNaN(v);
+}
+
+
+function round(n, dp) {
+  const f = 10 ** dp;
+  return Math.round(n * f) / f;
+}
+
+
+module.exports = { RANK_METRICS, resolveWeights, rankSuburbs, listProfiles };
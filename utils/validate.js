@@ -0,0 +1,179 @@
+// ══════════════════════════════════════════════
+// Request validation generated from the OpenAPI document
+//
+//   app.post("/api/suburb", validateRequest("/api/suburb"), handler)
+//
+// looks up the operation in utils/openapi.js and checks the JSON body
+// and query/path parameters against it. Failures return 400 in the
+// usual { success, error, code } shape, plus per-field details:
+//   { success: false, error: "postcode: must be a 4-digit postcode",
+//     code: "VALIDATION_ERROR", retryable: false, source: "request",
+//     details: [{ field: "postcode", message: "..." }] }
+//
+// Supports the JSON-schema subset the document uses: type, required,
+// properties, items, enum, pattern, min/maxLength, minimum/maximum,
+// min/maxItems, additionalProperties (schema form), anyOf, $ref.
+// A pattern's error text comes from its "x-pattern-message" extension.
+// ══════════════════════════════════════════════
+
+const { openApiDocument } = require("./openapi");
+
+
+function resolveRef(schema) {
+  if (!schema || !schema.$ref) return schema;
+  const path = schema.$ref.replace(/^#\//, "").split("/");
+  return path.reduce((node, key) => node[key], openApiDocument);
+}
+
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+
+/**
+ * Validate a value against a schema.
+ * @returns {Array<{ field: string, message: string }>}
+ */
+function validateSchema(rawSchema, value, field) {
+  const schema = resolveRef(rawSchema);
+  if (!schema) return [];
+  const errors = [];
+  const fail = (message) => errors.push({ field: field || "(body)", message });
+
+  if (value === null && schema.nullable) return errors;
+
+  if (schema.type) {
+    const actual = typeOf(value);
+    const matches = schema.type === actual ||
+      (schema.type === "number" && actual === "integer");
+    if (!matches) {
+      fail(`must be ${schema.type === "array" || schema.type === "integer" ? "an" : "a"} ${schema.type}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of: ${schema.enum.join(", ")}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail(`must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(schema["x-pattern-message"] || `must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be ≥ ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be ≤ ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} item(s)`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items && errors.length === 0) {
+      value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${field}[${i}]`)));
+    }
+  }
+
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    const prefix = field ? `${field}.` : "";
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null || value[key] === "") {
+        errors.push({ field: prefix + key, message: "is required" });
+      }
+    }
+
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined && value[key] !== null && value[key] !== "") {
+        errors.push(...validateSchema(propSchema, value[key], prefix + key));
+      }
+    }
+
+    if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+      for (const key of Object.keys(value)) {
+        if (schema.properties && schema.properties[key]) continue;
+        errors.push(...validateSchema(schema.additionalProperties, value[key], prefix + key));
+      }
+    }
+
+    if (schema.anyOf && !schema.anyOf.some((alt) => validateSchema(alt, value, field).length === 0)) {
+      const options = schema.anyOf.map((alt) => (alt.required || []).join(" + ")).join(" or ");
+      fail(`needs ${options}`);
+    }
+  }
+
+  return errors;
+}
+
+
+/**
+ * Coerce a query/path string to the parameter's declared type.
+ */
+function coerceParam(schema, raw) {
+  if (raw === undefined) return raw;
+  if (schema.type === "integer" || schema.type === "number") {
+    const n = Number(raw);
+    return isNaN(n) ? raw : n;
+  }
+  if (schema.type === "boolean") return raw === "true" ? true : raw === "false" ? false : raw;
+  return raw;
+}
+
+
+/**
+ * Build validation middleware for a documented route.
+ *
+ * @param {string} path - path as written in the OpenAPI document, e.g. "/api/jobs/{id}"
+ * @param {string} [method] - defaults to the only method on that path
+ */
+function validateRequest(path, method) {
+  const item = openApiDocument.paths[path];
+  if (!item) throw new Error(`No OpenAPI path for ${path}`);
+  const verb = method || Object.keys(item)[0];
+  const operation = item[verb];
+  if (!operation) throw new Error(`No OpenAPI operation for ${verb.toUpperCase()} ${path}`);
+
+  const bodySchema = operation.requestBody?.content?.["application/json"]?.schema;
+  const params = (operation.parameters || []).filter((p) => p.in === "query" || p.in === "path");
+
+  return (req, res, next) => {
+    const errors = [];
+
+    for (const param of params) {
+      const source = param.in === "query" ? req.query : req.params;
+      const raw = source[param.name];
+      if (raw === undefined || raw === "") {
+        if (param.required) errors.push({ field: param.name, message: "is required" });
+        continue;
+      }
+      errors.push(...validateSchema(param.schema, coerceParam(param.schema, raw), param.name));
+    }
+
+    if (bodySchema) {
+      errors.push(...validateSchema(bodySchema, req.body ?? {}, ""));
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.slice(0, 5).map((e) => `${e.field}: ${e.message}`).join("; "),
+        code: "VALIDATION_ERROR",
+        retryable: false,
+        source: "request",
+        details: errors,
+      });
+    }
+
+    next();
+  };
+}
+
+
+module.exports = { validateRequest, validateSchema };